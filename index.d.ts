@@ -4,7 +4,22 @@ import { RequestHandler } from "express";
 //! CLOUD PROVIDER TYPES
 //! ========================================
 
-export type CloudProvider = 'cloudinary' | 's3' | 'aws' | 'gcs' | 'google';
+export type CloudProvider = 'cloudinary' | 's3' | 'aws' | 'gcs' | 'google' | 'azure' | 'local' | RegisteredCloudProvider;
+
+/**
+ * Config types of the providers added with registerCloudProvider, keyed by provider name.
+ * Augment it to type `cloudConfig` for a custom provider:
+ * ```ts
+ * declare module 'upfly' {
+ *   interface CloudProviderConfigs {
+ *     minio: MinioConfig;
+ *   }
+ * }
+ * ```
+ */
+export interface CloudProviderConfigs {}
+
+export type RegisteredCloudProvider = Extract<keyof CloudProviderConfigs, string>;
 export type ImageFormat = 'webp' | 'jpeg' | 'jpg' | 'png' | 'avif' | 'tiff' | 'gif' | 'heif';
 export type OutputDestination = 'disk' | 'memory';
 export type AWSRegion = 'us-east-1' | 'us-east-2' | 'us-west-1' | 'us-west-2' | 'eu-west-1' | 'eu-west-2' | 'eu-central-1' | 'ap-south-1' | 'ap-southeast-1' | 'ap-southeast-2' | 'ap-northeast-1' | string;
@@ -12,6 +27,122 @@ export type S3ACL = 'private' | 'public-read' | 'public-read-write' | 'authentic
 export type S3StorageClass = 'STANDARD' | 'REDUCED_REDUNDANCY' | 'STANDARD_IA' | 'ONEZONE_IA' | 'INTELLIGENT_TIERING' | 'GLACIER' | 'DEEP_ARCHIVE';
 export type GCSStorageClass = 'STANDARD' | 'NEARLINE' | 'COLDLINE' | 'ARCHIVE';
 export type CloudinaryResourceType = 'image' | 'video' | 'raw' | 'auto';
+export type MimeMismatchPolicy = 'relabel' | 'reject' | 'ignore';
+export type ResizeFit = 'cover' | 'contain' | 'fill' | 'inside' | 'outside';
+export type ChromaSubsampling = '4:4:4' | '4:2:0';
+export type MetadataPolicy = 'strip' | 'keep' | 'keep-icc' | { exif?: boolean; icc?: boolean; xmp?: boolean };
+
+//! ========================================
+//! ENCODER OPTIONS
+//! ========================================
+
+export interface HeifEncoderOptions {
+  /** CPU effort 0-9 (default: 4). Higher = smaller files, slower encoding */
+  effort?: number;
+  /** Chroma subsampling (default: '4:4:4') */
+  chromaSubsampling?: ChromaSubsampling;
+  /** Lossless compression (default: false) */
+  lossless?: boolean;
+  /** Bit depth (default: 8) */
+  bitdepth?: 8 | 10 | 12;
+}
+
+/**
+ * Encoder tuning per output format, merged into sharp's format options.
+ * Validated when the middleware is created; unknown formats or options throw a RangeError.
+ */
+export interface FormatOptions {
+  avif?: HeifEncoderOptions;
+  heif?: HeifEncoderOptions;
+  webp?: {
+    /** Lossless compression */
+    lossless?: boolean;
+    /** Near-lossless compression (uses quality as the preprocessing level) */
+    nearLossless?: boolean;
+    /** High quality chroma subsampling */
+    smartSubsample?: boolean;
+    /** CPU effort 0-6 (default: 4) */
+    effort?: number;
+    /** Alpha layer quality 0-100 (default: 100) */
+    alphaQuality?: number;
+  };
+  jpeg?: {
+    /** Use mozjpeg defaults (smaller files, slower encoding) */
+    mozjpeg?: boolean;
+    /** Progressive (interlaced) scan */
+    progressive?: boolean;
+    /** Chroma subsampling (default: '4:2:0') */
+    chromaSubsampling?: ChromaSubsampling;
+    /** Optimise Huffman coding tables */
+    optimiseCoding?: boolean;
+  };
+  /** Alias of jpeg */
+  jpg?: FormatOptions['jpeg'];
+  png?: {
+    /** Quantise to a palette (much smaller, lossy) */
+    palette?: boolean;
+    /** zlib compression level 0-9 (default: 6) */
+    compressionLevel?: number;
+    /** Progressive (interlaced) scan */
+    progressive?: boolean;
+    /** Maximum palette colours 2-256 (palette only) */
+    colours?: number;
+    /** CPU effort 1-10 (palette only) */
+    effort?: number;
+  };
+  tiff?: {
+    compression?: 'none' | 'jpeg' | 'deflate' | 'packbits' | 'ccittfax4' | 'lzw' | 'webp' | 'zstd' | 'jp2k';
+    predictor?: 'none' | 'horizontal' | 'float';
+  };
+  gif?: {
+    /** Maximum palette colours 2-256 */
+    colours?: number;
+    /** CPU effort 1-10 */
+    effort?: number;
+    /** Dithering level 0-1 */
+    dither?: number;
+  };
+}
+
+/**
+ * Perceptual floor for quality tuning (targetQuality)
+ */
+export interface QualityTarget {
+  /** Similarity metric, computed on the decoded output against the source */
+  metric: 'ssim';
+  /** Minimum similarity between 0 and 1, e.g. 0.95 */
+  min: number;
+}
+
+/**
+ * Conditions of a conversion rule; every condition given must hold
+ */
+export interface ConversionRuleMatch {
+  /** Source mimetype pattern(s), globs allowed ('image/png', 'image/*') */
+  mimetype?: string | string[];
+  /** Matches files of at least this size, in bytes or as a string ('1mb') */
+  minSize?: number | string;
+  /** Matches files of at most this size, in bytes or as a string ('20kb') */
+  maxSize?: number | string;
+  /** Matches images with (true) or without (false) an alpha channel */
+  hasAlpha?: boolean;
+}
+
+/**
+ * Per-file override of the field's conversion settings (first matching rule wins)
+ */
+export interface ConversionRule {
+  /** Conditions (omitted = matches every file) */
+  match?: ConversionRuleMatch;
+  /** Target format (implies keepOriginal: false unless set) */
+  format?: ImageFormat;
+  /** Compression quality 1-100 */
+  quality?: number;
+  /** Store the file untouched */
+  keepOriginal?: boolean;
+  /** Encoder options per format */
+  formatOptions?: FormatOptions;
+}
 
 //! ========================================
 //! CLOUD CONFIGURATION INTERFACES
@@ -51,15 +182,17 @@ export interface CloudinaryConfig {
  * @see https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/S3.html
  */
 export interface S3Config {
-  /** AWS region (e.g., 'us-east-1', 'eu-west-1') - required */
-  region: AWSRegion;
+  /** AWS region (e.g., 'us-east-1', 'eu-west-1') - required on AWS; with an endpoint it defaults to 'us-east-1' (R2: 'auto') */
+  region?: AWSRegion;
   /** S3 bucket name (required) */
   bucket: string;
   /** AWS access key ID (required) */
   accessKeyId: string;
   /** AWS secret access key (required) */
   secretAccessKey: string;
-  /** Optional key prefix/folder (e.g., 'uploads/', 'images/') */
+  /** Optional key prefix/folder, with {fieldname}, {yyyy}, {mm}, {dd} placeholders (e.g., 'uploads/', '{fieldname}/{yyyy}/{mm}/') */
+  prefix?: string;
+  /** Same as prefix (prefix wins when both are set) */
   keyPrefix?: string;
   /** Access control: 'private', 'public-read', etc. (default: 'public-read') */
   acl?: S3ACL;
@@ -69,8 +202,16 @@ export interface S3Config {
   storageClass?: S3StorageClass;
   /** Server-side encryption: 'AES256', 'aws:kms' */
   serverSideEncryption?: string;
+  /** KMS key ID or ARN, with serverSideEncryption 'aws:kms' (default: the account's AWS managed key) */
+  kmsKeyId?: string;
   /** Custom domain for URLs (e.g., 'cdn.example.com') */
   customDomain?: string;
+  /** S3-compatible service URL: MinIO ('http://localhost:9000'), R2 ('https://<account>.r2.cloudflarestorage.com'), Wasabi, Spaces... */
+  endpoint?: string;
+  /** Address the bucket in the path (endpoint/bucket/key) instead of the host (bucket.endpoint/key); needed by MinIO (default: false) */
+  forcePathStyle?: boolean;
+  /** Base of the returned cloudUrl, e.g. an R2 public bucket or CDN URL (takes precedence over customDomain; default: the bucket's URL) */
+  publicBaseUrl?: string;
   /** Additional AWS S3 client options */
   clientOptions?: Record<string, any>;
   /** Additional S3 upload parameters */
@@ -90,7 +231,7 @@ export interface GCSConfig {
   credentials?: Record<string, any>;
   /** Google Cloud project ID (auto-detected if using keyFilename) */
   projectId?: string;
-  /** Optional object name prefix/folder (e.g., 'uploads/', 'images/') */
+  /** Optional object name prefix/folder, with {fieldname}, {yyyy}, {mm}, {dd} placeholders (e.g., 'uploads/', '{fieldname}/{yyyy}/{mm}/') */
   prefix?: string;
   /** Make uploaded files publicly accessible (default: true) */
   public?: boolean;
@@ -106,10 +247,128 @@ export interface GCSConfig {
   uploadOptions?: Record<string, any>;
 }
 
+/**
+ * Azure block blob access tiers
+ */
+export type AzureAccessTier = 'Hot' | 'Cool' | 'Cold' | 'Archive';
+
+/**
+ * Azure Blob Storage configuration (works with the Azurite emulator)
+ * @see https://learn.microsoft.com/azure/storage/blobs/storage-quickstart-blobs-nodejs
+ */
+export interface AzureConfig {
+  /** Blob container name (required) */
+  container: string;
+  /** Storage account connection string ('UseDevelopmentStorage=true' for Azurite); or accountName with accountKey / sasToken */
+  connectionString?: string;
+  /** Storage account name */
+  accountName?: string;
+  /** Storage account key */
+  accountKey?: string;
+  /** Shared access signature (never included in returned URLs) */
+  sasToken?: string;
+  /** Blob service URL (default: https://<accountName>.blob.core.windows.net; Azurite: 'http://127.0.0.1:10000/devstoreaccount1') */
+  endpoint?: string;
+  /** Optional blob name prefix/folder, with {fieldname}, {yyyy}, {mm}, {dd} placeholders (e.g., 'uploads/', '{fieldname}/{yyyy}/{mm}/') */
+  prefix?: string;
+  /** Access tier set on upload (default: the account's default tier) */
+  accessTier?: AzureAccessTier;
+  /** Custom metadata object */
+  metadata?: Record<string, string>;
+  /** Cache-Control header stored with the blob */
+  cacheControl?: string;
+  /** Custom domain for URLs (e.g., 'https://cdn.example.com') */
+  customDomain?: string;
+  /** Size of the blocks staged while streaming, in bytes (default: 4 MB) */
+  blockSize?: number;
+  /** Blocks staged in parallel (default: 5) */
+  concurrency?: number;
+  /** Additional BlobServiceClient options */
+  clientOptions?: Record<string, any>;
+  /** Additional uploadStream options */
+  uploadOptions?: Record<string, any>;
+}
+
+/**
+ * Local directory (mounted volume, NFS share) used as a cloud provider: files are returned with
+ * the same fields as S3/GCS/Azure uploads, cloudUrl built from baseUrl
+ */
+export interface LocalStorageConfig {
+  /** Directory files are written to (required) */
+  directory: string;
+  /** Public URL the directory is served from, e.g. 'https://static.example.com/uploads' (required) */
+  baseUrl: string;
+  /** Optional subfolder, with {fieldname}, {yyyy}, {mm}, {dd} placeholders (e.g., 'avatars/', '{fieldname}/{yyyy}/') */
+  prefix?: string;
+  /** Create the directory at startup when it does not exist (default: true) */
+  createDirectory?: boolean;
+}
+
 //! ========================================
 //! FIELD CONFIGURATION TYPES
 //! ========================================
 
+/**
+ * Resize options applied inside the conversion pipeline
+ * @see https://sharp.pixelplumbing.com/api-resize
+ */
+export interface ResizeOptions {
+  /** Target width in pixels (auto-scaled from height if omitted) */
+  width?: number;
+  /** Target height in pixels (auto-scaled from width if omitted) */
+  height?: number;
+  /** How the image should fit both dimensions (default: 'cover') */
+  fit?: ResizeFit;
+  /** Position/gravity used when fit is 'cover' or 'contain' (default: 'centre') */
+  position?: string | number;
+  /** Do not upscale images smaller than the target (default: false) */
+  withoutEnlargement?: boolean;
+}
+
+/** Area kept when cropping to an aspect ratio: 'attention' favours salient regions (faces, contrast), 'entropy' the most detailed one */
+export type CropStrategy = 'center' | 'attention' | 'entropy';
+
+export type WatermarkGravity = 'north' | 'northeast' | 'east' | 'southeast' | 'south' | 'southwest' | 'west' | 'northwest' | 'center' | 'centre';
+
+/**
+ * Mark composited onto converted images after resizing (variants get one scaled to their own size).
+ * Give exactly one of image / text.
+ */
+export interface WatermarkOptions {
+  /** Mark image: file path or Buffer (PNG with transparency works best) */
+  image?: string | Buffer;
+  /** Mark text, rendered white on one line */
+  text?: string;
+  /** Where the mark goes (default: 'southeast') */
+  gravity?: WatermarkGravity;
+  /** Mark opacity 0-1 (default: 0.5) */
+  opacity?: number;
+  /** Mark width as a fraction of the image width (default: 0.25) */
+  scale?: number;
+  /** Distance to the edges as a fraction of the image width (default: 0.02) */
+  margin?: number;
+}
+
+/**
+ * A rendition generated from the same upload (responsive images)
+ */
+export interface VariantOptions {
+  /** Rendition width in pixels */
+  width?: number;
+  /** Rendition height in pixels */
+  height?: number;
+  /** Rendition format (defaults to the field format) */
+  format?: ImageFormat;
+  /** Rendition quality 1-100 (defaults to the field quality) */
+  quality?: number;
+  /** How the rendition should fit both dimensions (default: 'cover') */
+  fit?: ResizeFit;
+  /** Do not upscale images smaller than the rendition (default: false) */
+  withoutEnlargement?: boolean;
+  /** Filename suffix (default: '<width>w' or '<height>h') */
+  suffix?: string;
+}
+
 /**
  * Base configuration for file field processing
  */
@@ -122,8 +381,122 @@ export interface BaseFieldConfig {
   format?: ImageFormat;
   /** Compression quality 1-100 (default: 80). Higher = better quality, larger size. */
   quality?: number;
+  /**
+   * Highest quality whose output fits this size, in bytes or as a string ('150kb'); replaces quality.
+   * Found by binary search (about 7 encodes of the buffered upload). Lossy formats only: jpeg, webp, avif, heif.
+   */
+  targetSize?: number | string;
+  /**
+   * Lowest quality whose decoded output stays this similar to the source, e.g. { metric: 'ssim', min: 0.95 }; replaces quality.
+   * Cannot be combined with targetSize. Lossy formats only: jpeg, webp, avif, heif.
+   */
+  targetQuality?: QualityTarget;
+  /** Encoder options per format, e.g. { avif: { effort: 4 }, jpeg: { mozjpeg: true } } */
+  formatOptions?: FormatOptions;
+  /** Resize images during conversion (ignored when keepOriginal is true) */
+  resize?: ResizeOptions;
+  /**
+   * Crop converted images and variants to this aspect ratio before resizing: '1:1', '3:1' or width / height.
+   * A resize width or height gives the other side; without resize the largest area of that ratio is kept.
+   * Buffers the upload while it is processed; disables onlyIfSmaller.
+   */
+  aspect?: string | number;
+  /** Area kept by aspect: the middle, the most salient region or the most detailed one (default: 'center') */
+  crop?: CropStrategy;
+  /**
+   * Form field carrying a client crop box as JSON {"x","y","w","h"} in upright pixels, applied before aspect / resize.
+   * With upflyUpload the form must send it before the file. Boxes outside the image skip the file (INVALID_CROP).
+   */
+  cropField?: string;
+  /** Extra renditions generated from the same upload, stored alongside the main file (exposed as file.variants) */
+  variants?: VariantOptions[];
+  /**
+   * Loading placeholders computed from one small decode of the upload, framed like the stored image (exposed as file.placeholder).
+   * A failure only logs a warning: the file is stored without placeholder.
+   */
+  placeholder?: PlaceholderType | PlaceholderType[];
+  /** Logo or text composited onto converted images and variants (not applied to keepOriginal files, disables onlyIfSmaller) */
+  watermark?: WatermarkOptions;
   /** Skip conversion, keep original format and quality (default: false) */
   keepOriginal?: boolean;
+  /**
+   * Store the original instead when the converted image is larger (default: false).
+   * The original gets the same metadata handling as a keepOriginal image; the result carries _metadata.keptOriginalReason.
+   */
+  onlyIfSmaller?: boolean;
+  /**
+   * Ordered per-file overrides of format / quality / keepOriginal / formatOptions; the first matching rule wins.
+   * Size conditions read the upload up to the largest bound before processing starts.
+   */
+  rules?: ConversionRule[];
+  /**
+   * Metadata kept in stored images (default: 'strip', which removes EXIF incl. GPS, ICC and XMP).
+   * Also applied to keepOriginal images: JPEG, PNG, WebP and GIF are rewritten losslessly, TIFF and AVIF re-encoded losslessly.
+   * Rewritten originals are read into memory whole; JPEG and WebP files with nothing to remove are streamed unchanged.
+   */
+  metadata?: MetadataPolicy;
+  /** Rotate images according to their EXIF orientation before the tag is stripped (default: true) */
+  autoOrient?: boolean;
+  /**
+   * Colorspace of converted images and variants, converted through the input's ICC profile (CMYK without one uses a generic CMYK profile):
+   * - 'srgb': sRGB, with the sRGB profile attached only when the metadata policy keeps ICC
+   * - 'p3': Display P3, always tagged with its profile
+   * - 'preserve': keep the input's pixels and profile (CMYK is still converted to sRGB)
+   * Without it, images are converted to sRGB and the metadata policy decides whether the input's profile is kept.
+   * The input's colorspace is reported as file.inputColorspace / file.inputIccProfile.
+   */
+  colorspace?: 'srgb' | 'p3' | 'preserve';
+  /**
+   * Animated GIF / WebP uploads (default: 'preserve'):
+   * - 'preserve': convert every frame, keeping loop and delays; formats that cannot animate (AVIF, JPEG, PNG...) are written as WebP
+   * - 'firstFrame': convert the first frame only
+   * - 'reject': refuse animated images, APNG and AVIF sequences included (ANIMATION_NOT_ALLOWED)
+   */
+  animated?: 'preserve' | 'firstFrame' | 'reject';
+  /**
+   * SVG uploads (default: keepOriginal decides, as for other images):
+   * - 'sanitize': store the SVG itself
+   * - 'rasterize': convert it to the field's format, even with keepOriginal
+   * - 'reject': refuse SVG uploads (SVG_NOT_ALLOWED)
+   * Every stored SVG is sanitized first: script, foreignObject and embedding elements, on* attributes, external
+   * hrefs and url() references, doctype entities and stylesheet instructions are removed. Unparseable SVGs are refused (INVALID_SVG).
+   */
+  svg?: 'sanitize' | 'rasterize' | 'reject';
+  /**
+   * Multi-page TIFF and PDF uploads: pages rendered as separate images, encoded like the main output and stored next to it (exposed as file.pages).
+   * - 'first': TIFFs keep their usual single output; PDFs get their first page rendered as a thumbnail
+   * - 'all': every page
+   * - number[]: these pages, 0 being the first one
+   * PDFs need a libvips built with PDF support; without it the PDF is stored with an empty pages list and _metadata.errors.pages.
+   */
+  pages?: 'first' | 'all' | number[];
+  /** Expose the upload's parsed EXIF tags as file.exif, read before metadata is stripped (default: false) */
+  parseExif?: boolean;
+  /** Per-field maximum file size in bytes or as a string ('5mb', '500kb'). The global `limit` still applies. (upflyUpload only) */
+  maxSize?: number | string;
+  /** Maximum number of files for the field; wildcard keys count all matching fields together (upflyUpload only) */
+  maxCount?: number;
+  /** Minimum number of successfully processed files for the field (upflyUpload only) */
+  minCount?: number;
+  /** Shorthand for minCount: 1 (upflyUpload only) */
+  required?: boolean;
+  /** Accepted mimetypes, globs allowed (e.g. ['image/*', 'application/pdf']). Rejected files are listed in req.upflyRejected. */
+  allowedTypes?: string[];
+  /** Refused mimetypes, globs allowed (checked before allowedTypes) */
+  deniedTypes?: string[];
+  /** Accepted filename extensions (e.g. ['.jpg', '.png']) */
+  allowedExtensions?: string[];
+  /** Maximum width × height of an image. Checked from the file header before decoding (decompression-bomb protection). */
+  maxPixels?: number;
+  /** Maximum image width in pixels (checked from the header) */
+  maxWidth?: number;
+  /** Maximum image height in pixels (checked from the header) */
+  maxHeight?: number;
+  /**
+   * What to do when the file content (magic bytes) does not match the client mimetype (default: 'relabel').
+   * Files declared as images whose content is not an image are always skipped unless set to 'ignore'.
+   */
+  mimeMismatch?: MimeMismatchPolicy;
   /** Enable cloud storage upload (default: false) */
   cloudStorage?: boolean;
 }
@@ -150,7 +523,43 @@ export interface GCSFieldConfig extends BaseFieldConfig {
   cloudConfig: GCSConfig;
 }
 
-export type FieldConfig = LocalFieldConfig | CloudinaryFieldConfig | S3FieldConfig | GCSFieldConfig;
+export interface AzureFieldConfig extends BaseFieldConfig {
+  cloudStorage: true;
+  cloudProvider: 'azure';
+  cloudConfig: AzureConfig;
+}
+
+export interface LocalStorageFieldConfig extends BaseFieldConfig {
+  cloudStorage: true;
+  cloudProvider: 'local';
+  cloudConfig: LocalStorageConfig;
+}
+
+/**
+ * Field configuration for each provider declared in CloudProviderConfigs
+ */
+export type CustomCloudFieldConfig = {
+  [P in RegisteredCloudProvider]: BaseFieldConfig & {
+    cloudStorage: true;
+    cloudProvider: P;
+    cloudConfig: CloudProviderConfigs[P];
+  };
+}[RegisteredCloudProvider];
+
+export type FieldConfig = LocalFieldConfig | CloudinaryFieldConfig | S3FieldConfig | GCSFieldConfig | AzureFieldConfig | LocalStorageFieldConfig | CustomCloudFieldConfig;
+
+/**
+ * Field configuration for upflyConvert, where the format can be negotiated per request
+ */
+export type ConvertFieldConfig = Omit<LocalFieldConfig, 'format'> & {
+  /** Target format, or 'auto' to pick from formatPreference using the request's Accept header (also sets Vary: Accept) */
+  format?: ImageFormat | 'auto';
+  /**
+   * Formats for format: 'auto', best first (default: ['avif', 'webp', 'jpeg']).
+   * Only types listed explicitly in Accept count (wildcards do not); the last entry is the fallback.
+   */
+  formatPreference?: ImageFormat[];
+};
 
 //! ========================================
 //! MAIN OPTIONS INTERFACES
@@ -175,7 +584,7 @@ export interface UpflyOptions {
  */
 export interface ConvertOptions {
   /** Field configurations mapped by HTML form field names */
-  fields: Record<string, FieldConfig>;
+  fields: Record<string, ConvertFieldConfig>;
   /** Global output directory for disk storage (default: './uploads'). Field-specific outputDir takes precedence when specified. */
   outputDir?: string;
   /** Enable backup fallback system for failed conversions (default: false) */
@@ -196,6 +605,8 @@ export interface FileErrorMetadata {
   isSkipped: boolean;
   /** True if file was successfully processed (even if via fallback) */
   isProcessed: boolean;
+  /** Set when onlyIfSmaller stored the original because the converted image was larger */
+  keptOriginalReason?: 'larger';
   /** Detailed error information */
   errors: {
     /** Sharp image conversion error message */
@@ -204,6 +615,22 @@ export interface FileErrorMetadata {
     cloudUpload?: string;
     /** Disk write error message */
     diskWrite?: string;
+    /** Content check error (file content does not match the declared mimetype) */
+    mimetype?: string;
+    /** Type rule error (content type not allowed by allowedTypes / deniedTypes) */
+    type?: string;
+    /** Image exceeds maxPixels / maxWidth / maxHeight (never replaced by the safeFile backup) */
+    limits?: string;
+    /** Client crop box (cropField) is malformed or outside the image */
+    crop?: string;
+    /** Animated image refused by animated: 'reject' */
+    animated?: string;
+    /** SVG refused by svg: 'reject', or markup the sanitizer could not parse */
+    svg?: string;
+    /** Metadata could not be removed from a keepOriginal image (file stored unchanged) */
+    metadata?: string;
+    /** The document's pages could not be read (pages option; file stored without pages) */
+    pages?: string;
     /** Pipeline processing error message */
     pipeline?: string;
     /** Backup fallback error message */
@@ -217,7 +644,7 @@ export interface FileErrorMetadata {
  * Cloud upload result metadata
  */
 export interface CloudResult {
-  /** Cloud provider name ('cloudinary', 's3', 'gcs') */
+  /** Cloud provider name ('cloudinary', 's3', 'gcs', 'azure') */
   cloudProvider: string;
   /** Public URL of the uploaded file */
   cloudUrl: string;
@@ -235,11 +662,11 @@ export interface CloudResult {
   cloudCreatedAt?: string;
   /** Resource type (e.g., 'image', 'video') */
   cloudResourceType?: string;
-  /** Bucket/container name (S3/GCS) */
+  /** Bucket/container name (S3/GCS/Azure) */
   cloudBucket?: string;
   /** Cloud region (S3) */
   cloudRegion?: string;
-  /** Entity tag for cache validation (S3) */
+  /** Entity tag for cache validation (S3/Azure) */
   cloudETag?: string;
   /** MIME type of the uploaded file */
   cloudContentType?: string;
@@ -247,9 +674,104 @@ export interface CloudResult {
   _cloudRaw?: any;
 }
 
+/**
+ * - 'blurhash': BlurHash string (https://blurha.sh)
+ * - 'lqip': tiny WebP as a base64 data URI
+ * - 'dominantColor': hex color, e.g. '#3a6f9c'
+ */
+export type PlaceholderType = 'blurhash' | 'lqip' | 'dominantColor';
+
+/**
+ * Placeholders of an image (see BaseFieldConfig.placeholder), only the requested ones are set
+ */
+export interface UpflyPlaceholder {
+  /** BlurHash string, 4x3 components (3x4 for portrait images) */
+  blurhash?: string;
+  /** data:image/webp;base64 URI of a 16px rendition */
+  lqip?: string;
+  /** Dominant color as '#rrggbb' (transparent areas count as white) */
+  dominantColor?: string;
+}
+
+/**
+ * A stored variant (see BaseFieldConfig.variants)
+ */
+export interface UpflyVariant {
+  /** Output width in pixels */
+  width?: number;
+  /** Output height in pixels */
+  height?: number;
+  /** Output format */
+  format: string;
+  /** Filename suffix used for this variant */
+  suffix: string;
+  /** Generated filename */
+  filename: string;
+  /** MIME type of the variant */
+  mimetype: string;
+  /** Size in bytes */
+  size?: number;
+  /** Variant buffer (when output: 'memory') */
+  buffer?: Buffer;
+  /** Variant path (when output: 'disk') */
+  path?: string;
+  /** Cloud provider name (when cloudStorage is enabled) */
+  cloudProvider?: string;
+  /** Public URL (when cloudStorage is enabled) */
+  cloudUrl?: string;
+  /** Cloud provider's file identifier (when cloudStorage is enabled) */
+  cloudPublicId?: string;
+  /** Error message if this variant could not be generated or stored */
+  error?: string;
+}
+
+/**
+ * A stored page of a multi-page document (see BaseFieldConfig.pages)
+ */
+export interface UpflyPage {
+  /** Page index, 0 being the first page */
+  page: number;
+  /** Output width in pixels */
+  width?: number;
+  /** Output height in pixels */
+  height?: number;
+  /** Output format */
+  format: string;
+  /** Generated filename ('-p<page>' suffix) */
+  filename: string;
+  /** MIME type of the page image */
+  mimetype: string;
+  /** Size in bytes */
+  size?: number;
+  /** Page buffer (when output: 'memory') */
+  buffer?: Buffer;
+  /** Page path (when output: 'disk') */
+  path?: string;
+  /** Cloud provider name (when cloudStorage is enabled) */
+  cloudProvider?: string;
+  /** Public URL (when cloudStorage is enabled) */
+  cloudUrl?: string;
+  /** Cloud provider's file identifier (when cloudStorage is enabled) */
+  cloudPublicId?: string;
+  /** Error message if this page does not exist or could not be rendered or stored */
+  error?: string;
+}
+
 /**
  * Upfly file object (extends Multer file with additional properties)
  */
+/**
+ * Commonly used EXIF tags, grouped by IFD (tag names as in the EXIF specification)
+ */
+export interface UpflyExif {
+  /** IFD0 tags: Make, Model, Orientation, DateTime, Software... */
+  image: Record<string, string | number | number[]>;
+  /** Exif sub-IFD tags: ExposureTime, FNumber, ISOSpeedRatings, DateTimeOriginal, LensModel... */
+  photo: Record<string, string | number | number[]>;
+  /** GPS tags, plus decimal `latitude` / `longitude` when both are present */
+  gps: Record<string, string | number | number[]> & { latitude?: number; longitude?: number };
+}
+
 export interface UpflyFile {
   /** HTML form field name */
   fieldname: string;
@@ -259,12 +781,16 @@ export interface UpflyFile {
   encoding: string;
   /** MIME type of the file */
   mimetype: string;
+  /** MIME type detected from the file content (null if not recognised) */
+  detectedMimetype?: string | null;
   /** Final file size in bytes (after conversion if applicable) */
   size?: number;
   /** Original file size before conversion */
   originalSize?: number;
   /** Converted file size (for tracking compression savings) */
   convertedSize?: number;
+  /** Quality chosen by targetSize / targetQuality */
+  quality?: number;
   /** File buffer (when output: 'memory') */
   buffer?: Buffer;
   /** File path (when output: 'disk') */
@@ -279,6 +805,33 @@ export interface UpflyFile {
   _processed?: boolean;
   /** Error and fallback metadata */
   _metadata?: FileErrorMetadata;
+  /** Generated renditions (when the field config has variants) */
+  variants?: UpflyVariant[];
+  /** Loading placeholders (when the field config has placeholder) */
+  placeholder?: UpflyPlaceholder;
+  /** Rendered pages of a multi-page TIFF or PDF (when the field config has pages) */
+  pages?: UpflyPage[];
+  // Image details (processed images only)
+  /** Width in pixels of the stored image */
+  width?: number;
+  /** Height in pixels of the stored image (of one frame for animations) */
+  height?: number;
+  /** Number of frames of the stored image (1 for still images) */
+  frames?: number;
+  /** Format of the stored image (e.g. 'webp', 'jpeg') */
+  format?: string;
+  /** True if the stored image has an alpha channel */
+  hasAlpha?: boolean;
+  /** EXIF orientation of the uploaded image (1 = upright) */
+  orientation?: number;
+  /** Resolution of the uploaded image in DPI, when embedded */
+  density?: number;
+  /** Colorspace of the uploaded image as libvips reads it ('srgb', 'cmyk', 'b-w', 'rgb16'...) */
+  inputColorspace?: string;
+  /** Description of the uploaded image's embedded ICC profile ('Display P3', 'U.S. Web Coated (SWOP) v2'...); null without one */
+  inputIccProfile?: string | null;
+  /** Parsed EXIF tags of the uploaded image (parseExif: true); null when the image has none */
+  exif?: UpflyExif | null;
   // Cloud storage properties (when cloudStorage is enabled)
   /** Cloud provider name */
   cloudProvider?: string;
@@ -298,7 +851,7 @@ export interface UpflyFile {
   cloudCreatedAt?: string;
   /** Resource type */
   cloudResourceType?: string;
-  /** Bucket name (S3/GCS) */
+  /** Bucket/container name (S3/GCS/Azure) */
   cloudBucket?: string;
   /** Region (S3) */
   cloudRegion?: string;
@@ -310,6 +863,36 @@ export interface UpflyFile {
   _cloudRaw?: any;
 }
 
+export type UpflyRejectionCode =
+  | 'UNEXPECTED_FIELD'
+  | 'TYPE_NOT_ALLOWED'
+  | 'TYPE_DENIED'
+  | 'EXTENSION_NOT_ALLOWED'
+  | 'CONTENT_MISMATCH'
+  | 'DIMENSIONS_EXCEEDED'
+  | 'INVALID_CROP'
+  | 'ANIMATION_NOT_ALLOWED'
+  | 'SVG_NOT_ALLOWED'
+  | 'INVALID_SVG';
+
+/**
+ * A file refused by the field's type rules or content check (see req.upflyRejected)
+ */
+export interface UpflyRejectedFile {
+  /** HTML form field name */
+  fieldname: string;
+  /** Original filename from user's device */
+  originalname: string;
+  /** MIME type declared by the client */
+  mimetype: string;
+  /** MIME type detected from the content (when the content was inspected) */
+  detectedMimetype?: string | null;
+  /** Why the file was rejected */
+  code: UpflyRejectionCode;
+  /** Human readable reason */
+  reason: string;
+}
+
 //! ========================================
 //! EXPRESS REQUEST EXTENSIONS
 //! ========================================
@@ -317,6 +900,29 @@ export interface UpflyFile {
 export interface UpflyRequest extends Express.Request {
   file?: UpflyFile;
   files?: Record<string, UpflyFile[]> | UpflyFile[];
+  /** Files refused by allowedTypes / deniedTypes / allowedExtensions, unexpected fields or the content check */
+  upflyRejected?: UpflyRejectedFile[];
+}
+
+//! ========================================
+//! ERRORS
+//! ========================================
+
+export type UpflyLimitCode = 'LIMIT_FILE_SIZE' | 'LIMIT_FILE_COUNT' | 'LIMIT_MIN_FILE_COUNT';
+
+/**
+ * Passed to next(err) when a per-field limit (maxSize, maxCount, minCount/required) is violated.
+ * Codes mirror multer's where they overlap, so one error handler can serve both.
+ */
+export declare class UpflyLimitError extends Error {
+  constructor(code: UpflyLimitCode, field: string, limit: number, message: string);
+  name: 'UpflyLimitError';
+  /** Violated limit */
+  code: UpflyLimitCode;
+  /** Field name the limit belongs to (config key for minCount/required) */
+  field: string;
+  /** Configured limit value (bytes or file count) */
+  limit: number;
 }
 
 //! ========================================
@@ -425,33 +1031,45 @@ export declare function upflyConvert(options?: ConvertOptions): RequestHandler;
 //! CLOUD ADAPTER EXPORTS (Advanced Usage)
 //! ========================================
 
-export interface CloudAdapter {
-  validateConnection(): Promise<boolean>;
-  upload(stream: NodeJS.ReadableStream, metadata: any): Promise<CloudResult>;
-  delete(publicId: string): Promise<void>;
-}
-
-export declare class CloudinaryAdapter implements CloudAdapter {
-  constructor(config: CloudinaryConfig);
-  validateConnection(): Promise<boolean>;
-  upload(stream: NodeJS.ReadableStream, metadata: any): Promise<CloudResult>;
-  delete(publicId: string): Promise<void>;
+/**
+ * Base class of the storage adapters; extend it for a custom provider and add it with registerCloudProvider
+ */
+export declare abstract class CloudAdapter<TConfig = any> {
+  constructor(config: TConfig);
+  /** The field's cloudConfig */
+  config: TConfig;
+  /** Checks the configuration and the connection (called at startup) */
+  abstract validateConnection(): Promise<boolean>;
+  /** Stores the stream under metadata.filename */
+  abstract upload(stream: NodeJS.ReadableStream, metadata: any): Promise<CloudResult>;
+  /** Removes a file by the cloudPublicId its upload returned */
+  abstract delete(publicId: string): Promise<void>;
 }
 
-export declare class S3Adapter implements CloudAdapter {
-  constructor(config: S3Config);
-  validateConnection(): Promise<boolean>;
-  upload(stream: NodeJS.ReadableStream, metadata: any): Promise<CloudResult>;
-  delete(publicId: string): Promise<void>;
+export interface CloudProviderOptions<TConfig = any> {
+  /** Returns the missing required cloudConfig fields, reported at startup like the built-in providers; may throw for invalid values */
+  validate?: (cloudConfig: TConfig, fieldname: string) => string[] | void;
+  /** Other names for the same provider (e.g. 'aws' for 's3') */
+  aliases?: string[];
 }
 
-export declare class GCSAdapter implements CloudAdapter {
-  constructor(config: GCSConfig);
-  validateConnection(): Promise<boolean>;
-  upload(stream: NodeJS.ReadableStream, metadata: any): Promise<CloudResult>;
-  delete(publicId: string): Promise<void>;
-}
+/**
+ * Adds a storage provider usable as `cloudProvider` (case-insensitive); registering an existing name replaces it
+ * @example
+ * ```typescript
+ * class MinioAdapter extends CloudAdapter<MinioConfig> { ... }
+ *
+ * registerCloudProvider('minio', MinioAdapter, {
+ *   validate: (config) => (config.bucket ? [] : ['bucket'])
+ * });
+ * ```
+ */
+export declare function registerCloudProvider<TConfig>(
+  name: string,
+  Adapter: new (config: TConfig) => CloudAdapter<TConfig>,
+  options?: CloudProviderOptions<TConfig>
+): void;
 
-export declare function createCloudAdapter(provider: CloudProvider, config: CloudinaryConfig | S3Config | GCSConfig): CloudAdapter;
+export declare function createCloudAdapter(provider: CloudProvider, config: CloudinaryConfig | S3Config | GCSConfig | AzureConfig | LocalStorageConfig | CloudProviderConfigs[RegisteredCloudProvider]): CloudAdapter;
 export declare function uploadToCloud(stream: NodeJS.ReadableStream, metadata: any, cloudProvider: CloudProvider, cloudConfig: any, backup?: any): Promise<CloudResult>;
 export declare function validateAllCloudConfigs(fields: Record<string, FieldConfig>): Promise<void>;
\ No newline at end of file
@@ -0,0 +1,106 @@
+const CloudAdapter = require('./CloudAdapter');
+const { applyKeyPrefix } = require('./keyPrefix');
+
+//! ========================================
+//! AZURE BLOB STORAGE ADAPTER
+//! ========================================
+
+// uploadStream defaults: 4 MB blocks, 5 staged in parallel (memory used: blockSize × concurrency)
+const DEFAULT_BLOCK_SIZE = 4 * 1024 * 1024;
+const DEFAULT_CONCURRENCY = 5;
+
+class AzureBlobAdapter extends CloudAdapter {
+  constructor(config) {
+    super(config);
+
+    let sdk;
+    try {
+      sdk = require('@azure/storage-blob');
+    } catch (err) {
+      throw new Error('Azure Storage SDK not found. Install with: npm install @azure/storage-blob');
+    }
+
+    const { BlobServiceClient, StorageSharedKeyCredential, AnonymousCredential } = sdk;
+
+    if (config.connectionString) {
+      // Also covers Azurite: 'UseDevelopmentStorage=true'
+      this.serviceClient = BlobServiceClient.fromConnectionString(config.connectionString, config.clientOptions);
+    } else {
+      const endpoint = (config.endpoint || `https://${config.accountName}.blob.core.windows.net`).replace(/\/+$/, '');
+      if (config.accountKey) {
+        const credential = new StorageSharedKeyCredential(config.accountName, config.accountKey);
+        this.serviceClient = new BlobServiceClient(endpoint, credential, config.clientOptions);
+      } else {
+        const sas = String(config.sasToken).replace(/^\?/, '');
+        this.serviceClient = new BlobServiceClient(`${endpoint}?${sas}`, new AnonymousCredential(), config.clientOptions);
+      }
+    }
+
+    this.containerName = config.container;
+    this.containerClient = this.serviceClient.getContainerClient(config.container);
+  }
+
+  async validateConnection() {
+    try {
+      const exists = await this.containerClient.exists();
+      if (!exists) {
+        throw new Error(`Container "${this.containerName}" does not exist`);
+      }
+      return true;
+    } catch (error) {
+      throw new Error(`Azure validation failed: ${error.message}`);
+    }
+  }
+
+  async upload(stream, metadata) {
+    try {
+      const blobName = applyKeyPrefix(this.config.prefix, metadata.filename || metadata.originalname || 'file', metadata);
+      const blockBlobClient = this.containerClient.getBlockBlobClient(blobName);
+
+      // Staged as blocks while the stream is read, committed once it ends: the file is never buffered whole
+      const result = await blockBlobClient.uploadStream(
+        stream,
+        this.config.blockSize || DEFAULT_BLOCK_SIZE,
+        this.config.concurrency || DEFAULT_CONCURRENCY,
+        {
+          blobHTTPHeaders: {
+            blobContentType: metadata.mimetype,
+            ...(this.config.cacheControl && { blobCacheControl: this.config.cacheControl })
+          },
+          ...(this.config.accessTier && { tier: this.config.accessTier }),
+          ...(this.config.metadata && { metadata: this.config.metadata }),
+          ...this.config.uploadOptions
+        }
+      );
+
+      // The client URL carries the SAS token when one is used: never expose it.
+      // Custom domain URLs are built by hand, so each path segment is encoded like the client's
+      const publicUrl = this.config.customDomain
+        ? `${this.config.customDomain.replace(/\/+$/, '')}/${blobName.split('/').map(encodeURIComponent).join('/')}`
+        : blockBlobClient.url.split('?')[0];
+
+      return {
+        cloudProvider: 'azure',
+        cloudUrl: publicUrl,
+        cloudPublicId: blobName,
+        cloudBucket: this.containerName,
+        cloudETag: result.etag,
+        cloudSize: metadata.size,
+        cloudContentType: metadata.mimetype,
+        _cloudRaw: result
+      };
+    } catch (error) {
+      throw new Error(`Azure upload failed: ${error.message}`);
+    }
+  }
+
+  async delete(blobName) {
+    try {
+      await this.containerClient.getBlockBlobClient(blobName).delete();
+    } catch (error) {
+      throw new Error(`Azure delete failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AzureBlobAdapter;
@@ -1,4 +1,5 @@
 const CloudAdapter = require('./CloudAdapter');
+const { applyKeyPrefix } = require('./keyPrefix');
 
 //! ========================================
 //! GOOGLE CLOUD STORAGE ADAPTER
@@ -45,13 +46,14 @@ class GCSAdapter extends CloudAdapter {
 
   async upload(stream, metadata) {
     try {
-      const filename = metadata.filename || metadata.originalname || 'file';
+      const filename = applyKeyPrefix(this.config.prefix, metadata.filename || metadata.originalname || 'file', metadata);
 
       const file = this.bucket.file(filename);
       
       const writeStream = file.createWriteStream({
         metadata: {
           contentType: metadata.mimetype,
+          ...(this.config.storageClass && { storageClass: this.config.storageClass }),
           ...this.config.metadata
         },
         resumable: this.config.resumable !== false,
@@ -70,9 +72,10 @@ class GCSAdapter extends CloudAdapter {
                 await file.makePublic();
               }
 
+              const encodedName = filename.split('/').map(encodeURIComponent).join('/');
               const publicUrl = this.config.customDomain
-                ? `${this.config.customDomain}/${filename}`
-                : `https://storage.googleapis.com/${this.bucketName}/${filename}`;
+                ? `${this.config.customDomain}/${encodedName}`
+                : `https://storage.googleapis.com/${this.bucketName}/${encodedName}`;
 
               resolve({
                 cloudProvider: 'gcs',
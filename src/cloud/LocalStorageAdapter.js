@@ -0,0 +1,96 @@
+const fs = require('fs');
+const fsPromise = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const CloudAdapter = require('./CloudAdapter');
+const { applyKeyPrefix } = require('./keyPrefix');
+
+//! ========================================
+//! LOCAL FILESYSTEM ADAPTER (mounted volumes, NFS)
+//! ========================================
+
+class LocalStorageAdapter extends CloudAdapter {
+  constructor(config) {
+    super(config);
+    this.root = path.resolve(config.directory);
+    this.baseUrl = String(config.baseUrl).replace(/\/+$/, '');
+  }
+
+  async validateConnection() {
+    try {
+      if (this.config.createDirectory !== false) {
+        await fsPromise.mkdir(this.root, { recursive: true });
+      }
+      const stats = await fsPromise.stat(this.root);
+      if (!stats.isDirectory()) {
+        throw new Error(`"${this.root}" is not a directory`);
+      }
+      await fsPromise.access(this.root, fs.constants.W_OK);
+      return true;
+    } catch (error) {
+      throw new Error(`Local storage validation failed: ${error.message}`);
+    }
+  }
+
+  // Relative key ('/'-separated) and its absolute path, which must stay inside the directory
+  resolveKey(key) {
+    const segments = key.split(/[\\/]+/).filter(Boolean);
+    const relativeKey = segments.join('/');
+    const filePath = path.resolve(this.root, relativeKey);
+    if (!relativeKey || segments.includes('..') || !filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid key "${key}": outside the storage directory`);
+    }
+    return { relativeKey, filePath };
+  }
+
+  async upload(stream, metadata) {
+    let tempPath = null;
+    // The middleware hands over streams that may already be flowing: hold the data until the file is open
+    stream.pause();
+    try {
+      const { relativeKey, filePath } = this.resolveKey(
+        applyKeyPrefix(this.config.prefix, metadata.filename || metadata.originalname || 'file', metadata)
+      );
+      await fsPromise.mkdir(path.dirname(filePath), { recursive: true });
+
+      // Written beside the target then renamed: readers never see a partial file, a failed upload leaves nothing behind
+      tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await pipeline(stream, fs.createWriteStream(tempPath));
+      const { size } = await fsPromise.stat(tempPath);
+      await fsPromise.rename(tempPath, filePath);
+      tempPath = null;
+
+      const publicPath = relativeKey.split('/').map(encodeURIComponent).join('/');
+      return {
+        cloudProvider: 'local',
+        cloudUrl: `${this.baseUrl}/${publicPath}`,
+        cloudPublicId: relativeKey,
+        cloudSize: size,
+        cloudContentType: metadata.mimetype,
+        _cloudRaw: { path: filePath }
+      };
+    } catch (error) {
+      if (tempPath) {
+        await fsPromise.unlink(tempPath).catch(() => {});
+      }
+      throw new Error(`Local upload failed: ${error.message}`);
+    }
+  }
+
+  // The key is used as returned in cloudPublicId (prefix included); a file that is already gone counts as deleted, as on S3
+  async delete(key) {
+    try {
+      const filePath = path.resolve(this.root, key);
+      if (!filePath.startsWith(this.root + path.sep)) {
+        throw new Error(`Invalid key "${key}": outside the storage directory`);
+      }
+      await fsPromise.unlink(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw new Error(`Local delete failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LocalStorageAdapter;
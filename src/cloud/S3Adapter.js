@@ -1,9 +1,12 @@
 const CloudAdapter = require('./CloudAdapter');
+const { applyKeyPrefix } = require('./keyPrefix');
 
 //! ========================================
 //! AWS S3 ADAPTER
 //! ========================================
 
+const DEFAULT_REGION = 'us-east-1';
+
 class S3Adapter extends CloudAdapter {
   constructor(config) {
     super(config);
@@ -16,12 +19,17 @@ class S3Adapter extends CloudAdapter {
       this.PutObjectCommand = PutObjectCommand;
       this.Upload = Upload;
       
+      // S3-compatible services (MinIO, R2...) take any region; 'us-east-1' is what MinIO expects by default
+      this.region = config.region || DEFAULT_REGION;
+
       this.client = new S3Client({
-        region: config.region,
+        region: this.region,
         credentials: {
           accessKeyId: config.accessKeyId,
           secretAccessKey: config.secretAccessKey
         },
+        ...(config.endpoint && { endpoint: config.endpoint }),
+        ...(config.forcePathStyle !== undefined && { forcePathStyle: config.forcePathStyle }),
         ...config.clientOptions
       });
       
@@ -43,13 +51,21 @@ class S3Adapter extends CloudAdapter {
 
   async upload(stream, metadata) {
     try {
-      const key =  metadata.filename || metadata.originalname || 'File';
+      const { prefix = this.config.keyPrefix, storageClass, serverSideEncryption, kmsKeyId, metadata: customMetadata } = this.config;
+      const key = applyKeyPrefix(prefix, metadata.filename || metadata.originalname || 'File', metadata);
 
       const uploadParams = {
         Bucket: this.bucket,
         Key: key,
         Body: stream,
         ContentType: metadata.mimetype,
+        ...(storageClass && { StorageClass: storageClass }),
+        ...(serverSideEncryption && { ServerSideEncryption: serverSideEncryption }),
+        ...(kmsKeyId && { SSEKMSKeyId: kmsKeyId }),
+        // Sent as x-amz-meta-* headers: values must be strings
+        ...(customMetadata && {
+          Metadata: Object.fromEntries(Object.entries(customMetadata).map(([name, value]) => [name, String(value)]))
+        }),
         ...this.config.uploadParams
       };
 
@@ -65,17 +81,12 @@ class S3Adapter extends CloudAdapter {
 
       const result = await upload.done();
 
-      // Construct public URL
-      const publicUrl = this.config.customDomain
-        ? `${this.config.customDomain}/${key}`
-        : `https://${this.bucket}.s3.${this.config.region}.amazonaws.com/${key}`;
-
       return {
         cloudProvider: 's3',
-        cloudUrl: publicUrl,
+        cloudUrl: this.getPublicUrl(key),
         cloudPublicId: key,
         cloudBucket: this.bucket,
-        cloudRegion: this.config.region,
+        cloudRegion: this.region,
         cloudETag: result.ETag,
         cloudSize: metadata.size,
         _cloudRaw: result
@@ -85,6 +96,26 @@ class S3Adapter extends CloudAdapter {
     }
   }
 
+  /**
+   * Object URL: under publicBaseUrl (CDN, R2 public bucket...) when set, otherwise addressed as the client does
+   * - virtual-hosted: https://bucket.s3.region.amazonaws.com/key, http://bucket.endpoint-host/key
+   * - path-style (forcePathStyle): https://s3.region.amazonaws.com/bucket/key, http://endpoint/bucket/key
+   */
+  getPublicUrl(key) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    const publicBaseUrl = this.config.publicBaseUrl || this.config.customDomain;
+    if (publicBaseUrl) {
+      return `${publicBaseUrl.replace(/\/+$/, '')}/${encodedKey}`;
+    }
+
+    const endpoint = new URL(this.config.endpoint || `https://s3.${this.region}.amazonaws.com`);
+    const basePath = endpoint.pathname.replace(/\/+$/, '');
+    if (this.config.forcePathStyle) {
+      return `${endpoint.origin}${basePath}/${this.bucket}/${encodedKey}`;
+    }
+    return `${endpoint.protocol}//${this.bucket}.${endpoint.host}${basePath}/${encodedKey}`;
+  }
+
   async delete(key) {
     try {
       const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
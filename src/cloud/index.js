@@ -3,31 +3,151 @@ const fs = require('fs');
 const path = require('path');
 
 const cloudLogger = require('./cloudLogger');
+const { validateKeyPrefix } = require('./keyPrefix');
 const CloudAdapter = require('./CloudAdapter');
 const CloudinaryAdapter = require('./CloudinaryAdapter');
 const S3Adapter = require('./S3Adapter');
 const GCSAdapter = require('./GCSAdapter');
+const AzureBlobAdapter = require('./AzureBlobAdapter');
+const LocalStorageAdapter = require('./LocalStorageAdapter');
+
+//! ========================================
+//! PROVIDER REGISTRY
+//! ========================================
+
+// Provider name (lowercase, aliases included) -> { name, Adapter, validate }
+const providers = new Map();
+
+/**
+ * Registers a storage provider usable as `cloudProvider` on any field
+ * @param {string} name - Provider name (case-insensitive); registering an existing name replaces it
+ * @param {typeof CloudAdapter} Adapter - Class extending CloudAdapter, constructed with the field's cloudConfig
+ * @param {Object} [options]
+ * @param {(cloudConfig: Object, fieldname: string) => string[]|void} [options.validate] - Returns the missing required
+ *   fields (reported at startup like the built-in providers); may throw for invalid values
+ * @param {string[]} [options.aliases] - Other names for the same provider (e.g. 'aws' for 's3')
+ */
+function registerCloudProvider(name, Adapter, options = {}) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new TypeError('Cloud provider name must be a non-empty string');
+  }
+  if (typeof Adapter !== 'function' || !(Adapter.prototype instanceof CloudAdapter)) {
+    throw new TypeError(`Cloud provider "${name}" must be a class extending CloudAdapter`);
+  }
+  const { validate, aliases = [] } = options;
+  if (validate !== undefined && typeof validate !== 'function') {
+    throw new TypeError(`Cloud provider "${name}" validate option must be a function`);
+  }
+  if (!Array.isArray(aliases) || aliases.some((alias) => typeof alias !== 'string' || !alias.trim())) {
+    throw new TypeError(`Cloud provider "${name}" aliases must be an array of non-empty strings`);
+  }
+
+  const entry = { name: name.trim().toLowerCase(), Adapter, validate };
+  for (const key of [name, ...aliases]) {
+    providers.set(key.trim().toLowerCase(), entry);
+  }
+}
+
+// Registered names, aliases left out (for error messages)
+const getSupportedProviders = () => [...new Set([...providers.values()].map((entry) => entry.name))].join(', ');
+
+const getProvider = (cloudProvider) => providers.get(String(cloudProvider).toLowerCase());
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Block blob tiers accepted on upload
+const AZURE_ACCESS_TIERS = ['Hot', 'Cool', 'Cold', 'Archive'];
+
+registerCloudProvider('cloudinary', CloudinaryAdapter, {
+  validate: (cloudConfig) => {
+    const missing = [];
+    if (!cloudConfig.cloud_name) missing.push('cloud_name');
+    if (!cloudConfig.api_key) missing.push('api_key');
+    if (!cloudConfig.api_secret) missing.push('api_secret');
+    return missing;
+  }
+});
+
+registerCloudProvider('s3', S3Adapter, {
+  aliases: ['aws'],
+  validate: (cloudConfig, fieldname) => {
+    const missing = [];
+    // Region only matters to AWS: S3-compatible endpoints default to 'us-east-1'
+    if (!cloudConfig.region && !cloudConfig.endpoint) missing.push('region');
+    if (!cloudConfig.bucket) missing.push('bucket');
+    if (!cloudConfig.accessKeyId) missing.push('accessKeyId');
+    if (!cloudConfig.secretAccessKey) missing.push('secretAccessKey');
+    validateKeyPrefix(fieldname, 'prefix', cloudConfig.prefix);
+    validateKeyPrefix(fieldname, 'keyPrefix', cloudConfig.keyPrefix);
+    if (cloudConfig.endpoint !== undefined && !isHttpUrl(cloudConfig.endpoint)) {
+      throw new TypeError(
+        `Field "${fieldname}" cloudConfig.endpoint must be an http(s) URL (e.g. 'http://localhost:9000')`
+      );
+    }
+    return missing;
+  }
+});
+
+registerCloudProvider('gcs', GCSAdapter, {
+  aliases: ['google'],
+  validate: (cloudConfig, fieldname) => {
+    const missing = [];
+    if (!cloudConfig.bucket) missing.push('bucket');
+    if (!cloudConfig.keyFilename && !cloudConfig.credentials) {
+      missing.push('keyFilename or credentials');
+    }
+    validateKeyPrefix(fieldname, 'prefix', cloudConfig.prefix);
+    return missing;
+  }
+});
+
+registerCloudProvider('azure', AzureBlobAdapter, {
+  validate: (cloudConfig, fieldname) => {
+    const missing = [];
+    if (!cloudConfig.container) missing.push('container');
+    if (!cloudConfig.connectionString) {
+      if (!cloudConfig.accountName) missing.push('connectionString or accountName');
+      if (!cloudConfig.accountKey && !cloudConfig.sasToken) missing.push('accountKey or sasToken');
+    }
+    validateKeyPrefix(fieldname, 'prefix', cloudConfig.prefix);
+    if (cloudConfig.accessTier !== undefined && !AZURE_ACCESS_TIERS.includes(cloudConfig.accessTier)) {
+      throw new RangeError(
+        `Field "${fieldname}" cloudConfig.accessTier must be one of: ${AZURE_ACCESS_TIERS.join(', ')}`
+      );
+    }
+    return missing;
+  }
+});
+
+registerCloudProvider('local', LocalStorageAdapter, {
+  validate: (cloudConfig, fieldname) => {
+    const missing = [];
+    if (!cloudConfig.directory) missing.push('directory');
+    if (!cloudConfig.baseUrl) missing.push('baseUrl');
+    validateKeyPrefix(fieldname, 'prefix', cloudConfig.prefix);
+    return missing;
+  }
+});
 
 //! ========================================
 //! ADAPTER FACTORY
 //! ========================================
 
 function createCloudAdapter(provider, config) {
-  switch (provider.toLowerCase()) {
-    case 'cloudinary':
-      return new CloudinaryAdapter(config);
-    case 's3':
-    case 'aws':
-      return new S3Adapter(config);
-    case 'gcs':
-    case 'google':
-      return new GCSAdapter(config);
-    default:
-      throw new Error(
-        `Unsupported cloud provider: "${provider}". ` +
-        `Supported providers: cloudinary, s3, gcs`
-      );
+  const entry = getProvider(provider);
+  if (!entry) {
+    throw new Error(
+      `Unsupported cloud provider: "${provider}". ` +
+      `Supported providers: ${getSupportedProviders()}`
+    );
   }
+  return new entry.Adapter(config);
 }
 
 //! ========================================
@@ -38,7 +158,7 @@ function validateCloudConfig(fieldname, cloudProvider, cloudConfig) {
   if (!cloudProvider) {
     throw new TypeError(
       `Field "${fieldname}" has cloudStorage enabled but missing "cloudProvider". ` +
-      `Supported: cloudinary, s3, gcs`
+      `Supported: ${getSupportedProviders()}`
     );
   }
 
@@ -48,39 +168,16 @@ function validateCloudConfig(fieldname, cloudProvider, cloudConfig) {
     );
   }
 
-  const provider = cloudProvider.toLowerCase();
-  const missing = [];
+  const entry = getProvider(cloudProvider);
+  if (!entry) {
+    throw new Error(
+      `Unsupported cloud provider: "${cloudProvider}". ` +
+      `Supported: ${getSupportedProviders()}`
+    );
+  }
 
   // Provider-specific validation
-  switch (provider) {
-    case 'cloudinary':
-      if (!cloudConfig.cloud_name) missing.push('cloud_name');
-      if (!cloudConfig.api_key) missing.push('api_key');
-      if (!cloudConfig.api_secret) missing.push('api_secret');
-      break;
-
-    case 's3':
-    case 'aws':
-      if (!cloudConfig.region) missing.push('region');
-      if (!cloudConfig.bucket) missing.push('bucket');
-      if (!cloudConfig.accessKeyId) missing.push('accessKeyId');
-      if (!cloudConfig.secretAccessKey) missing.push('secretAccessKey');
-      break;
-
-    case 'gcs':
-    case 'google':
-      if (!cloudConfig.bucket) missing.push('bucket');
-      if (!cloudConfig.keyFilename && !cloudConfig.credentials) {
-        missing.push('keyFilename or credentials');
-      }
-      break;
-
-    default:
-      throw new Error(
-        `Unsupported cloud provider: "${cloudProvider}". ` +
-        `Supported: cloudinary, s3, gcs`
-      );
-  }
+  const missing = (entry.validate && entry.validate(cloudConfig, fieldname)) || [];
 
   if (missing.length > 0) {
     cloudLogger.configMissing(fieldname, missing);
@@ -179,11 +276,14 @@ async function uploadToCloud(stream, metadata, cloudProvider, cloudConfig, backu
 //! ========================================
 
 module.exports = {
+  registerCloudProvider,
   uploadToCloud,
   validateAllCloudConfigs,
   createCloudAdapter,
   CloudAdapter,
   CloudinaryAdapter,
   S3Adapter,
-  GCSAdapter
+  GCSAdapter,
+  AzureBlobAdapter,
+  LocalStorageAdapter
 };
@@ -0,0 +1,59 @@
+//! ========================================
+//! KEY PREFIX TEMPLATES
+//! ========================================
+
+// Placeholders allowed in a prefix ('{fieldname}/{yyyy}/{mm}/'); dates are the upload's, in UTC
+const PREFIX_PLACEHOLDERS = {
+  fieldname: (metadata) => metadata.fieldname || '',
+  yyyy: (metadata, date) => String(date.getUTCFullYear()),
+  mm: (metadata, date) => String(date.getUTCMonth() + 1).padStart(2, '0'),
+  dd: (metadata, date) => String(date.getUTCDate()).padStart(2, '0')
+};
+
+const PLACEHOLDER = /\{([^{}]*)\}/g;
+
+// Placeholder values can come from the client (a wildcard field's name): '/', '\' and '..' become '-',
+// so a value stays one folder name and never climbs out of the prefix
+const toKeySegment = (value) => value.replace(/[\\/]|\.{2,}|^\.$/g, '-');
+
+/**
+ * Checks a prefix option of a cloudConfig ('prefix' or 'keyPrefix')
+ * @throws {TypeError} When it is not a string
+ * @throws {RangeError} When it uses an unknown placeholder
+ */
+function validateKeyPrefix(fieldname, option, prefix) {
+  if (prefix === undefined) return;
+  if (typeof prefix !== 'string') {
+    throw new TypeError(`Field "${fieldname}" cloudConfig.${option} must be a string`);
+  }
+  for (const [placeholder, name] of prefix.matchAll(PLACEHOLDER)) {
+    if (!Object.hasOwn(PREFIX_PLACEHOLDERS, name)) {
+      throw new RangeError(
+        `Field "${fieldname}" cloudConfig.${option} has an unknown placeholder ${placeholder}. ` +
+        `Supported: ${Object.keys(PREFIX_PLACEHOLDERS).map((key) => `{${key}}`).join(', ')}`
+      );
+    }
+  }
+}
+
+/**
+ * Object key of an upload: the filename under the prefix, placeholders filled in as single segments
+ * ('uploads', 'uploads/' and '/uploads/' are the same folder; empty segments are dropped)
+ * @param {string} [prefix] - Folder template, e.g. '{fieldname}/{yyyy}/{mm}/'
+ * @param {string} filename - Stored filename
+ * @param {Object} metadata - Upload metadata (fieldname, ...)
+ * @param {Date} [date] - Upload date
+ * @returns {string}
+ */
+function applyKeyPrefix(prefix, filename, metadata, date = new Date()) {
+  if (!prefix) return filename;
+  const folder = prefix
+    .replace(PLACEHOLDER, (placeholder, name) =>
+      Object.hasOwn(PREFIX_PLACEHOLDERS, name) ? toKeySegment(PREFIX_PLACEHOLDERS[name](metadata, date)) : placeholder)
+    .split('/')
+    .filter(Boolean)
+    .join('/');
+  return folder ? `${folder}/${filename}` : filename;
+}
+
+module.exports = { validateKeyPrefix, applyKeyPrefix };
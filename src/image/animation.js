@@ -0,0 +1,90 @@
+//! ========================================
+//! ANIMATION DETECTION FROM HEADERS
+//! ========================================
+
+// Skips GIF data sub-blocks from pos; returns the position after the terminator, or -1 past the end of head
+function skipGifSubBlocks(head, pos) {
+  while (pos < head.length) {
+    const size = head[pos];
+    pos += 1 + size;
+    if (size === 0) return pos;
+  }
+  return -1;
+}
+
+// GIF: frames are only counted by walking the blocks, a second image descriptor means animation
+function gifAnimated(head) {
+  if (head.length < 13) return null;
+  const colorTable = (flags) => (flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0);
+
+  let pos = 13 + colorTable(head[10]);
+  let frames = 0;
+  while (pos < head.length) {
+    const block = head[pos];
+    if (block === 0x3B) return frames > 1;
+    if (block === 0x21) {
+      pos = skipGifSubBlocks(head, pos + 2);
+    } else if (block === 0x2C) {
+      if (++frames > 1) return true;
+      if (pos + 11 > head.length) return null;
+      // Descriptor (10 bytes), local color table, LZW code size, then the image data
+      pos = skipGifSubBlocks(head, pos + 10 + colorTable(head[pos + 9]) + 1);
+    } else {
+      return false;
+    }
+    if (pos === -1) return null;
+  }
+  return null;
+}
+
+// WebP: the extended header (VP8X) carries an animation flag
+function webpAnimated(head) {
+  if (head.length < 21) return null;
+  return head.toString('latin1', 12, 16) === 'VP8X' && (head[20] & 0x02) !== 0;
+}
+
+// APNG: an acTL chunk with more than one frame, before the first IDAT
+function pngAnimated(head) {
+  let pos = 8;
+  while (pos + 8 <= head.length) {
+    const type = head.toString('latin1', pos + 4, pos + 8);
+    if (type === 'IDAT') return false;
+    if (type === 'acTL') return pos + 12 <= head.length ? head.readUInt32BE(pos + 8) > 1 : null;
+    pos += 12 + head.readUInt32BE(pos);
+  }
+  return null;
+}
+
+// AVIF / HEIF image sequences declare an 'avis' or 'msf1' brand in their ftyp box
+function heifAnimated(head) {
+  if (head.length < 12) return null;
+  const ftypEnd = Math.min(head.readUInt32BE(0), head.length);
+  for (let pos = 8; pos + 4 <= ftypEnd; pos += 4) {
+    const brand = head.toString('latin1', pos, pos + 4);
+    if (brand === 'avis' || brand === 'msf1') return true;
+  }
+  return false;
+}
+
+/**
+ * Tells whether an image holds several frames, from its leading bytes
+ * @param {Buffer} head - Leading bytes of the file (or the full file)
+ * @param {string} mimetype - Detected mimetype of the file
+ * @param {boolean} [complete=false] - True when head is the whole file (an unfinished walk then means a single frame)
+ * @returns {boolean|null} null when more bytes are needed (GIFs with a large first frame)
+ */
+function detectAnimation(head, mimetype, complete = false) {
+  let animated;
+  switch (mimetype) {
+    case 'image/gif': animated = gifAnimated(head); break;
+    case 'image/webp': animated = webpAnimated(head); break;
+    case 'image/png': animated = pngAnimated(head); break;
+    case 'image/avif':
+    case 'image/heif':
+    case 'image/heic': animated = heifAnimated(head); break;
+    default: return false;
+  }
+  return animated === null && complete ? false : animated;
+}
+
+module.exports = { detectAnimation };
@@ -0,0 +1,113 @@
+//! ========================================
+//! IMAGE DIMENSIONS FROM HEADERS
+//! ========================================
+
+// Bytes inspected when the dimensions are not in the sniffed head (JPEG with large EXIF / ICC segments)
+const DIMENSION_PEEK_BYTES = 256 * 1024;
+
+// JPEG start-of-frame markers (baseline, progressive, lossless, arithmetic)
+const JPEG_SOF_MARKERS = new Set([0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF]);
+
+function jpegDimensions(head) {
+  let pos = 2;
+  while (pos + 9 <= head.length) {
+    if (head[pos] !== 0xFF) return null;
+    const marker = head[pos + 1];
+    if (marker === 0xFF) { pos += 1; continue; }
+    if (marker === 0xDA || marker === 0xD9) return null;
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      return { width: head.readUInt16BE(pos + 7), height: head.readUInt16BE(pos + 5) };
+    }
+    pos += 2 + head.readUInt16BE(pos + 2);
+  }
+  return null;
+}
+
+function webpDimensions(head) {
+  const chunk = head.toString('latin1', 12, 16);
+  if (chunk === 'VP8X' && head.length >= 30) {
+    return { width: 1 + head.readUIntLE(24, 3), height: 1 + head.readUIntLE(27, 3) };
+  }
+  if (chunk === 'VP8L' && head.length >= 25) {
+    const bits = head.readUInt32LE(21);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === 'VP8 ' && head.length >= 30) {
+    return { width: head.readUInt16LE(26) & 0x3FFF, height: head.readUInt16LE(28) & 0x3FFF };
+  }
+  return null;
+}
+
+function tiffDimensions(head) {
+  const le = head.toString('latin1', 0, 2) === 'II';
+  const u16 = (offset) => (le ? head.readUInt16LE(offset) : head.readUInt16BE(offset));
+  const u32 = (offset) => (le ? head.readUInt32LE(offset) : head.readUInt32BE(offset));
+
+  const ifd = u32(4);
+  if (ifd + 2 > head.length) return null;
+
+  const dimensions = {};
+  const entries = u16(ifd);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > head.length) return null;
+    const tag = u16(entry);
+    if (tag !== 0x0100 && tag !== 0x0101) continue;
+    const value = u16(entry + 2) === 3 ? u16(entry + 8) : u32(entry + 8);
+    dimensions[tag === 0x0100 ? 'width' : 'height'] = value;
+  }
+  return dimensions.width && dimensions.height ? dimensions : null;
+}
+
+// HEIF / AVIF: every 'ispe' property box holds a width and height, the largest one is the full image
+function ispeDimensions(head) {
+  let largest = null;
+  let pos = head.indexOf('ispe', 0, 'latin1');
+  while (pos !== -1 && pos + 16 <= head.length) {
+    const width = head.readUInt32BE(pos + 8);
+    const height = head.readUInt32BE(pos + 12);
+    if (!largest || width * height > largest.width * largest.height) largest = { width, height };
+    pos = head.indexOf('ispe', pos + 4, 'latin1');
+  }
+  return largest;
+}
+
+/**
+ * Reads the pixel dimensions of an image from its leading bytes, without decoding it
+ * @param {Buffer} head - Leading bytes of the file (or the full file)
+ * @param {string} mimetype - Detected mimetype of the file
+ * @returns {{ width: number, height: number }|null} Dimensions, or null when the header could not be read
+ */
+function readImageDimensions(head, mimetype) {
+  if (!Buffer.isBuffer(head)) return null;
+
+  try {
+    switch (mimetype) {
+      case 'image/jpeg':
+        return jpegDimensions(head);
+      case 'image/png':
+        return head.length >= 24 ? { width: head.readUInt32BE(16), height: head.readUInt32BE(20) } : null;
+      case 'image/gif':
+        return head.length >= 10 ? { width: head.readUInt16LE(6), height: head.readUInt16LE(8) } : null;
+      case 'image/webp':
+        return webpDimensions(head);
+      case 'image/bmp':
+        return head.length >= 26 ? { width: Math.abs(head.readInt32LE(18)), height: Math.abs(head.readInt32LE(22)) } : null;
+      case 'image/tiff':
+        return tiffDimensions(head);
+      case 'image/avif':
+      case 'image/heif':
+      case 'image/heic':
+        return ispeDimensions(head);
+      default:
+        return null;
+    }
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  DIMENSION_PEEK_BYTES,
+  readImageDimensions
+};
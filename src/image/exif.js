@@ -0,0 +1,158 @@
+//! ========================================
+//! EXIF PARSING (TIFF IFD READER)
+//! ========================================
+
+const EXIF_HEADER = 'Exif\0\0';
+
+// Tags reported for each IFD, everything else is ignored
+const IMAGE_TAGS = {
+  0x010F: 'Make',
+  0x0110: 'Model',
+  0x0112: 'Orientation',
+  0x011A: 'XResolution',
+  0x011B: 'YResolution',
+  0x0128: 'ResolutionUnit',
+  0x0131: 'Software',
+  0x0132: 'DateTime',
+  0x013B: 'Artist',
+  0x8298: 'Copyright'
+};
+
+const PHOTO_TAGS = {
+  0x829A: 'ExposureTime',
+  0x829D: 'FNumber',
+  0x8822: 'ExposureProgram',
+  0x8827: 'ISOSpeedRatings',
+  0x9003: 'DateTimeOriginal',
+  0x9004: 'DateTimeDigitized',
+  0x9010: 'OffsetTime',
+  0x9011: 'OffsetTimeOriginal',
+  0x9201: 'ShutterSpeedValue',
+  0x9202: 'ApertureValue',
+  0x9204: 'ExposureBiasValue',
+  0x9207: 'MeteringMode',
+  0x9209: 'Flash',
+  0x920A: 'FocalLength',
+  0xA001: 'ColorSpace',
+  0xA002: 'PixelXDimension',
+  0xA003: 'PixelYDimension',
+  0xA405: 'FocalLengthIn35mmFilm',
+  0xA431: 'BodySerialNumber',
+  0xA433: 'LensMake',
+  0xA434: 'LensModel'
+};
+
+const GPS_TAGS = {
+  0x0001: 'GPSLatitudeRef',
+  0x0002: 'GPSLatitude',
+  0x0003: 'GPSLongitudeRef',
+  0x0004: 'GPSLongitude',
+  0x0005: 'GPSAltitudeRef',
+  0x0006: 'GPSAltitude',
+  0x0007: 'GPSTimeStamp',
+  0x001D: 'GPSDateStamp'
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+// Byte size of one value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function createReader(tiff) {
+  const le = tiff.toString('latin1', 0, 2) === 'II';
+  return {
+    u16: (offset) => (le ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset)),
+    u32: (offset) => (le ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset)),
+    i32: (offset) => (le ? tiff.readInt32LE(offset) : tiff.readInt32BE(offset))
+  };
+}
+
+function readValue(tiff, read, type, count, offset) {
+  const size = TYPE_SIZES[type];
+  if (!size || offset + size * count > tiff.length) return undefined;
+
+  if (type === 2) return tiff.toString('latin1', offset, offset + count).replace(/\0+$/, '').trim();
+  if (type === 7) return count <= 16 ? tiff.toString('latin1', offset, offset + count).replace(/\0+$/, '') : undefined;
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const at = offset + i * size;
+    if (type === 1) values.push(tiff[at]);
+    else if (type === 3) values.push(read.u16(at));
+    else if (type === 4) values.push(read.u32(at));
+    else if (type === 9) values.push(read.i32(at));
+    else if (type === 5) values.push(read.u32(at) / (read.u32(at + 4) || 1));
+    else if (type === 10) values.push(read.i32(at) / (read.i32(at + 4) || 1));
+  }
+  return count === 1 ? values[0] : values;
+}
+
+// Reads the tags of one IFD; pointers to the Exif and GPS sub-IFDs are returned separately
+function readIfd(tiff, read, ifdOffset, names) {
+  const tags = {};
+  const pointers = {};
+  if (ifdOffset + 2 > tiff.length) return { tags, pointers };
+
+  const entries = read.u16(ifdOffset);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+
+    const tag = read.u16(entry);
+    const type = read.u16(entry + 2);
+    const count = read.u32(entry + 4);
+
+    if (tag === EXIF_IFD_POINTER || tag === GPS_IFD_POINTER) {
+      pointers[tag] = read.u32(entry + 8);
+      continue;
+    }
+    if (!names[tag]) continue;
+
+    const size = (TYPE_SIZES[type] || 0) * count;
+    const valueOffset = size <= 4 ? entry + 8 : read.u32(entry + 8);
+    const value = readValue(tiff, read, type, count, valueOffset);
+    if (value !== undefined && value !== '') tags[names[tag]] = value;
+  }
+  return { tags, pointers };
+}
+
+// Degrees/minutes/seconds + hemisphere reference to signed decimal degrees
+function toDecimalDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length !== 3) return undefined;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+/**
+ * Parses the commonly used tags of an EXIF block (as returned by sharp's metadata().exif)
+ * @param {Buffer} buffer - Raw EXIF data, with or without the "Exif\0\0" prefix
+ * @returns {{ image: Object, photo: Object, gps: Object }|null} Tags grouped by IFD, or null if the data is not valid EXIF
+ */
+function parseExif(buffer) {
+  if (!Buffer.isBuffer(buffer)) return null;
+
+  const tiff = buffer.toString('latin1', 0, 6) === EXIF_HEADER ? buffer.subarray(6) : buffer;
+  const order = tiff.toString('latin1', 0, 2);
+  if (tiff.length < 8 || (order !== 'II' && order !== 'MM')) return null;
+
+  try {
+    const read = createReader(tiff);
+    const ifd0 = readIfd(tiff, read, read.u32(4), IMAGE_TAGS);
+    const photo = ifd0.pointers[EXIF_IFD_POINTER] ? readIfd(tiff, read, ifd0.pointers[EXIF_IFD_POINTER], PHOTO_TAGS).tags : {};
+    const gps = ifd0.pointers[GPS_IFD_POINTER] ? readIfd(tiff, read, ifd0.pointers[GPS_IFD_POINTER], GPS_TAGS).tags : {};
+
+    const latitude = toDecimalDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+    const longitude = toDecimalDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+    if (latitude !== undefined && longitude !== undefined) {
+      gps.latitude = latitude;
+      gps.longitude = longitude;
+    }
+
+    return { image: ifd0.tags, photo, gps };
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = { parseExif };
@@ -0,0 +1,46 @@
+//! ========================================
+//! ICC PROFILE DESCRIPTION
+//! ========================================
+
+// Profile header (128 bytes), then the tag count and 12-byte tag entries (signature, offset, size)
+const HEADER_SIZE = 128;
+const TAG_ENTRY_SIZE = 12;
+
+// UTF-16BE text (Node only decodes the little-endian form)
+const decodeUtf16be = (buffer) => Buffer.from(buffer).swap16().toString('utf16le');
+
+/**
+ * Reads the description of an ICC profile ('Display P3', 'sRGB IEC61966-2.1', 'U.S. Web Coated (SWOP) v2'...)
+ * @param {Buffer} [icc] - Embedded profile, as returned by sharp's metadata()
+ * @returns {string|null} null when there is no profile or no readable description
+ */
+function readIccDescription(icc) {
+  if (!Buffer.isBuffer(icc) || icc.length < HEADER_SIZE + 4) return null;
+
+  const count = icc.readUInt32BE(HEADER_SIZE);
+  for (let i = 0; i < count; i++) {
+    const entry = HEADER_SIZE + 4 + i * TAG_ENTRY_SIZE;
+    if (entry + TAG_ENTRY_SIZE > icc.length) return null;
+    if (icc.toString('latin1', entry, entry + 4) !== 'desc') continue;
+
+    const offset = icc.readUInt32BE(entry + 4);
+    const size = icc.readUInt32BE(entry + 8);
+    if (size < 12 || offset + size > icc.length) return null;
+    const tag = icc.subarray(offset, offset + size);
+    let description = null;
+
+    if (tag.toString('latin1', 0, 4) === 'desc') {
+      // ICC v2 textDescriptionType: ASCII length (with its NUL), then the text
+      description = tag.toString('latin1', 12, Math.min(12 + tag.readUInt32BE(8), tag.length));
+    } else if (tag.toString('latin1', 0, 4) === 'mluc' && tag.length >= 28) {
+      // ICC v4 multiLocalizedUnicodeType: the first record's UTF-16BE text
+      const length = tag.readUInt32BE(20) & ~1;
+      const start = tag.readUInt32BE(24);
+      if (start + length <= tag.length) description = decodeUtf16be(tag.subarray(start, start + length));
+    }
+    return description ? description.replace(/\0+$/, '').trim() || null : null;
+  }
+  return null;
+}
+
+module.exports = { readIccDescription };
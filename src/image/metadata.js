@@ -0,0 +1,407 @@
+const sharp = require('sharp');
+
+//! ========================================
+//! METADATA POLICY (EXIF / ICC / XMP)
+//! ========================================
+
+/**
+ * Normalises the `metadata` field option into explicit flags
+ * @param {'strip' | 'keep' | 'keep-icc' | { exif?: boolean, icc?: boolean, xmp?: boolean }} [policy='strip']
+ * @returns {{ exif: boolean, icc: boolean, xmp: boolean }}
+ */
+function normalizeMetadataPolicy(policy = 'strip') {
+  if (policy === 'keep') return { exif: true, icc: true, xmp: true };
+  if (policy === 'keep-icc') return { exif: false, icc: true, xmp: false };
+  if (policy && typeof policy === 'object') {
+    return { exif: policy.exif === true, icc: policy.icc === true, xmp: policy.xmp === true };
+  }
+  return { exif: false, icc: false, xmp: false };
+}
+
+const keepsEverything = (flags) => flags.exif && flags.icc && flags.xmp;
+
+/**
+ * Applies the metadata policy to a sharp output (sharp strips everything by default)
+ * @param {import('sharp').Sharp} image
+ * @param {Object} policy - `metadata` field option
+ * @returns {import('sharp').Sharp}
+ */
+function applyMetadataPolicy(image, policy) {
+  const flags = normalizeMetadataPolicy(policy);
+
+  if (keepsEverything(flags)) return image.keepMetadata();
+  if (flags.exif) image.keepExif();
+  if (flags.icc) image.keepIccProfile();
+  if (flags.xmp) image.keepXmp();
+  return image;
+}
+
+//! ========================================
+//! EXIF ORIENTATION
+//! ========================================
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const XMP_HEADERS = ['http://ns.adobe.com/xap/1.0/\0', 'http://ns.adobe.com/xmp/extension/\0'];
+
+// Reads the Orientation tag (0x0112) from a TIFF structure (EXIF payload after "Exif\0\0")
+function readTiffOrientation(tiff) {
+  if (tiff.length < 8) return null;
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') return null;
+
+  const le = order === 'II';
+  const u16 = (offset) => (le ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (le ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  const ifdOffset = u32(4);
+  if (ifdOffset + 2 > tiff.length) return null;
+
+  const entries = u16(ifdOffset);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > tiff.length) return null;
+    if (u16(entry) === 0x0112) return u16(entry + 8);
+  }
+  return null;
+}
+
+// Builds an APP1 segment holding only the Orientation tag (no GPS, camera or timestamps)
+function buildOrientationExifSegment(orientation) {
+  const tiff = Buffer.alloc(8 + 2 + 12 + 4);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(0x002A, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x0112, 10); // Orientation
+  tiff.writeUInt16BE(3, 12);      // SHORT
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  tiff.writeUInt32BE(0, 22);      // no next IFD
+
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xFFE1, 0);
+  header.writeUInt16BE(2 + EXIF_HEADER.length + tiff.length, 2);
+  return Buffer.concat([header, EXIF_HEADER, tiff]);
+}
+
+//! ========================================
+//! LOSSLESS REWRITERS
+//! ========================================
+
+const isExifPayload = (payload) => payload.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER);
+
+// Whether a JPEG marker segment survives the policy (payload: the segment after its marker and length)
+function keepsJpegSegment(marker, payload, flags) {
+  if (marker === 0xE1) {
+    if (isExifPayload(payload)) return flags.exif;
+    if (XMP_HEADERS.some((header) => payload.toString('latin1', 0, header.length) === header)) return flags.xmp;
+    return false;
+  }
+  if (marker === 0xE2) return flags.icc && payload.toString('latin1', 0, 12) === 'ICC_PROFILE\0';
+  // APP3-APP15 (IPTC, Photoshop, vendor data), APP14 Adobe is needed for colour decoding
+  if (marker >= 0xE3 && marker <= 0xEF && marker !== 0xEE) return false;
+  return marker !== 0xFE; // COM
+}
+
+/**
+ * Removes metadata segments from a JPEG without touching the compressed image data
+ * @returns {Buffer|null} Rewritten JPEG, or null if the structure could not be parsed
+ */
+function rewriteJpeg(buffer, flags, autoOrient) {
+  if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) return null;
+
+  const kept = [buffer.subarray(0, 2)];
+  let orientation = null;
+  let pos = 2;
+
+  while (pos < buffer.length) {
+    if (buffer[pos] !== 0xFF) return null;
+    const marker = buffer[pos + 1];
+
+    if (marker === 0xFF) { pos += 1; continue; }
+    if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      kept.push(buffer.subarray(pos, pos + 2));
+      pos += 2;
+      continue;
+    }
+
+    if (marker === 0xDA || marker === 0xD9) {
+      // Image data: keep everything up to EOI, drop trailing data (MPF secondary images carry their own EXIF)
+      const eoi = buffer.indexOf(Buffer.from([0xFF, 0xD9]), pos);
+      kept.push(buffer.subarray(pos, eoi === -1 ? buffer.length : eoi + 2));
+      break;
+    }
+
+    if (pos + 4 > buffer.length) return null;
+    const end = pos + 2 + buffer.readUInt16BE(pos + 2);
+    if (end > buffer.length) return null;
+
+    const segment = buffer.subarray(pos, end);
+    const payload = segment.subarray(4);
+    if (marker === 0xE1 && isExifPayload(payload)) {
+      orientation = readTiffOrientation(payload.subarray(EXIF_HEADER.length));
+    }
+
+    if (keepsJpegSegment(marker, payload, flags)) kept.push(segment);
+    pos = end;
+  }
+
+  // Keep the picture upright without keeping the rest of the EXIF block
+  if (!flags.exif && autoOrient && orientation && orientation !== 1) {
+    const app0 = kept[1] && kept[1][1] === 0xE0 ? 2 : 1;
+    kept.splice(app0, 0, buildOrientationExifSegment(orientation));
+  }
+
+  return Buffer.concat(kept);
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+/**
+ * Removes metadata chunks from a PNG (chunks are copied verbatim, CRCs stay valid)
+ * @returns {Buffer|null}
+ */
+function rewritePng(buffer, flags) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+
+  const kept = [PNG_SIGNATURE];
+  let pos = 8;
+
+  while (pos + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    const end = pos + 12 + length;
+    if (end > buffer.length) return null;
+
+    let keep = true;
+    if (type === 'eXIf') keep = flags.exif;
+    else if (type === 'iCCP') keep = flags.icc;
+    else if (type === 'iTXt') keep = flags.xmp && buffer.toString('latin1', pos + 8, pos + 8 + 18) === 'XML:com.adobe.xmp\0';
+    else if (type === 'tEXt' || type === 'zTXt' || type === 'tIME') keep = false;
+
+    if (keep) kept.push(buffer.subarray(pos, end));
+    pos = end;
+    if (type === 'IEND') break;
+  }
+
+  return Buffer.concat(kept);
+}
+
+/**
+ * Removes EXIF / XMP / ICCP chunks from an extended (VP8X) WebP
+ * @returns {Buffer|null}
+ */
+function rewriteWebp(buffer, flags) {
+  if (buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WEBP') return null;
+
+  const chunks = [];
+  let vp8x = null;
+  let pos = 12;
+
+  while (pos + 8 <= buffer.length) {
+    const fourcc = buffer.toString('latin1', pos, pos + 4);
+    const size = buffer.readUInt32LE(pos + 4);
+    const end = pos + 8 + size + (size % 2);
+    if (pos + 8 + size > buffer.length) return null;
+
+    let keep = true;
+    if (fourcc === 'EXIF') keep = flags.exif;
+    else if (fourcc === 'XMP ') keep = flags.xmp;
+    else if (fourcc === 'ICCP') keep = flags.icc;
+
+    if (keep) {
+      const chunk = Buffer.from(buffer.subarray(pos, Math.min(end, buffer.length)));
+      if (fourcc === 'VP8X') vp8x = chunk;
+      chunks.push(chunk);
+    }
+    pos = end;
+  }
+
+  if (vp8x) {
+    // VP8X flags: ICC 0x20, EXIF 0x08, XMP 0x04
+    if (!flags.icc) vp8x[8] &= ~0x20;
+    if (!flags.exif) vp8x[8] &= ~0x08;
+    if (!flags.xmp) vp8x[8] &= ~0x04;
+  }
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(4 + body.length, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Removes comment and XMP extension blocks from a GIF (frames, palettes and looping info are kept)
+ * @returns {Buffer|null}
+ */
+function rewriteGif(buffer, flags) {
+  const signature = buffer.toString('latin1', 0, 6);
+  if ((signature !== 'GIF87a' && signature !== 'GIF89a') || buffer.length < 13) return null;
+
+  // Skips a chain of data sub-blocks, returns the offset after the terminator
+  const skipSubBlocks = (pos) => {
+    while (pos < buffer.length && buffer[pos] !== 0) pos += buffer[pos] + 1;
+    return pos + 1;
+  };
+
+  const tableSize = (packed) => (packed & 0x80 ? 3 * (1 << ((packed & 0x07) + 1)) : 0);
+  let pos = 13 + tableSize(buffer[10]);
+  const kept = [buffer.subarray(0, pos)];
+
+  while (pos < buffer.length) {
+    const introducer = buffer[pos];
+    if (introducer === 0x3B) {
+      kept.push(buffer.subarray(pos, pos + 1));
+      return Buffer.concat(kept);
+    }
+
+    let end;
+    let keep = true;
+    if (introducer === 0x21) {
+      const label = buffer[pos + 1];
+      end = skipSubBlocks(pos + 2);
+      if (label === 0xFE) keep = false; // comment
+      if (label === 0xFF) keep = flags.xmp || buffer.toString('latin1', pos + 3, pos + 14) !== 'XMP DataXMP';
+    } else if (introducer === 0x2C) {
+      end = skipSubBlocks(pos + 10 + tableSize(buffer[pos + 9]) + 1);
+    } else {
+      return null;
+    }
+
+    if (end > buffer.length) return null;
+    if (keep) kept.push(buffer.subarray(pos, end));
+    pos = end;
+  }
+  return null;
+}
+
+/**
+ * Removes <metadata> elements (RDF / XMP: authors, tools, licences) from an SVG unless XMP is kept
+ * @returns {Buffer}
+ */
+function rewriteSvg(buffer, flags) {
+  if (flags.xmp) return buffer;
+  const svg = buffer.toString('utf8');
+  const stripped = svg.replace(/<((?:[\w.-]+:)?metadata)(?:\s[^>]*)?(?:\/>|>[\s\S]*?<\/\1\s*>)/g, '');
+  return stripped === svg ? buffer : Buffer.from(stripped, 'utf8');
+}
+
+// Formats whose containers carry no EXIF / XMP: stored as they are
+const METADATA_FREE_TYPES = new Set(['image/bmp', 'image/x-icon', 'image/vnd.microsoft.icon']);
+
+// Formats without a byte-level rewriter that sharp can re-encode without quality loss
+const LOSSLESS_REENCODERS = {
+  'image/tiff': (image) => image.tiff({ compression: 'lzw' }),
+  'image/avif': (image) => image.avif({ lossless: true })
+};
+
+/**
+ * Applies the metadata policy to an original (unconverted) image
+ * @param {Buffer} buffer - Original file content
+ * @param {string} mimetype - Image mimetype
+ * @param {Object} policy - `metadata` field option
+ * @param {boolean} [autoOrient=true] - Keep the picture upright when EXIF is removed
+ * @returns {Promise<{ buffer: Buffer, method: 'lossless' | 'reencode' | 'none', reason?: string }>}
+ *   method 'none' means the file cannot be rewritten without conversion and the buffer is unchanged
+ *   (reason: why, when it is not the format itself)
+ */
+async function rewriteOriginalMetadata(buffer, mimetype, policy, autoOrient = true) {
+  const flags = normalizeMetadataPolicy(policy);
+  if (keepsEverything(flags)) return { buffer, method: 'lossless' };
+
+  const type = String(mimetype).toLowerCase();
+  let rewritten = null;
+
+  if (type === 'image/jpeg' || type === 'image/jpg') rewritten = rewriteJpeg(buffer, flags, autoOrient);
+  else if (type === 'image/png') rewritten = rewritePng(buffer, flags);
+  else if (type === 'image/webp') rewritten = rewriteWebp(buffer, flags);
+  else if (type === 'image/gif') rewritten = rewriteGif(buffer, flags);
+  else if (type === 'image/svg+xml') rewritten = rewriteSvg(buffer, flags);
+  else if (METADATA_FREE_TYPES.has(type)) rewritten = buffer;
+
+  if (rewritten) return { buffer: rewritten, method: 'lossless' };
+
+  const reencode = LOSSLESS_REENCODERS[type];
+  if (reencode) {
+    const { pages = 1, orientation = 1 } = await sharp(buffer).metadata();
+    if (pages === 1) {
+      const image = sharp(buffer);
+      if (autoOrient) image.autoOrient();
+      return { buffer: await reencode(applyMetadataPolicy(image, policy)).toBuffer(), method: 'reencode' };
+    }
+
+    // All pages are opened as one tall image: TIFF writes them back as pages, AVIF only as a single frame,
+    // and the stack cannot be turned upright page by page
+    if (type !== 'image/tiff') {
+      return { buffer, method: 'none', reason: `metadata cannot be removed from a ${pages}-frame ${type} without losing frames` };
+    }
+    if (autoOrient && orientation > 1) {
+      return { buffer, method: 'none', reason: `metadata cannot be removed from a ${pages}-page ${type} with an EXIF orientation` };
+    }
+    return { buffer: await reencode(applyMetadataPolicy(sharp(buffer, { pages: -1 }), policy)).toBuffer(), method: 'reencode' };
+  }
+
+  return { buffer, method: 'none' };
+}
+
+// Whether the segments before the first scan are all kept by the policy (null: the scan is not in head)
+function jpegHeaderIsClean(head, flags) {
+  if (head.length < 4 || head[0] !== 0xFF || head[1] !== 0xD8) return false;
+
+  let pos = 2;
+  while (pos + 4 <= head.length) {
+    if (head[pos] !== 0xFF) return false;
+    const marker = head[pos + 1];
+    if (marker === 0xFF) { pos += 1; continue; }
+    if (marker === 0xDA) return true;
+    if (marker === 0xD8 || marker === 0xD9 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) return false;
+
+    const end = pos + 2 + head.readUInt16BE(pos + 2);
+    if (end > head.length) return null;
+    if (!keepsJpegSegment(marker, head.subarray(pos + 4, end), flags)) return false;
+    pos = end;
+  }
+  return null;
+}
+
+// WebP metadata is declared in the VP8X header flags; simple (VP8 / VP8L) files carry none
+function webpHeaderIsClean(head, flags) {
+  if (head.length < 21 || head.toString('latin1', 0, 4) !== 'RIFF' || head.toString('latin1', 8, 12) !== 'WEBP') return false;
+  if (head.toString('latin1', 12, 16) !== 'VP8X') return true;
+
+  const declared = head[20];
+  return !((declared & 0x20 && !flags.icc) || (declared & 0x08 && !flags.exif) || (declared & 0x04 && !flags.xmp));
+}
+
+/**
+ * Decides from the start of an original whether rewriteOriginalMetadata would change it,
+ * so files with nothing to remove can be stored without buffering them whole
+ * @param {Buffer} head - Leading bytes of the file
+ * @param {string} mimetype - Image mimetype
+ * @param {Object} policy - `metadata` field option
+ * @returns {'keep' | 'rewrite' | 'unsupported'}
+ *   'keep': stored as it is; 'rewrite': needs the whole file; 'unsupported': cannot be cleaned without conversion
+ */
+function planOriginalMetadata(head, mimetype, policy) {
+  const flags = normalizeMetadataPolicy(policy);
+  if (keepsEverything(flags)) return 'keep';
+
+  const type = String(mimetype).toLowerCase();
+  if (METADATA_FREE_TYPES.has(type)) return 'keep';
+  // JPEG metadata sits before the first scan (MPF secondary images are announced by an APP2 segment)
+  if (type === 'image/jpeg' || type === 'image/jpg') return jpegHeaderIsClean(head, flags) ? 'keep' : 'rewrite';
+  if (type === 'image/webp') return webpHeaderIsClean(head, flags) ? 'keep' : 'rewrite';
+  // PNG and GIF can carry metadata after the image data, SVGs are already in memory
+  if (type === 'image/png' || type === 'image/gif' || type === 'image/svg+xml' || LOSSLESS_REENCODERS[type]) return 'rewrite';
+  return 'unsupported';
+}
+
+module.exports = {
+  normalizeMetadataPolicy,
+  applyMetadataPolicy,
+  rewriteOriginalMetadata,
+  planOriginalMetadata,
+  readTiffOrientation
+};
@@ -0,0 +1,157 @@
+const sharp = require('sharp');
+
+//! ========================================
+//! PLACEHOLDERS (BLURHASH / LQIP / DOMINANT COLOR)
+//! ========================================
+
+const PLACEHOLDER_TYPES = ['blurhash', 'lqip', 'dominantColor'];
+
+// Longest side of the LQIP image: blurred by the browser when scaled up
+const LQIP_SIZE = 16;
+
+const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+// sRGB byte → linear light, precomputed for the 256 byte values
+const SRGB_TO_LINEAR = Array.from({ length: 256 }, (_, value) => {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+});
+
+function linearToSrgb(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.trunc(v * 12.92 * 255 + 0.5)
+    : Math.trunc((1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+function encode83(value, length) {
+  let result = '';
+  for (let i = 1; i <= length; i++) {
+    result += BASE83[Math.floor(value / 83 ** (length - i)) % 83];
+  }
+  return result;
+}
+
+const signPow = (value, exponent) => Math.sign(value) * Math.abs(value) ** exponent;
+
+/**
+ * Most frequent color of raw RGB pixels: the fullest of 16x16x16 color bins, averaged over its pixels
+ * (a flat area comes out exact instead of snapped to a bin center)
+ * @param {Buffer} pixels - Raw interleaved RGB pixels
+ * @returns {string} '#rrggbb'
+ */
+function findDominantColor(pixels) {
+  const bins = new Map();
+  for (let at = 0; at + 2 < pixels.length; at += 3) {
+    const key = ((pixels[at] >> 4) << 8) | ((pixels[at + 1] >> 4) << 4) | (pixels[at + 2] >> 4);
+    const bin = bins.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bin.count++;
+    bin.r += pixels[at];
+    bin.g += pixels[at + 1];
+    bin.b += pixels[at + 2];
+    bins.set(key, bin);
+  }
+
+  let dominant = null;
+  for (const bin of bins.values()) {
+    if (!dominant || bin.count > dominant.count) dominant = bin;
+  }
+  return `#${[dominant.r, dominant.g, dominant.b]
+    .map(sum => Math.round(sum / dominant.count).toString(16).padStart(2, '0'))
+    .join('')}`;
+}
+
+/**
+ * Encodes raw RGB(A) pixels as a BlurHash string (https://blurha.sh), alpha ignored
+ * @param {Buffer} pixels - Raw interleaved pixels
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} channels - Interleaved channels per pixel (3 or 4)
+ * @param {number} [componentsX=4] - Horizontal cosine components, 1-9
+ * @param {number} [componentsY=3] - Vertical cosine components, 1-9
+ * @returns {string} BlurHash
+ */
+function encodeBlurhash(pixels, width, height, channels, componentsX = 4, componentsY = 3) {
+  const factors = [];
+  for (let cy = 0; cy < componentsY; cy++) {
+    for (let cx = 0; cx < componentsX; cx++) {
+      const normalisation = cx === 0 && cy === 0 ? 1 : 2;
+      let r = 0, g = 0, b = 0;
+      for (let y = 0; y < height; y++) {
+        const basisY = Math.cos((Math.PI * cy * y) / height);
+        for (let x = 0; x < width; x++) {
+          const basis = normalisation * Math.cos((Math.PI * cx * x) / width) * basisY;
+          const at = (y * width + x) * channels;
+          r += basis * SRGB_TO_LINEAR[pixels[at]];
+          g += basis * SRGB_TO_LINEAR[pixels[at + 1]];
+          b += basis * SRGB_TO_LINEAR[pixels[at + 2]];
+        }
+      }
+      const scale = 1 / (width * height);
+      factors.push([r * scale, g * scale, b * scale]);
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encode83(componentsX - 1 + (componentsY - 1) * 9, 1);
+
+  let maximum = 1;
+  if (ac.length > 0) {
+    const actualMaximum = Math.max(...ac.flat().map(Math.abs));
+    const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5)));
+    maximum = (quantisedMaximum + 1) / 166;
+    hash += encode83(quantisedMaximum, 1);
+  } else {
+    hash += encode83(0, 1);
+  }
+
+  hash += encode83((linearToSrgb(dc[0]) << 16) + (linearToSrgb(dc[1]) << 8) + linearToSrgb(dc[2]), 4);
+  for (const factor of ac) {
+    const [r, g, b] = factor.map(value => Math.max(0, Math.min(18, Math.floor(signPow(value / maximum, 0.5) * 9 + 9.5))));
+    hash += encode83(r * 19 * 19 + g * 19 + b, 2);
+  }
+  return hash;
+}
+
+/**
+ * Computes placeholders from a small decoded image (already framed like the stored output)
+ * @param {Buffer} data - Raw RGBA pixels
+ * @param {{ width: number, height: number, premultiplied?: boolean }} info - Pixel dimensions of data, and whether its colors are premultiplied by alpha
+ * @param {string[]} types - Requested placeholders, from PLACEHOLDER_TYPES
+ * @returns {Promise<{ blurhash?: string, lqip?: string, dominantColor?: string }>}
+ */
+async function computePlaceholders(data, info, types) {
+  const raw = { raw: { width: info.width, height: info.height, channels: 4, premultiplied: Boolean(info.premultiplied) } };
+  const placeholder = {};
+
+  // BlurHash and the dominant color have no alpha: transparent areas read as white, the usual page background
+  const opaque = types.includes('blurhash') || types.includes('dominantColor')
+    ? await sharp(data, raw).flatten({ background: '#ffffff' }).raw().toBuffer()
+    : null;
+
+  if (types.includes('blurhash')) {
+    // More components along the longer side
+    const landscape = info.width >= info.height;
+    placeholder.blurhash = encodeBlurhash(opaque, info.width, info.height, 3, landscape ? 4 : 3, landscape ? 3 : 4);
+  }
+
+  if (types.includes('lqip')) {
+    const lqip = await sharp(data, raw)
+      .resize({ width: LQIP_SIZE, height: LQIP_SIZE, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 50 })
+      .toBuffer();
+    placeholder.lqip = `data:image/webp;base64,${lqip.toString('base64')}`;
+  }
+
+  if (types.includes('dominantColor')) {
+    placeholder.dominantColor = findDominantColor(opaque);
+  }
+
+  return placeholder;
+}
+
+module.exports = {
+  PLACEHOLDER_TYPES,
+  encodeBlurhash,
+  computePlaceholders
+};
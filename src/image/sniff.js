@@ -0,0 +1,233 @@
+const { PassThrough } = require('stream');
+
+//! ========================================
+//! CONTENT SNIFFING (MAGIC BYTES)
+//! ========================================
+
+// Number of leading bytes inspected to detect the real file type
+const SNIFF_BYTES = 4100;
+
+// ISO-BMFF brands (bytes 8-12 of an 'ftyp' box) mapped to mimetypes
+const FTYP_BRANDS = {
+  avif: 'image/avif',
+  avis: 'image/avif',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  heim: 'image/heic',
+  heis: 'image/heic',
+  hevc: 'image/heic',
+  hevx: 'image/heic',
+  mif1: 'image/heif',
+  msf1: 'image/heif',
+  isom: 'video/mp4',
+  iso2: 'video/mp4',
+  mp41: 'video/mp4',
+  mp42: 'video/mp4',
+  avc1: 'video/mp4',
+  'M4V ': 'video/x-m4v',
+  'M4A ': 'audio/mp4',
+  'qt  ': 'video/quicktime',
+  '3gp4': 'video/3gpp',
+  '3gp5': 'video/3gpp'
+};
+
+// Declared mimetypes that name the same container as the detected one
+const EQUIVALENT_MIMETYPES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/heic': 'image/heif',
+  'image/heic-sequence': 'image/heif',
+  'image/heif-sequence': 'image/heif',
+  'image/vnd.microsoft.icon': 'image/x-icon',
+  'image/x-ms-bmp': 'image/bmp',
+  'application/x-pdf': 'application/pdf',
+  'application/x-zip-compressed': 'application/zip',
+  'application/x-gzip': 'application/gzip',
+  'application/x-msdos-program': 'application/x-msdownload',
+  'application/x-dosexec': 'application/x-msdownload',
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav'
+};
+
+// Image types recognisable from their signature: declaring one of these without matching bytes is suspicious
+const DETECTABLE_IMAGE_TYPES = new Set([
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/tiff', 'image/avif',
+  'image/heif', 'image/x-icon', 'image/bmp', 'image/jxl', 'image/svg+xml'
+]);
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  if (buffer.length < offset + bytes.length) return false;
+  for (let i = 0; i < bytes.length; i++) {
+    if (buffer[offset + i] !== bytes[i]) return false;
+  }
+  return true;
+};
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+/**
+ * Detects the real mimetype of a file from its leading bytes
+ * @param {Buffer} head - First bytes of the file (SNIFF_BYTES is enough for every signature)
+ * @returns {string|null} Detected mimetype, or null when the content is not recognised
+ */
+function detectMimetype(head) {
+  if (!head || head.length < 2) return null;
+
+  if (startsWith(head, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+  if (startsWith(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+  if (ascii(head, 0, 6) === 'GIF87a' || ascii(head, 0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(head, 0, 4) === 'RIFF') {
+    const kind = ascii(head, 8, 12);
+    if (kind === 'WEBP') return 'image/webp';
+    if (kind === 'WAVE') return 'audio/wav';
+    if (kind === 'AVI ') return 'video/x-msvideo';
+  }
+  if (startsWith(head, [0x49, 0x49, 0x2A, 0x00]) || startsWith(head, [0x4D, 0x4D, 0x00, 0x2A])) return 'image/tiff';
+  if (ascii(head, 4, 8) === 'ftyp') {
+    const brand = ascii(head, 8, 12);
+    if (FTYP_BRANDS[brand]) return FTYP_BRANDS[brand];
+  }
+  if (startsWith(head, [0x00, 0x00, 0x01, 0x00]) && head.length >= 6 && head[4] > 0) return 'image/x-icon';
+  if (ascii(head, 0, 2) === 'BM' && head.length >= 14 && head.readUInt32LE(10) < head.readUInt32LE(2)) return 'image/bmp';
+  if (startsWith(head, [0x00, 0x00, 0x00, 0x0C, 0x4A, 0x58, 0x4C, 0x20]) || startsWith(head, [0xFF, 0x0A])) return 'image/jxl';
+
+  if (ascii(head, 0, 5) === '%PDF-') return 'application/pdf';
+  if (startsWith(head, [0x50, 0x4B, 0x03, 0x04])) return 'application/zip';
+  if (startsWith(head, [0x1F, 0x8B])) return 'application/gzip';
+  if (ascii(head, 0, 4) === 'Rar!') return 'application/vnd.rar';
+  if (startsWith(head, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])) return 'application/x-7z-compressed';
+  if (ascii(head, 0, 2) === 'MZ') return 'application/x-msdownload';
+  if (startsWith(head, [0x7F, 0x45, 0x4C, 0x46])) return 'application/x-executable';
+  if (startsWith(head, [0xCF, 0xFA, 0xED, 0xFE]) || startsWith(head, [0xFE, 0xED, 0xFA, 0xCF])) return 'application/x-mach-binary';
+  if (ascii(head, 0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(head, 0, 4) === 'fLaC') return 'audio/flac';
+  if (ascii(head, 0, 3) === 'ID3' || startsWith(head, [0xFF, 0xFB])) return 'audio/mpeg';
+  if (startsWith(head, [0x1A, 0x45, 0xDF, 0xA3])) return 'video/webm';
+
+  // Text based: SVG documents (optionally preceded by a BOM, XML prolog, comments or doctype)
+  const text = head.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (text.startsWith('<')) {
+    const withoutProlog = text
+      .replace(/<\?xml[\s\S]*?\?>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<!DOCTYPE[^>\[]*(\[[\s\S]*?\])?\s*>/gi, '')
+      .trimStart();
+    if (/^<svg[\s>]/i.test(withoutProlog)) return 'image/svg+xml';
+  }
+
+  return null;
+}
+
+/**
+ * Normalises aliases so that declared and detected mimetypes can be compared
+ * @param {string} mimetype
+ * @returns {string}
+ */
+function normalizeMimetype(mimetype) {
+  const lower = String(mimetype || '').toLowerCase().split(';')[0].trim();
+  return EQUIVALENT_MIMETYPES[lower] || lower;
+}
+
+/**
+ * Decides which mimetype to trust for an upload
+ * @param {string} declared - Mimetype sent by the client
+ * @param {string|null} detected - Mimetype detected from the content
+ * @param {'relabel' | 'reject' | 'ignore'} [mode='relabel'] - Mismatch policy
+ * @returns {{ mimetype: string, error: string|null }} Mimetype to use and, when the file must be rejected, why
+ */
+function resolveMimetype(declared, detected, mode = 'relabel') {
+  if (mode === 'ignore') return { mimetype: declared, error: null };
+
+  const declaredImage = typeof declared === 'string' && declared.startsWith('image');
+  const detectedImage = typeof detected === 'string' && detected.startsWith('image');
+
+  // Declared as an image but the bytes are something else: never hand it to sharp or store it
+  if (declaredImage && detected && !detectedImage) {
+    return {
+      mimetype: declared,
+      error: `Content does not match declared type ${declared} (detected: ${detected})`
+    };
+  }
+
+  // Declared as a well-known image type but no image signature was found
+  if (declaredImage && !detected && DETECTABLE_IMAGE_TYPES.has(normalizeMimetype(declared))) {
+    return {
+      mimetype: declared,
+      error: `Content does not match declared type ${declared} (no ${declared} signature found)`
+    };
+  }
+
+  if (!detected || normalizeMimetype(declared) === normalizeMimetype(detected)) {
+    return { mimetype: declared, error: null };
+  }
+
+  if (mode === 'reject') {
+    return {
+      mimetype: declared,
+      error: `Content does not match declared type ${declared} (detected: ${detected})`
+    };
+  }
+
+  return { mimetype: detected, error: null };
+}
+
+/**
+ * Reads the first bytes of a stream without losing them
+ * @param {Readable} source - Stream to inspect (e.g. multer's file.stream)
+ * @param {number} [length=SNIFF_BYTES] - Minimum number of bytes to collect (less if the stream ends first)
+ * @returns {Promise<{ head: Buffer, stream: PassThrough }>} Collected bytes and a stream replaying the full content
+ */
+function peekStream(source, length = SNIFF_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let settled = false;
+
+    const settle = (ended) => {
+      if (settled) return;
+      settled = true;
+      source.removeListener('data', onData);
+      source.removeListener('end', onEnd);
+      source.removeListener('error', onError);
+      source.pause();
+
+      const head = Buffer.concat(chunks, size);
+      const stream = new PassThrough();
+
+      if (ended) {
+        stream.end(head);
+      } else {
+        if (head.length > 0) stream.write(head);
+        source.on('error', (err) => stream.destroy(err));
+        source.pipe(stream);
+      }
+
+      resolve({ head, stream });
+    };
+
+    const onData = (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= length) settle(false);
+    };
+    const onEnd = () => settle(true);
+    const onError = (err) => {
+      if (settled) return;
+      settled = true;
+      reject(err);
+    };
+
+    source.on('data', onData);
+    source.once('end', onEnd);
+    source.once('error', onError);
+  });
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  detectMimetype,
+  normalizeMimetype,
+  resolveMimetype,
+  peekStream
+};
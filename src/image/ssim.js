@@ -0,0 +1,68 @@
+//! ========================================
+//! STRUCTURAL SIMILARITY (SSIM)
+//! ========================================
+
+// Constants from Wang et al. (2004) for 8-bit samples
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+// Square windows compared one by one, half-overlapping
+const WINDOW = 8;
+const STRIDE = 4;
+
+function windowSsim(a, b, width, channels, x0, y0, sizeX, sizeY) {
+  let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+  for (let y = y0; y < y0 + sizeY; y++) {
+    let at = (y * width + x0) * channels;
+    for (let x = 0; x < sizeX; x++, at += channels) {
+      const va = a[at];
+      const vb = b[at];
+      sumA += va;
+      sumB += vb;
+      sumAA += va * va;
+      sumBB += vb * vb;
+      sumAB += va * vb;
+    }
+  }
+
+  const n = sizeX * sizeY;
+  const meanA = sumA / n;
+  const meanB = sumB / n;
+  const varA = sumAA / n - meanA * meanA;
+  const varB = sumBB / n - meanB * meanB;
+  const cov = sumAB / n - meanA * meanB;
+
+  return ((2 * meanA * meanB + C1) * (2 * cov + C2)) /
+    ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+}
+
+/**
+ * Mean SSIM of two decoded images of the same size, computed on their first channel
+ * @param {Buffer} a - Raw pixels of the reference image
+ * @param {Buffer} b - Raw pixels of the compared image
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} [channels=1] - Interleaved channels per pixel
+ * @returns {number} Similarity between -1 and 1 (1 = identical)
+ */
+function computeSsim(a, b, width, height, channels = 1) {
+  if (a.length !== b.length) {
+    throw new RangeError(`Cannot compare images of different sizes (${a.length} and ${b.length} bytes)`);
+  }
+
+  const sizeX = Math.min(WINDOW, width);
+  const sizeY = Math.min(WINDOW, height);
+  let total = 0;
+  let count = 0;
+
+  for (let y = 0; y + sizeY <= height; y += STRIDE) {
+    for (let x = 0; x + sizeX <= width; x += STRIDE) {
+      total += windowSsim(a, b, width, channels, x, y, sizeX, sizeY);
+      count++;
+    }
+  }
+
+  return count > 0 ? total / count : 1;
+}
+
+module.exports = { computeSsim };
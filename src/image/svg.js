@@ -0,0 +1,137 @@
+//! ========================================
+//! SVG SANITIZER
+//! ========================================
+
+// Dropped with everything inside them: scripts, HTML islands, embedded documents, SVG Tiny event handlers
+const DROPPED_ELEMENTS = new Set(['script', 'foreignobject', 'iframe', 'embed', 'object', 'handler', 'listener']);
+
+// Animations can rewrite an attribute after load (e.g. set an href to javascript:)
+const ANIMATION_ELEMENTS = new Set(['set', 'animate', 'animatecolor', 'animatemotion', 'animatetransform']);
+
+// Markup at a '<': comment, CDATA, doctype, processing instruction or tag (attribute values must be quoted, as in XML)
+const MARKUP = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|<\?[\s\S]*?\?>|<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s"'<>/=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const ATTRIBUTE = /([^\s"'<>/=]+)\s*=\s*("[^"]*"|'[^']*')/g;
+
+// References an SVG may keep: fragments of the document itself and embedded raster images
+const SAFE_REFERENCE = /^(#|data:image\/(png|jpe?g|gif|webp|avif)[;,])/;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n', lpar: '(', rpar: ')' };
+
+// Attribute value as a browser reads it: entities decoded, whitespace and control characters removed (they do not stop 'java\tscript:')
+function normalizeValue(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16) % 0x110000))
+    .replace(/&#(\d+);?/g, (_, decimal) => String.fromCodePoint(parseInt(decimal, 10) % 0x110000))
+    .replace(/&([a-z]+);/gi, (entity, name) => NAMED_ENTITIES[name.toLowerCase()] ?? entity)
+    .replace(/[\s\u0000-\u001f]+/g, '')
+    .toLowerCase();
+}
+
+const localName = (name) => name.slice(name.lastIndexOf(':') + 1).toLowerCase();
+
+// Styles that load something from outside the document (url() to another file, @import) or run script
+function isUnsafeStyle(css) {
+  if (/@import|expression\(|(java|vb)script:|-moz-binding|behaviou?r:/.test(css)) return true;
+  const urls = css.match(/url\(([^)]*)\)/g) || [];
+  return urls.some((url) => !SAFE_REFERENCE.test(url.slice(4, -1).replace(/^["']|["']$/g, '')));
+}
+
+// Reason to drop an attribute, null to keep it
+function getAttributeViolation(name, value) {
+  const local = localName(name);
+  const normalized = normalizeValue(value);
+  if (local.startsWith('on')) return 'event attribute';
+  if (local === 'href' && !SAFE_REFERENCE.test(normalized)) return 'external reference';
+  if (/(java|vb)script:|data:text\/html/.test(normalized)) return 'script URL';
+  if ((local === 'style' || normalized.includes('url(')) && isUnsafeStyle(normalized)) return 'external reference';
+  return null;
+}
+
+/**
+ * Removes what can run script or load external content from an SVG: script, foreignObject and embedding elements,
+ * on* attributes, links and references outside the document, doctype entities, stylesheet instructions
+ * @param {Buffer} buffer - SVG document (UTF-8)
+ * @returns {{ buffer: Buffer, removed: string[] }} Sanitized document and what was taken out (empty when it was clean)
+ * @throws {Error} When the markup cannot be parsed (nothing is stored from a document that is not understood)
+ */
+function sanitizeSvg(buffer) {
+  const source = buffer.toString('utf8');
+  const removed = new Set();
+  let output = '';
+  let skipping = null;   // { name, depth } while inside a dropped element
+  let pos = 0;
+
+  while (pos < source.length) {
+    const next = source.indexOf('<', pos);
+    const text = source.slice(pos, next === -1 ? source.length : next);
+    if (!skipping) output += text;
+    if (next === -1) break;
+
+    MARKUP.lastIndex = next;
+    const match = MARKUP.exec(source);
+    if (!match) {
+      // Raw text inside a dropped element (script bodies are often not escaped)
+      if (skipping) { pos = next + 1; continue; }
+      throw new Error(`Malformed SVG markup at offset ${next}`);
+    }
+    pos = MARKUP.lastIndex;
+
+    const [token, closing, name, attributes = '', selfClosing] = match;
+    if (!name) {
+      // Comments, doctype (entities) and processing instructions (xml-stylesheet) are dropped, CDATA is text
+      if (skipping) continue;
+      if (token.startsWith('<![CDATA[')) output += token;
+      else if (/^<\?xml\s/.test(token) && output.trim() === '') output += token;
+      else if (!token.startsWith('<!--')) removed.add(token.startsWith('<!') ? 'doctype' : 'processing instruction');
+      continue;
+    }
+
+    const local = localName(name);
+    if (skipping) {
+      if (name === skipping.name && !selfClosing) skipping.depth += closing ? -1 : 1;
+      if (skipping.depth === 0) skipping = null;
+      continue;
+    }
+    if (closing) {
+      output += token;
+      continue;
+    }
+
+    const attributeList = [...attributes.matchAll(ATTRIBUTE)];
+    const animatesUnsafe = ANIMATION_ELEMENTS.has(local) && attributeList.some(([, attribute, quoted]) =>
+      localName(attribute) === 'attributename' && /^on|href$/.test(normalizeValue(quoted.slice(1, -1))));
+
+    if (DROPPED_ELEMENTS.has(local) || animatesUnsafe) {
+      removed.add(`<${local}>`);
+      if (!selfClosing) skipping = { name, depth: 1 };
+      continue;
+    }
+
+    if (local === 'style' && !selfClosing) {
+      const end = source.slice(pos).search(new RegExp(`</${name.replace(/[.]/g, '\\.')}\\s*>`));
+      if (end === -1) throw new Error('Unclosed <style> element in SVG');
+      const css = source.slice(pos, pos + end);
+      const closeTag = source.slice(pos + end).match(/^<\/[^>]*>/)[0];
+      if (isUnsafeStyle(normalizeValue(css))) {
+        removed.add('<style>');
+      } else {
+        output += token + css + closeTag;
+      }
+      pos += end + closeTag.length;
+      continue;
+    }
+
+    let kept = '';
+    for (const [attribute, attributeName, quoted] of attributeList) {
+      const violation = getAttributeViolation(attributeName, quoted.slice(1, -1));
+      if (violation) removed.add(`${attributeName} (${violation})`);
+      else kept += ` ${attribute}`;
+    }
+    output += `<${name}${kept}${selfClosing ? '/' : ''}>`;
+  }
+
+  if (skipping) throw new Error(`Unclosed <${skipping.name}> element in SVG`);
+  return { buffer: removed.size > 0 ? Buffer.from(output, 'utf8') : buffer, removed: [...removed] };
+}
+
+module.exports = { sanitizeSvg };
@@ -1,3 +1,20 @@
-const { upflyUpload, upflyConvert } = require("./upfly");
+const { upflyUpload, upflyConvert, UpflyLimitError } = require("./upfly");
+const {
+  registerCloudProvider,
+  uploadToCloud,
+  validateAllCloudConfigs,
+  createCloudAdapter,
+  CloudAdapter
+} = require("./cloud/index");
 
-module.exports = { upflyUpload, upflyConvert };
\ No newline at end of file
+// The built-in adapters stay internal: they are reached by provider name (cloudProvider, createCloudAdapter)
+module.exports = {
+  upflyUpload,
+  upflyConvert,
+  UpflyLimitError,
+  registerCloudProvider,
+  uploadToCloud,
+  validateAllCloudConfigs,
+  createCloudAdapter,
+  CloudAdapter
+};
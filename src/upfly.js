@@ -9,6 +9,15 @@ const { Transform, Readable, PassThrough } = require('stream');
 
 
 const { uploadToCloud, validateAllCloudConfigs } = require('./cloud/index');
+const { SNIFF_BYTES, detectMimetype, resolveMimetype, peekStream } = require('./image/sniff');
+const { normalizeMetadataPolicy, applyMetadataPolicy, rewriteOriginalMetadata, planOriginalMetadata } = require('./image/metadata');
+const { parseExif } = require('./image/exif');
+const { readIccDescription } = require('./image/icc');
+const { DIMENSION_PEEK_BYTES, readImageDimensions } = require('./image/dimensions');
+const { computeSsim } = require('./image/ssim');
+const { PLACEHOLDER_TYPES, computePlaceholders } = require('./image/placeholder');
+const { detectAnimation } = require('./image/animation');
+const { sanitizeSvg } = require('./image/svg');
 
 
 //! ========================================
@@ -27,8 +36,8 @@ const { uploadToCloud, validateAllCloudConfigs } = require('./cloud/index');
  */
 
 /**
- * @typedef {'cloudinary' | 's3' | 'aws' | 'gcs' | 'google'} CloudProvider
- * Supported cloud storage providers
+ * @typedef {'cloudinary' | 's3' | 'aws' | 'gcs' | 'google' | 'azure' | 'local' | string} CloudProvider
+ * Supported cloud storage providers (string: a provider added with registerCloudProvider)
  */
 
 /**
@@ -51,6 +60,11 @@ const { uploadToCloud, validateAllCloudConfigs } = require('./cloud/index');
  * Google Cloud Storage classes
  */
 
+/**
+ * @typedef {'Hot' | 'Cool' | 'Cold' | 'Archive'} AzureAccessTier
+ * Azure block blob access tiers
+ */
+
 /**
  * @typedef {'image' | 'video' | 'raw' | 'auto'} CloudinaryResourceType
  * Cloudinary resource types
@@ -72,15 +86,20 @@ const { uploadToCloud, validateAllCloudConfigs } = require('./cloud/index');
 
 /**
  * @typedef {Object} S3Config
- * @property {AWSRegion} region - AWS region (e.g., 'us-east-1', 'eu-west-1')
+ * @property {AWSRegion} [region] - AWS region (e.g., 'us-east-1', 'eu-west-1'); required unless an endpoint is set (default then: 'us-east-1')
  * @property {string} bucket - S3 bucket name
  * @property {string} accessKeyId - AWS access key ID
  * @property {string} secretAccessKey - AWS secret access key
- * @property {string} [prefix] - Optional key prefix/folder (e.g., 'uploads/', 'images/')
+ * @property {string} [prefix] - Optional key prefix/folder, with {fieldname}, {yyyy}, {mm}, {dd} placeholders (e.g., '{fieldname}/{yyyy}/{mm}/')
+ * @property {string} [keyPrefix] - Same as prefix
  * @property {S3ACL} [acl='public-read'] - Access control: 'private', 'public-read', 'public-read-write'
  * @property {Object} [metadata] - Custom metadata object
  * @property {S3StorageClass} [storageClass='STANDARD'] - Storage class: 'STANDARD', 'REDUCED_REDUNDANCY', 'GLACIER'
  * @property {string} [serverSideEncryption] - Encryption: 'AES256', 'aws:kms'
+ * @property {string} [kmsKeyId] - KMS key ID or ARN used with 'aws:kms' encryption
+ * @property {string} [endpoint] - S3-compatible service URL (MinIO: 'http://localhost:9000', R2, Wasabi, Spaces...)
+ * @property {boolean} [forcePathStyle=false] - Address the bucket in the path (endpoint/bucket/key), as MinIO requires
+ * @property {string} [publicBaseUrl] - Base of the returned cloudUrl (public bucket or CDN URL); default: the bucket's URL
  */
 
 /**
@@ -89,19 +108,160 @@ const { uploadToCloud, validateAllCloudConfigs } = require('./cloud/index');
  * @property {string} [keyFilename] - Path to service account key file (.json)
  * @property {Object} [credentials] - Service account credentials object (alternative to keyFilename)
  * @property {string} [projectId] - Google Cloud project ID (auto-detected if using keyFilename)
- * @property {string} [prefix] - Optional object name prefix/folder (e.g., 'uploads/', 'images/')
+ * @property {string} [prefix] - Optional object name prefix/folder, with {fieldname}, {yyyy}, {mm}, {dd} placeholders
  * @property {boolean} [public=true] - Make uploaded files publicly accessible
  * @property {Object} [metadata] - Custom metadata object
  * @property {GCSStorageClass} [storageClass='STANDARD'] - Storage class: 'STANDARD', 'NEARLINE', 'COLDLINE', 'ARCHIVE'
  */
 
+/**
+ * @typedef {Object} AzureConfig
+ * @property {string} container - Blob container name
+ * @property {string} [connectionString] - Storage account connection string ('UseDevelopmentStorage=true' for Azurite)
+ * @property {string} [accountName] - Storage account name (with accountKey or sasToken, instead of connectionString)
+ * @property {string} [accountKey] - Storage account key
+ * @property {string} [sasToken] - Shared access signature (never included in returned URLs)
+ * @property {string} [endpoint] - Blob service URL (default: https://<accountName>.blob.core.windows.net; Azurite: http://127.0.0.1:10000/devstoreaccount1)
+ * @property {string} [prefix] - Optional blob name prefix/folder, with {fieldname}, {yyyy}, {mm}, {dd} placeholders
+ * @property {AzureAccessTier} [accessTier] - Access tier set on upload (default: the account's tier)
+ * @property {Object} [metadata] - Custom metadata object
+ * @property {string} [cacheControl] - Cache-Control header stored with the blob
+ * @property {string} [customDomain] - Custom domain for URLs (e.g., 'https://cdn.example.com')
+ * @property {number} [blockSize=4194304] - Size of the blocks staged while streaming, in bytes
+ * @property {number} [concurrency=5] - Blocks staged in parallel
+ */
+
+/**
+ * @typedef {Object} LocalStorageConfig
+ * @property {string} directory - Directory files are written to (a mounted volume, NFS share...)
+ * @property {string} baseUrl - Public URL the directory is served from (e.g., 'https://static.example.com/uploads')
+ * @property {string} [prefix] - Optional subfolder, with {fieldname}, {yyyy}, {mm}, {dd} placeholders
+ * @property {boolean} [createDirectory=true] - Create the directory at startup when it does not exist
+ */
+
+/**
+ * @typedef {'cover' | 'contain' | 'fill' | 'inside' | 'outside'} ResizeFit
+ * How the image should fit both provided dimensions (see sharp resize docs)
+ */
+
+/**
+ * @typedef {Object} ResizeOptions
+ * @property {number} [width] - Target width in pixels (auto-scaled if omitted)
+ * @property {number} [height] - Target height in pixels (auto-scaled if omitted)
+ * @property {ResizeFit} [fit='cover'] - How the image should fit both dimensions
+ * @property {string} [position='centre'] - Position/gravity used when fit is 'cover' or 'contain'
+ * @property {boolean} [withoutEnlargement=false] - Do not upscale images smaller than the target
+ */
+
+/**
+ * @typedef {Object} VariantOptions
+ * @property {number} [width] - Rendition width in pixels
+ * @property {number} [height] - Rendition height in pixels
+ * @property {ImageFormat} [format] - Rendition format (defaults to the field format)
+ * @property {number} [quality] - Rendition quality 1-100 (defaults to the field quality)
+ * @property {ResizeFit} [fit='cover'] - How the rendition should fit both dimensions
+ * @property {boolean} [withoutEnlargement=false] - Do not upscale images smaller than the rendition
+ * @property {string} [suffix] - Filename suffix (defaults to '<width>w' or '<height>h')
+ */
+
+/**
+ * @typedef {'strip' | 'keep' | 'keep-icc' | { exif?: boolean, icc?: boolean, xmp?: boolean }} MetadataPolicy
+ * Which metadata survives processing: 'strip' removes EXIF (GPS, camera, timestamps), ICC and XMP
+ */
+
+/**
+ * @typedef {Object} FormatOptions
+ * Encoder tuning per output format, merged into sharp's format options (quality stays a field option)
+ * @property {{ effort?: number, chromaSubsampling?: '4:4:4' | '4:2:0', lossless?: boolean, bitdepth?: 8 | 10 | 12 }} [avif]
+ * @property {{ effort?: number, chromaSubsampling?: '4:4:4' | '4:2:0', lossless?: boolean, bitdepth?: 8 | 10 | 12 }} [heif]
+ * @property {{ lossless?: boolean, nearLossless?: boolean, smartSubsample?: boolean, effort?: number, alphaQuality?: number }} [webp]
+ * @property {{ mozjpeg?: boolean, progressive?: boolean, chromaSubsampling?: '4:4:4' | '4:2:0', optimiseCoding?: boolean }} [jpeg]
+ * @property {{ palette?: boolean, compressionLevel?: number, progressive?: boolean, colours?: number, effort?: number }} [png]
+ * @property {{ compression?: string, predictor?: string }} [tiff]
+ * @property {{ colours?: number, effort?: number, dither?: number }} [gif]
+ */
+
+/**
+ * @typedef {Object} WatermarkOptions
+ * Mark composited onto converted images (and every variant) after resizing; scale and margin follow the image width
+ * @property {string|Buffer} [image] - Mark image, file path or Buffer (one of image / text)
+ * @property {string} [text] - Mark text, rendered white on one line
+ * @property {'north'|'northeast'|'east'|'southeast'|'south'|'southwest'|'west'|'northwest'|'center'|'centre'} [gravity='southeast'] - Corner or edge to place the mark at
+ * @property {number} [opacity=0.5] - Mark opacity 0-1
+ * @property {number} [scale=0.25] - Mark width as a fraction of the image width
+ * @property {number} [margin=0.02] - Distance to the edges as a fraction of the image width
+ */
+
+/**
+ * @typedef {'blurhash' | 'lqip' | 'dominantColor'} PlaceholderType
+ * - 'blurhash': BlurHash string (https://blurha.sh)
+ * - 'lqip': tiny WebP as a base64 data URI
+ * - 'dominantColor': hex color, e.g. '#3a6f9c'
+ */
+
+/**
+ * @typedef {Object} QualityTarget
+ * Perceptual floor for quality tuning: the lowest quality whose output reaches it is stored
+ * @property {'ssim'} metric - Similarity metric, computed on the decoded output against the source
+ * @property {number} min - Minimum similarity, between 0 and 1 (e.g. 0.95)
+ */
+
+/**
+ * @typedef {Object} ConversionRuleMatch
+ * @property {string|string[]} [mimetype] - Source mimetype pattern(s), globs allowed ('image/png', 'image/*')
+ * @property {number|string} [minSize] - Matches files of at least this size ('1mb')
+ * @property {number|string} [maxSize] - Matches files of at most this size ('20kb')
+ * @property {boolean} [hasAlpha] - Matches images with (true) or without (false) an alpha channel
+ */
+
+/**
+ * @typedef {Object} ConversionRule
+ * Every match condition must hold; the first matching rule overrides the field's settings for that file
+ * @property {ConversionRuleMatch} [match] - Conditions (omitted = matches every file)
+ * @property {ImageFormat} [format] - Target format (implies keepOriginal: false unless set)
+ * @property {number} [quality] - Compression quality 1-100
+ * @property {boolean} [keepOriginal] - Store the file untouched
+ * @property {FormatOptions} [formatOptions] - Encoder options per format
+ */
+
 /**
  * @typedef {Object} BaseFieldConfig
  * @property {OutputDestination} [output='memory'] - Where to store processed files
  * @property {string} [outputDir] - Field-specific output directory (only for output='disk')
  * @property {ImageFormat} [format='webp'] - Target image format (only for images)
  * @property {number} [quality=80] - Compression quality 1-100 (higher = better quality, larger size)
+ * @property {ImageFormat[]} [formatPreference=['avif', 'webp', 'jpeg']] - upflyConvert with format: 'auto': formats best first, picked from the Accept header (last = fallback)
+ * @property {number|string} [targetSize] - Pick the highest quality whose output fits this size ('150kb'); replaces quality for lossy formats
+ * @property {QualityTarget} [targetQuality] - Pick the lowest quality whose output stays this close to the source; replaces quality for lossy formats
+ * @property {FormatOptions} [formatOptions] - Encoder options per format, e.g. { avif: { effort: 4 }, jpeg: { mozjpeg: true } }
+ * @property {ResizeOptions} [resize] - Resize images during conversion (ignored when keepOriginal is true)
+ * @property {string|number} [aspect] - Crop converted images and variants to this aspect ratio before resizing ('1:1', '3:1' or width / height)
+ * @property {'center'|'attention'|'entropy'} [crop='center'] - Part of the image kept by aspect: the middle, the most salient region or the most detailed one
+ * @property {string} [cropField] - Form field carrying a client crop box as JSON {"x","y","w","h"} in upright pixels, applied before aspect / resize
+ * @property {WatermarkOptions} [watermark] - Logo or text composited onto converted images and variants (not applied to keepOriginal files)
+ * @property {VariantOptions[]} [variants] - Extra renditions generated from the same upload (exposed as file.variants)
+ * @property {PlaceholderType|PlaceholderType[]} [placeholder] - Loading placeholders computed from the upload, framed like the stored image (exposed as file.placeholder)
  * @property {boolean} [keepOriginal=false] - Skip conversion, keep original format and quality
+ * @property {boolean} [onlyIfSmaller=false] - Store the original instead when the converted image is larger (sets _metadata.keptOriginalReason)
+ * @property {ConversionRule[]} [rules] - Ordered per-file overrides of format / quality / keepOriginal, first match wins
+ * @property {MetadataPolicy} [metadata='strip'] - Metadata kept in stored images (also applied to keepOriginal images, losslessly where possible)
+ * @property {'srgb'|'p3'|'preserve'} [colorspace] - Colorspace of converted images: convert CMYK / P3 / Adobe RGB inputs to sRGB or Display P3 through their ICC profile, or keep the input's profile (the input's is reported as file.inputColorspace / inputIccProfile)
+ * @property {boolean} [autoOrient=true] - Rotate images according to their EXIF orientation before the tag is stripped
+ * @property {'preserve'|'firstFrame'|'reject'} [animated='preserve'] - Animated GIF / WebP uploads: keep every frame (written as WebP when the format cannot animate), keep the first one, or refuse the file
+ * @property {'first'|'all'|number[]} [pages] - Multi-page TIFF / PDF uploads: pages rendered as separate images (0 is the first page), exposed as file.pages; 'first' renders a PDF thumbnail
+ * @property {'sanitize'|'rasterize'|'reject'} [svg] - SVG uploads: store the SVG with scripts, event handlers and external references removed, convert it to the field's format, or refuse it (default: keepOriginal decides; every stored SVG is sanitized)
+ * @property {boolean} [parseExif=false] - Expose the upload's parsed EXIF tags as file.exif (read before stripping)
+ * @property {number|string} [maxSize] - Per-field maximum file size in bytes or as a string ('5mb', '500kb'); the global limit still applies
+ * @property {number} [maxCount] - Maximum number of files accepted for the field (wildcard keys: all matching fields combined)
+ * @property {number} [minCount] - Minimum number of successfully processed files required for the field
+ * @property {boolean} [required=false] - Shorthand for minCount: 1
+ * @property {string[]} [allowedTypes] - Accepted mimetypes, globs allowed (e.g. ['image/*', 'application/pdf'])
+ * @property {string[]} [deniedTypes] - Refused mimetypes, globs allowed (checked before allowedTypes)
+ * @property {string[]} [allowedExtensions] - Accepted filename extensions (e.g. ['.jpg', '.png'])
+ * @property {number} [maxPixels] - Maximum width × height of an image, checked from its header before decoding
+ * @property {number} [maxWidth] - Maximum image width in pixels
+ * @property {number} [maxHeight] - Maximum image height in pixels
+ * @property {'relabel' | 'reject' | 'ignore'} [mimeMismatch='relabel'] - What to do when the file content (magic bytes) does not match the client mimetype
  * @property {boolean} [cloudStorage=false] - Enable cloud storage upload
  */
 
@@ -138,7 +298,25 @@ const { uploadToCloud, validateAllCloudConfigs } = require('./cloud/index');
  */
 
 /**
- * @typedef {LocalFieldConfig | CloudinaryFieldConfig | S3FieldConfig | GCSFieldConfig} FieldConfig
+ * @typedef {BaseFieldConfig & {
+ *   cloudStorage: true,
+ *   cloudProvider: 'azure',
+ *   cloudConfig: AzureConfig
+ * }} AzureFieldConfig
+ * Configuration for Azure Blob Storage
+ */
+
+/**
+ * @typedef {BaseFieldConfig & {
+ *   cloudStorage: true,
+ *   cloudProvider: 'local',
+ *   cloudConfig: LocalStorageConfig
+ * }} LocalStorageFieldConfig
+ * Configuration for a local directory served as a cloud bucket (same result shape as the cloud providers)
+ */
+
+/**
+ * @typedef {LocalFieldConfig | CloudinaryFieldConfig | S3FieldConfig | GCSFieldConfig | AzureFieldConfig | LocalStorageFieldConfig} FieldConfig
  * Complete field configuration - automatically typed based on cloudStorage and cloudProvider
  * 
  * @example
@@ -166,6 +344,26 @@ const { uploadToCloud, validateAllCloudConfigs } = require('./cloud/index');
 
 const LARGE_FILE_THRESHOLD_BYTES = 7 * 1024 * 1024;
 
+/**
+ * Error raised when a per-field limit (maxSize, maxCount, minCount/required) is violated.
+ * Codes mirror multer's where they overlap so one error handler can serve both.
+ */
+class UpflyLimitError extends Error {
+    /**
+     * @param {'LIMIT_FILE_SIZE' | 'LIMIT_FILE_COUNT' | 'LIMIT_MIN_FILE_COUNT'} code - Violated limit
+     * @param {string} field - Field name the limit belongs to
+     * @param {number} limit - Configured limit value
+     * @param {string} message - Human readable message
+     */
+    constructor(code, field, limit, message){
+        super(message);
+        this.name = 'UpflyLimitError';
+        this.code = code;
+        this.field = field;
+        this.limit = limit;
+    }
+}
+
 // Sharp-supported input formats for conversion
 const SHARP_SUPPORTED_FORMATS = new Set([
     'image/jpeg',
@@ -203,32 +401,46 @@ process.on('exit', ()=>{
     })
 })
 
+// "12.3% saved", or "4.5% larger" when the conversion grew the file
+const formatSavings = (originalSize, convertedSize) => {
+    if(!(originalSize > 0) || !(convertedSize >= 0)) return 'n/a';
+    const change = ((1 - convertedSize / originalSize) * 100).toFixed(1);
+    return convertedSize > originalSize
+        ? `\x1b[33m${-change}%\x1b[0m larger`
+        : `\x1b[32m${change}%\x1b[0m saved`;
+}
+
 //---Parent Logger----
 const main_logger = {
     conversionSuccess : (originalname, format, quality, originalSize, convertedSize)=>{
         if(process.env.NODE_ENV === 'production') return;
-        const saved = ((1 - convertedSize / originalSize) * 100).toFixed(1);
         console.log(
         `\x1b[36m[CONVERT]\x1b[0m ${originalname} → \x1b[32m${format}\x1b[0m ` +
         `(quality: \x1b[32m${quality}\x1b[0m) | ` +
         `Size: \x1b[33m${(originalSize / 1024).toFixed(2)} KB\x1b[0m → ` +
         `\x1b[32m${(convertedSize / 1024).toFixed(2)} KB\x1b[0m ` +
-        `(\x1b[32m${saved}%\x1b[0m saved)`
+        `(${formatSavings(originalSize, convertedSize)})`
         );
     } ,
 
+    // onlyIfSmaller: the converted output was larger than the upload, which is stored instead
+    keptOriginal : (originalname, format, originalSize, convertedSize)=>{
+        if(process.env.NODE_ENV === 'production') return;
+        console.log(
+        `\x1b[36m[ORIGINAL]\x1b[0m ${originalname} kept: \x1b[33m${format}\x1b[0m output was larger ` +
+        `(\x1b[32m${(originalSize / 1024).toFixed(2)} KB\x1b[0m → \x1b[33m${(convertedSize / 1024).toFixed(2)} KB\x1b[0m)`
+        );
+    },
+
     // Cloud upload success logger including conversion summary (URL already logged by cloudLogger)
     convert_cloudUploadSuccess: (originalname, format, quality, originalSize, convertedSize, cloudProvider, publicUrl) => {
         if(process.env.NODE_ENV === 'production') return;
-        const saved = (originalSize > 0 && convertedSize >= 0)
-            ? ((1 - convertedSize / originalSize) * 100).toFixed(1)
-            : 'n/a';
         console.log(
             `\x1b[36m[CONVERT]\x1b[0m ${originalname} → \x1b[32m${format}\x1b[0m ` +
             `(quality: \x1b[32m${quality}\x1b[0m) | ` +
             `Size: \x1b[33m${(originalSize / 1024).toFixed(2)} KB\x1b[0m → ` +
             `\x1b[32m${(convertedSize / 1024).toFixed(2)} KB\x1b[0m ` +
-            `(\x1b[32m${saved}%\x1b[0m saved) | ` +
+            `(${formatSavings(originalSize, convertedSize)}) | ` +
             `Uploaded to: \x1b[36m${cloudProvider || 'unknown'}\x1b[0m`
         );
     },
@@ -251,6 +463,46 @@ const main_logger = {
                     `Uploaded to: \x1b[36m${cloudProvider || 'unknown'}\x1b[0m`
             );
         },
+    variantSuccess : (filename, format, width, height, size)=>{
+        if(process.env.NODE_ENV === 'production') return;
+        console.log(
+        `\x1b[36m[VARIANT]\x1b[0m ${filename} → \x1b[32m${format}\x1b[0m ` +
+        `(${width}x${height}) | Size: \x1b[32m${(size / 1024).toFixed(2)} KB\x1b[0m`
+        );
+    },
+    pageSuccess : (filename, page, format, width, height, size)=>{
+        if(process.env.NODE_ENV === 'production') return;
+        console.log(
+        `\x1b[36m[PAGE ${page}]\x1b[0m ${filename} → \x1b[32m${format}\x1b[0m ` +
+        `(${width}x${height}) | Size: \x1b[32m${(size / 1024).toFixed(2)} KB\x1b[0m`
+        );
+    },
+    pagesWarning : (originalname, errorMessage)=>{
+        console.warn(
+        `\x1b[33m[WARNING]\x1b[0m : File \x1b[33m"${originalname}"\x1b[0m stored without pages: ${errorMessage}`
+    );
+    },
+    svgSanitized : (originalname, removed)=>{
+        if(process.env.NODE_ENV === 'production') return;
+        console.log(
+        `\x1b[33m[SVG]\x1b[0m ${originalname} sanitized, removed: ${removed.join(', ')}`
+        );
+    },
+    placeholderWarning : (originalname, errorMessage)=>{
+        console.warn(
+        `\x1b[33m[WARNING]\x1b[0m : File \x1b[33m"${originalname}"\x1b[0m stored without placeholder: ${errorMessage}`
+    );
+    },
+    metadataWarning : (originalname, errorMessage)=>{
+        console.warn(
+        `\x1b[33m[WARNING]\x1b[0m : File \x1b[33m"${originalname}"\x1b[0m stored with its metadata: ${errorMessage}`
+    );
+    },
+    fileRejected : (originalname, errorMessage)=>{
+        console.error(
+        `\x1b[31m[SKIPPED]\x1b[0m : File \x1b[33m"${originalname}"\x1b[0m rejected: ${errorMessage}`
+    );
+    },
     conversionError :  (originalname, errorMessage)=>{
         console.error(
         `\x1b[31m[SKIPPED]\x1b[0m : File \x1b[33m"${originalname}"\x1b[0m failed during conversion: ${errorMessage}`
@@ -346,10 +598,30 @@ const upflyUpload = (options = {}) =>{
         if (config.format !== undefined && typeof config.format !== 'string') {
             throw new TypeError(`Field '${fieldname}' format must be a string.`);
         }
+        if (config.format === 'auto' || (Array.isArray(config.rules) && config.rules.some(rule => rule?.format === 'auto'))) {
+            throw new RangeError(`Field '${fieldname}' format 'auto' is only supported by upflyConvert (it is negotiated from the request's Accept header).`);
+        }
 
         if (config.keepOriginal !== undefined && typeof config.keepOriginal !== 'boolean') {
             throw new TypeError(`Field '${fieldname}' keepOriginal must be a boolean.`);
         }
+
+        validateImageOptions(fieldname, config);
+
+        if (config.maxSize !== undefined && parseSize(config.maxSize) === null) {
+            throw new RangeError(`Field '${fieldname}' maxSize must be a positive number of bytes or a size string like '5mb'.`);
+        }
+        for (const option of ['maxCount', 'minCount']) {
+            if (config[option] !== undefined && (!Number.isInteger(config[option]) || config[option] < 0)) {
+                throw new RangeError(`Field '${fieldname}' ${option} must be a non-negative integer.`);
+            }
+        }
+        if (config.required !== undefined && typeof config.required !== 'boolean') {
+            throw new TypeError(`Field '${fieldname}' required must be a boolean.`);
+        }
+        if (config.maxCount !== undefined && getMinCount(config) > config.maxCount) {
+            throw new RangeError(`Field '${fieldname}' minCount cannot be greater than maxCount.`);
+        }
     }
 
     if(typeof outputDir !== 'string'){
@@ -376,39 +648,43 @@ const upflyUpload = (options = {}) =>{
         });
     }
 
-  // Create pattern matchers for wildcard fields
-const fieldPatterns = Object.keys(fields).map(fieldKey => {
-    if (fieldKey.includes('*')) {
-        // Convert wildcard to regex: "image_*" becomes /^image_.*$/
-        const regexPattern = fieldKey
-            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&') // Escape special regex chars
-            .replace(/\\\*/g, '.*');                 // Convert \* to .*
-        return { pattern: new RegExp(`^${regexPattern}$`), key: fieldKey };
-    }
-    return { pattern: fieldKey, key: fieldKey }; // Exact match for non-wildcard
-});
-
 const upload = multer({
     storage : customStorageEngine(LARGE_FILE_THRESHOLD_BYTES, fields, outputDir, safeFile),
     limits : {fileSize : limit},
     fileFilter : (req, file, cb)=>{
-        // Check if fieldname matches any pattern
-        const isAllowed = fieldPatterns.some(({ pattern }) => {
-            if (typeof pattern === 'string') {
-                return pattern === file.fieldname; // Exact match
-            }
-            return pattern.test(file.fieldname); // Regex match for wildcards
-        });
+        // Check if fieldname matches a configured field (exact or wildcard pattern)
+        const configKey = findFieldKey(fields, file.fieldname);
         
-        if (!isAllowed) return cb(null, false);
+        if (!configKey){
+            rejectFile(req, file, 'UNEXPECTED_FIELD', `No configuration found for field: ${file.fieldname}`);
+            return cb(null, false);
+        }
+
+        // Declared type / extension check (the content is re-checked in the storage engine)
+        const config = fields[configKey];
+        const rejection = getTypeRejection(config, file.mimetype, file.originalname);
+        if (rejection){
+            rejectFile(req, file, rejection.code, rejection.reason);
+            return cb(null, false);
+        }
+
+        // maxCount is enforced by the storage engine, once the content checks have accepted the file
         cb(null, true);
     }
 }).any();
 
+    // minCount / required are checked once the whole form has been processed
+    const requiredFields = Object.entries(fields).filter(([_, config]) => getMinCount(config) > 0);
+
     return async(req, res, next) =>{
+        req.upflyRejected = req.upflyRejected || [];
+
         upload(req, res, async(uploadErr)=>{
             if(uploadErr) return next(uploadErr);
-            if(!req.files) return next();
+            if(!req.files){
+                if(requiredFields.length === 0) return next();
+                req.files = [];
+            }
 
             if(Array.isArray(req.files)){
                 const grouped = {};
@@ -423,6 +699,24 @@ const upload = multer({
                 req.files = grouped;
             }
 
+            for(const [fieldKey, config] of requiredFields){
+                const minCount = getMinCount(config);
+                const processedCount = Object.entries(req.files)
+                    .filter(([fieldname]) => findFieldKey(fields, fieldname) === fieldKey)
+                    .reduce((count, [_, files]) => count + files.filter(f => !f._metadata?.isSkipped && !f._skipped).length, 0);
+
+                if(processedCount < minCount){
+                    return next(new UpflyLimitError(
+                        'LIMIT_MIN_FILE_COUNT',
+                        fieldKey,
+                        minCount,
+                        minCount === 1
+                            ? `Field '${fieldKey}' is required`
+                            : `Field '${fieldKey}' requires at least ${minCount} files (received ${processedCount})`
+                    ));
+                }
+            }
+
             next();
         })
     }
@@ -431,31 +725,187 @@ const upload = multer({
 
 function customStorageEngine(threshold, fields, outputDir, safeFile){
 
+    // Files accepted so far per request and field key, for maxCount
+    const fieldFileCounts = new WeakMap();
    
     return {
         async _handleFile(req, file, cb){
             try{
-                let config = fields[file.fieldname];
-                 if (!config) {
-                    // Try wildcard patterns
-                    for (const [fieldKey, fieldConfig] of Object.entries(fields)) {
-                        if (fieldKey.includes('*')) {
-                            const regexPattern = fieldKey
-                                .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-                                .replace(/\\\*/g, '.*');
-                            const regex = new RegExp(`^${regexPattern}$`);
-                            
-                            if (regex.test(file.fieldname)) {
-                                config = fieldConfig;
-                                break;
+                // Exact field name first, then wildcard patterns
+                const config = fields[findFieldKey(fields, file.fieldname)];
+                
+                if (!config) {
+                    return cb(new Error(`No configuration found for field: ${file.fieldname}`));
+                }
+
+                // Inspect the leading bytes instead of trusting the client-provided mimetype
+                const sniffed = await peekStream(file.stream, SNIFF_BYTES);
+                let fileStream = sniffed.stream; // replays the inspected bytes (multer's file.stream is read-only)
+                file.detectedMimetype = detectMimetype(sniffed.head);
+
+                const mimeCheck = resolveMimetype(file.mimetype, file.detectedMimetype, config.mimeMismatch);
+                if (mimeCheck.error) {
+                    fileStream.resume(); // drain the rejected part so the rest of the form keeps parsing
+                    main_logger.fileRejected(file.originalname, mimeCheck.error);
+                    rejectFile(req, file, 'CONTENT_MISMATCH', mimeCheck.error);
+                    return cb(null, {
+                        ...file,
+                        _metadata: {
+                            isBackupFallback: false,
+                            isSkipped: true,
+                            isProcessed: false,
+                            errors: {
+                                mimetype: mimeCheck.error,
+                                message: mimeCheck.error
+                            }
+                        }
+                    });
+                }
+                const declaredMimetype = file.mimetype;
+                file.mimetype = mimeCheck.mimetype;
+
+                // A relabelled file must also satisfy the field's allowedTypes / deniedTypes
+                const typeRejection = file.mimetype !== declaredMimetype
+                    ? getTypeRejection(config, file.mimetype, null)
+                    : null;
+                if (typeRejection) {
+                    file.mimetype = declaredMimetype;
+                    fileStream.resume();
+                    main_logger.fileRejected(file.originalname, typeRejection.reason);
+                    rejectFile(req, file, typeRejection.code, typeRejection.reason);
+                    return cb(null, {
+                        ...file,
+                        _metadata: {
+                            isBackupFallback: false,
+                            isSkipped: true,
+                            isProcessed: false,
+                            errors: {
+                                type: typeRejection.reason,
+                                message: typeRejection.reason
                             }
                         }
+                    });
+                }
+
+                // Decompression bombs: refuse oversized images from their header, before anything decodes them
+                if (hasDimensionLimits(config) && file.detectedMimetype && file.detectedMimetype.startsWith('image')) {
+                    let dimensions = readImageDimensions(sniffed.head, file.detectedMimetype);
+                    if (!dimensions && file.detectedMimetype === 'image/jpeg' && sniffed.head.length >= SNIFF_BYTES) {
+                        // The frame header comes after EXIF / ICC segments, which can exceed the sniffed bytes
+                        const extended = await peekStream(fileStream, DIMENSION_PEEK_BYTES);
+                        fileStream = extended.stream;
+                        dimensions = readImageDimensions(extended.head, file.detectedMimetype);
+                    }
+
+                    const violation = getDimensionLimitViolation(config, dimensions);
+                    if (violation) {
+                        fileStream.resume();
+                        main_logger.fileRejected(file.originalname, violation);
+                        rejectFile(req, file, 'DIMENSIONS_EXCEEDED', violation);
+                        return cb(null, {
+                            ...file,
+                            _metadata: {
+                                isBackupFallback: false,
+                                isSkipped: true,
+                                isProcessed: false,
+                                errors: {
+                                    limits: violation,
+                                    message: violation
+                                }
+                            }
+                        });
                     }
                 }
-                
-                if (!config) {
-                    return cb(new Error(`No configuration found for field: ${file.fieldname}`));
+
+                // Conversion rules: the first rule matching the source decides format / quality / keepOriginal
+                let fileConfig = config;
+                if (Array.isArray(config.rules)) {
+                    const probeBytes = getRuleProbeBytes(config.rules);
+                    let head = sniffed.head;
+                    let complete = head.length < SNIFF_BYTES;
+                    if (!complete && head.length < probeBytes) {
+                        const probe = await peekStream(fileStream, probeBytes);
+                        fileStream = probe.stream;
+                        head = probe.head;
+                        complete = head.length < probeBytes;
+                    }
+                    fileConfig = resolveConversionRule(config, await describeRuleSource(config.rules, file.mimetype, head, complete));
+                }
+
+                // SVGs are read whole and sanitized before anything else sees them: no path (keepOriginal, backup, onlyIfSmaller) stores the upload as sent
+                if (isSvgUpload(file)) {
+                    const svgPolicy = resolveSvg(fileConfig);
+                    if (svgPolicy.error) {
+                        fileStream.resume();
+                        return cb(null, skipFile(req, file, 'SVG_NOT_ALLOWED', 'svg', svgPolicy.error));
+                    }
+                    // Reads one byte past the field's maxSize at most: a longer SVG is refused before it is all in memory
+                    const maxSize = config.maxSize !== undefined ? parseSize(config.maxSize) : Infinity;
+                    const { head, stream } = await peekStream(fileStream, maxSize + 1);
+                    if (head.length > maxSize) {
+                        stream.resume();
+                        return cb(new UpflyLimitError(
+                            'LIMIT_FILE_SIZE',
+                            file.fieldname,
+                            maxSize,
+                            `File too large for field '${file.fieldname}' (maxSize: ${maxSize} bytes)`
+                        ));
+                    }
+                    let sanitized;
+                    try {
+                        sanitized = sanitizeSvg(head);
+                    } catch (err) {
+                        return cb(null, skipFile(req, file, 'INVALID_SVG', 'svg', err.message));
+                    }
+                    if (sanitized.removed.length > 0) {
+                        main_logger.svgSanitized(file.originalname, sanitized.removed);
+                    }
+                    fileStream = Readable.from([sanitized.buffer]);
+                    fileConfig = svgPolicy.config;
+                }
+
+                // Animations are detected from the header, before conversion starts: the policy may refuse them or change the output format
+                const checksAnimation = fileConfig.animated === 'reject' || (!fileConfig.keepOriginal && fileConfig.animated !== 'firstFrame');
+                if (checksAnimation && file.detectedMimetype && file.detectedMimetype.startsWith('image')) {
+                    let animated = detectAnimation(sniffed.head, file.detectedMimetype, sniffed.head.length < SNIFF_BYTES);
+                    // GIF frames are found by walking the file: read on until the second frame or the end shows up, within a bounded probe
+                    if (animated === null) {
+                        const peeked = await peekStream(fileStream, DIMENSION_PEEK_BYTES);
+                        fileStream = peeked.stream;
+                        // Still undecided (a first frame larger than the probe): handled as a still image instead of buffering the upload
+                        animated = detectAnimation(peeked.head, file.detectedMimetype, peeked.head.length < DIMENSION_PEEK_BYTES) ?? false;
+                    }
+
+                    const animation = resolveAnimation(fileConfig, animated, file.detectedMimetype);
+                    if (animation.error) {
+                        fileStream.resume();
+                        return cb(null, skipFile(req, file, 'ANIMATION_NOT_ALLOWED', 'animated', animation.error));
+                    }
+                    fileConfig = animation.config;
+                }
+
+                // Client crop box: multer fills req.body as the form is parsed, so the crop field must come before the file
+                if (fileConfig.cropField && !fileConfig.keepOriginal && file.mimetype && file.mimetype.startsWith('image')) {
+                    const peeked = await peekStream(fileStream, DIMENSION_PEEK_BYTES);
+                    fileStream = peeked.stream;
+                    const { box, error } = await readCropBox(req.body, fileConfig, peeked.head, file.detectedMimetype);
+                    if (error) {
+                        fileStream.resume();
+                        // Converting the whole picture would store what the user cropped out
+                        return cb(null, skipFile(req, file, 'INVALID_CROP', 'crop', error));
+                    }
+                    if (box) {
+                        fileConfig = { ...fileConfig, cropBox: box };
+                    }
+                }
+
+                // keepOriginal images with nothing for the metadata policy to remove are streamed instead of buffered whole
+                if (fileConfig.keepOriginal && fileConfig.metadata !== 'keep' && file.mimetype && file.mimetype.startsWith('image')) {
+                    const peeked = await peekStream(fileStream, DIMENSION_PEEK_BYTES);
+                    fileStream = peeked.stream;
+                    fileConfig = { ...fileConfig, metadataPlan: planOriginalMetadata(peeked.head, file.mimetype, fileConfig.metadata) };
                 }
+
                 const precomputedName = generateFileName(file);
                 file.originalname = precomputedName;
 
@@ -464,7 +914,9 @@ function customStorageEngine(threshold, fields, outputDir, safeFile){
                 const needsBackup = safeFile; // ← Fixed: All files get backup protection when safeFile=true 
                 
                 // Validate Sharp format support if conversion is needed
-                const keepOriginal = config?.keepOriginal || false;
+                const keepOriginal = fileConfig?.keepOriginal || false;
+                // onlyIfSmaller reads the original back from the backup when the converted output turns out larger
+                const teesOriginal = needsBackup || (isImage && !keepOriginal && fileConfig?.onlyIfSmaller === true && !editsContent(fileConfig));
                 if (isImage && !keepOriginal && !SHARP_SUPPORTED_FORMATS.has(file.mimetype)) {
                     return cb(null, {
                         ...file,
@@ -473,26 +925,44 @@ function customStorageEngine(threshold, fields, outputDir, safeFile){
                         _processed: false
                     });
                 }
+
+                // Per-field maxCount, counting only files that passed the checks above (wildcard keys count all of their matching fields together)
+                if (config.maxCount !== undefined) {
+                    const configKey = findFieldKey(fields, file.fieldname);
+                    const counts = fieldFileCounts.get(req) || {};
+                    counts[configKey] = (counts[configKey] || 0) + 1;
+                    fieldFileCounts.set(req, counts);
+
+                    if (counts[configKey] > config.maxCount) {
+                        fileStream.resume();
+                        return cb(new UpflyLimitError(
+                            'LIMIT_FILE_COUNT',
+                            file.fieldname,
+                            config.maxCount,
+                            `Too many files for field '${file.fieldname}' (maxCount: ${config.maxCount})`
+                        ));
+                    }
+                }
                 
-                let mainStream = file.stream;
+                let mainStream = fileStream;
                 let backupStream = null;
                 
-                if(needsBackup){
+                if(teesOriginal){
                     const teeMain = new PassThrough();
                     const teeBackup = new PassThrough();
 
-                    file.stream.pipe(teeMain);
-                    file.stream.pipe(teeBackup);
+                    fileStream.pipe(teeMain);
+                    fileStream.pipe(teeBackup);
 
                     mainStream = teeMain;
                     backupStream = teeBackup;
                 }
 
-                const highwayController = createHighwayController(file, config, needsBackup, backupStream, outputDir);
+                const highwayController = createHighwayController(file, fileConfig, needsBackup, backupStream, outputDir);
 
                 try{
                     await pipeline(mainStream, highwayController);
-                    cb(null , highwayController.result);
+                    cb(null , rejectOnPixelLimit(req, highwayController.result));
                 }catch(err){
                     if(highwayController.backupPath){
                         cleanupTempFile(highwayController.backupPath);
@@ -544,13 +1014,16 @@ function customStorageEngine(threshold, fields, outputDir, safeFile){
 function createHighwayController(file, config, needsBackup = false, backupStream = null, outputDir){
     const output = config?.output || 'memory';
     const format = config?.format || 'webp';
-    const quality = config?.quality || 80;
+    let quality = config?.quality || 80;   // replaced by the tuned quality (targetSize / targetQuality) once known
     const keepOriginal = config?.keepOriginal || false;
     const isImage = file.mimetype && file.mimetype.startsWith('image');
     const filename = file.originalname;
     const isCloudUpload = config?.cloudStorage || false; // ← Derive from config instead of parameter
 
     const shouldConvert = isImage && !keepOriginal;
+    // keepOriginal images are buffered whole so their metadata can be rewritten before they are stored,
+    // unless the storage engine read from the header that there is nothing to remove (config.metadataPlan)
+    const rewritesMetadata = isImage && keepOriginal && config?.metadata !== 'keep' && (config?.metadataPlan ?? 'rewrite') === 'rewrite';
 
     let converter = null;
     let diskstream = null;
@@ -570,12 +1043,54 @@ function createHighwayController(file, config, needsBackup = false, backupStream
     let originalFileSize = 0;
     let convertedFileSize = 0;   //used for memory output only as fs.stat not available
 
+    let originalChunks = [];
+    let storedOriginalSize = null;
+    let metadataError = isImage && keepOriginal && config?.metadataPlan === 'unsupported'
+        ? `metadata cannot be removed from ${file.mimetype} without conversion`
+        : null;
+    if(metadataError){
+        main_logger.metadataWarning(filename, metadataError);
+    }
+
+    // Image details: source metadata (sharp) + dimensions of what was actually stored
+    let sourceMetadataPromise = null;
+    let outputDetails = null;
+    let tunedQuality = null;
+    let probeChunks = [];
+    let probeSize = 0;
+    const probesOriginal = isImage && keepOriginal && !rewritesMetadata;
+
+    const maxSize = config?.maxSize !== undefined ? parseSize(config.maxSize) : null;
+    let aborted = false;   // set when the upload is cut short (e.g. maxSize): no fallback, no partial output
+
     const controller = new Transform({
 
       
         transform(chunk, enc , cb){
             try{
                 originalFileSize += chunk.length;
+                if(maxSize && originalFileSize > maxSize){
+                    return cb(new UpflyLimitError(
+                        'LIMIT_FILE_SIZE',
+                        file.fieldname,
+                        maxSize,
+                        `File too large for field '${file.fieldname}' (maxSize: ${maxSize} bytes)`
+                    ));
+                }
+                if(derivedSource){
+                    derivedSource.write(chunk);
+                }
+                if(pageChunks){
+                    pageChunks.push(chunk);
+                }
+                if(probesOriginal && probeSize < IMAGE_PROBE_BYTES){
+                    probeChunks.push(chunk);
+                    probeSize += chunk.length;
+                }
+                if(rewritesMetadata){
+                    originalChunks.push(chunk);
+                    return cb();
+                }
                 if(isCloudUpload){
                     if(shouldConvert){
                         converter.write(chunk);
@@ -604,71 +1119,141 @@ function createHighwayController(file, config, needsBackup = false, backupStream
 
         async flush(cb){
             try{
-                // if(pendingCloudUpload){
-                //     await pendingCloudUpload
-                // }
-                // if(pendingPipeline) {
-                //     await pendingPipeline;
-                // }
+                if(derivedSource){
+                    derivedSource.end();
+                }
+
+                if(pageChunks){
+                    pagesPromise = generatePages(Buffer.concat(pageChunks, originalFileSize), file.mimetype, config, pageSelection, derivedTarget);
+                    pageChunks = null;
+                }
+
+                if(probesOriginal && probeSize > 0){
+                    // Headers only: dimensions and EXIF sit at the start of the file
+                    sourceMetadataPromise = sharp(Buffer.concat(probeChunks, probeSize)).metadata().catch(() => null);
+                    probeChunks = [];
+                }
+
+                if(rewritesMetadata){
+                    let storedOriginal = Buffer.concat(originalChunks, originalFileSize);
+                    originalChunks = [];
+                    sourceMetadataPromise = sharp(storedOriginal).metadata().catch(() => null);
+                    try{
+                        const rewritten = await rewriteOriginalMetadata(storedOriginal, file.mimetype, config?.metadata, config?.autoOrient !== false);
+                        if(rewritten.method === 'none'){
+                            metadataError = rewritten.reason || `metadata cannot be removed from ${file.mimetype} without conversion`;
+                        }
+                        storedOriginal = rewritten.buffer;
+                    }catch(err){
+                        metadataError = err.message;
+                    }
+                    if(metadataError){
+                        main_logger.metadataWarning(filename, metadataError);
+                    }
+
+                    storedOriginalSize = storedOriginal.length;
+                    if(isCloudUpload){
+                        cloudUploadStream.write(storedOriginal);
+                    }else if(output === 'disk'){
+                        diskstream.write(storedOriginal);
+                    }else{
+                        memoryBuffer.push(storedOriginal);
+                        totalSize = storedOriginalSize;
+                    }
+                }
 
                 if(isCloudUpload){
                     if(shouldConvert){
                         if(converter){
                             converter.end();
                         }
-                        if(processingCompletePromise){
-                            await processingCompletePromise;
-                        }
-                        cb()
                     }else{
                         if(cloudUploadStream){
                             cloudUploadStream.end();
                         }
-                        if(processingCompletePromise){
-                            await processingCompletePromise;
-                        }
-                        cb();
                     }
                 }else if(output === 'disk'){
                     if(shouldConvert){
                         if(converter){
                             converter.end()
                         }
-                        if(processingCompletePromise){
-                            await processingCompletePromise;
-                        }
-                        cb()
                     }else{
                         if(diskstream){
                             diskstream.end();
                         }
-                        if(processingCompletePromise){
-                            await processingCompletePromise;
-                        }
-                        cb();
                     }
                 }else{
                     if(shouldConvert){
                         if(converter){
                             converter.end();
                         }
-                        if(processingCompletePromise){
-                            await processingCompletePromise;
-                        }
-                        cb();
                     }else{
                         controller.result ={
                             ...file,
                             buffer : Buffer.concat(memoryBuffer, totalSize),
                             size : totalSize
                         }
-                        cb();
                     }
                 }
+
+                if(processingCompletePromise){
+                    await processingCompletePromise;
+                }
+
+                if(sourceMetadataPromise && controller.result && !controller.result._metadata?.isSkipped){
+                    const storesUpload = controller.result._metadata?.isBackupFallback || controller.result._metadata?.keptOriginalReason;
+                    const storedOutput = storesUpload ? null : outputDetails;
+                    Object.assign(controller.result, describeImage(await sourceMetadataPromise, storedOutput, config));
+                }
+
+                if(tunedQuality && controller.result && !controller.result._metadata){
+                    controller.result.quality = tunedQuality;
+                }
+
+                if(metadataError && controller.result && !controller.result._metadata){
+                    controller.result._metadata = {
+                        isBackupFallback: false,
+                        isSkipped: false,
+                        isProcessed: true,
+                        errors: {
+                            metadata: metadataError
+                        }
+                    };
+                }
+
+                if(variantsPromise && controller.result){
+                    controller.result.variants = await variantsPromise;
+                }
+
+                if(pagesPromise && controller.result){
+                    attachPages(controller.result, await pagesPromise);
+                }
+
+                const placeholder = placeholderPromise ? await placeholderPromise : null;
+                if(placeholder && controller.result && !controller.result._metadata?.isSkipped){
+                    controller.result.placeholder = placeholder;
+                }
+                cb();
             }catch(err){
                 cb(err);
             }
             
+        },
+
+        destroy(err, cb){
+            if(err){
+                // Stop every sink so nothing half-written is kept or uploaded
+                aborted = true;
+                if(converter) converter.destroy();
+                if(derivedSource) derivedSource.destroy();
+                pageChunks = null;
+                if(cloudUploadStream) cloudUploadStream.destroy();
+                if(diskstream){
+                    diskstream.once('close', () => cleanupTempFile(outputPath));
+                    diskstream.destroy();
+                }
+            }
+            cb(err);
         }
     });
 
@@ -679,10 +1264,11 @@ function createHighwayController(file, config, needsBackup = false, backupStream
         backupPath: null,
         backupTotalSize: 0,
         useMemoryBackup: true,
-        backupWriteStream: null
+        backupWriteStream: null,
+        backupComplete: null
     };
 
-    if (needsBackup && backupStream) {
+    if (backupStream) {
         createBackup(backupStream, backupState, file); 
     }
 
@@ -691,6 +1277,105 @@ function createHighwayController(file, config, needsBackup = false, backupStream
     enumerable: false
     });   
 
+    // sharp's limitInputPixels backstop (header could not be read): skip like the header check, never fall back to the backup
+    const handlePixelLimitError = (err) => {
+        if(!isPixelLimitError(err)) return false;
+
+        main_logger.fileRejected(filename, err.message);
+        backupState.backupBuffer = [];
+        if(backupState.backupPath){
+            cleanupTempFile(backupState.backupPath);
+            backupState.backupPath = null;
+        }
+        if(outputPath){
+            cleanupTempFile(outputPath);
+        }
+
+        controller.result = {
+            ...file,
+            _metadata: {
+                isBackupFallback: false,
+                isSkipped: true,
+                isProcessed: false,
+                errors: {
+                    limits: err.message,
+                    message: err.message
+                }
+            }
+        };
+        if(processingCompletePromise) resolveProcessingPromise();
+        return true;
+    };
+
+    // onlyIfSmaller: reads the upload back from the backup; returns it (as keepOriginal would store it) only when it beats the converted size
+    const loadSmallerOriginal = async (convertedSize) => {
+        if(!config?.onlyIfSmaller || editsContent(config) || !backupState.backupComplete) return null;
+        await backupState.backupComplete;
+        if(backupState.backupBuffer.length === 0 && !backupState.backupPath) return null;
+
+        try{
+            const original = await handleMemoryBackupFallback(backupState.backupPath, backupState.backupBuffer, backupState.backupTotalSize);
+            backupState.backupBuffer = [];
+            backupState.backupPath = null;
+
+            const stored = await getStorableOriginal(original, file.mimetype, config);
+            return stored && stored.length < convertedSize ? stored : null;
+        }catch(err){
+            return null;
+        }
+    };
+
+    // Drops the backup when nothing falls back to it. Waits for the whole upload first:
+    // the temp file of a large upload can still be created after a conversion error
+    const discardBackup = async () => {
+        if(!backupStream) return;
+        await backupState.backupComplete;
+        backupState.backupBuffer = [];
+        backupState.backupTotalSize = 0;
+        if(backupState.backupPath){
+            cleanupTempFile(backupState.backupPath);
+            backupState.backupPath = null;
+        }
+    };
+
+//----------------------/>
+
+//-----------------------------variant / placeholder / page fan-out setup
+    // One extra sharp input shared by every variant and the placeholder through clone(), so they buffer the upload once
+    let derivedSource = null;
+    let variantsPromise = null;
+    let placeholderPromise = null;
+
+    const hasVariants = Array.isArray(config?.variants) && config.variants.length > 0;
+    if(isImage && (hasVariants || config?.placeholder) && SHARP_SUPPORTED_FORMATS.has(file.mimetype)){
+        derivedSource = createSharpInput(config);
+    }
+    if(derivedSource && config?.placeholder){
+        placeholderPromise = generatePlaceholder(derivedSource, config, shouldConvert, filename);
+    }
+
+    // Variants and pages are stored next to the main output
+    const pageSelection = getPageSelection(config, file.mimetype);
+    const derivedTarget = hasVariants || pageSelection ? {
+        output : isCloudUpload ? 'cloud' : output,
+        outputDir : output === 'disk' && !isCloudUpload ? ensureServerRootDir(config?.outputDir || outputDir) : null,
+        filename : filename,
+        originalname : file.originalname,
+        fieldname : file.fieldname,
+        format : format,
+        quality : quality,
+        cloudProvider : config?.cloudProvider,
+        cloudConfig : config?.cloudConfig
+    } : null;
+
+    if(derivedSource && hasVariants){
+        variantsPromise = generateVariants(derivedSource, config, derivedTarget);
+    }
+
+    // Pages are opened one by one from the whole upload, rendered once it has arrived
+    let pageChunks = pageSelection ? [] : null;
+    let pagesPromise = null;
+
 //----------------------/>
 
 //!-------------------Cloud Upload start
@@ -700,7 +1385,7 @@ function createHighwayController(file, config, needsBackup = false, backupStream
         const cloudConfig = config.cloudConfig;
 
         if(shouldConvert){
-            converter = sharp().toFormat(format, {quality});
+            converter = createImageConverter(config, format, quality);
             cloudUploadStream = new PassThrough();
 
             processingCompletePromise = new Promise((resolve)=>{
@@ -715,11 +1400,34 @@ function createHighwayController(file, config, needsBackup = false, backupStream
                 }
             });
 
-            pendingPipeline = pipeline(
-                converter, 
-                sizeTracker,
-                cloudUploadStream
+            // onlyIfSmaller: the converted output is held back until it can be compared with the original
+            let keptOriginal = null;
+            let heldChunks = [];
+            const sizeGate = config?.onlyIfSmaller ? new Transform({
+                transform(chunk, enc, cb) {
+                    heldChunks.push(chunk);
+                    cb();
+                },
+                async flush(cb) {
+                    keptOriginal = await loadSmallerOriginal(cloudConvertedSize);
+                    if(keptOriginal){
+                        metadata.mimetype = file.mimetype;
+                        metadata.filename = filename;
+                        cb(null, keptOriginal);
+                    }else{
+                        cb(null, Buffer.concat(heldChunks, cloudConvertedSize));
+                    }
+                    heldChunks = [];
+                }
+            }) : new PassThrough();
+
+            pendingPipeline = pipeline(
+                converter, 
+                sizeTracker,
+                sizeGate,
+                cloudUploadStream
             ).catch(async(pipelineErr)=>{
+                if(aborted || handlePixelLimitError(pipelineErr)) return;
                 main_logger.conversionError(filename, pipelineErr.message);
 
                 if(needsBackup && (backupState.backupBuffer.length > 0 || backupState.backupPath)){
@@ -790,6 +1498,8 @@ function createHighwayController(file, config, needsBackup = false, backupStream
                     }
                 }
                 else{
+                    await discardBackup();
+
                     //change-03: Restructured error metadata
                     controller.result = {
                         ...file,
@@ -837,7 +1547,7 @@ function createHighwayController(file, config, needsBackup = false, backupStream
                         cloudConfig,
                         backupData
                     ).then((cloudResult)=>{
-                if(needsBackup){
+                if(backupStream){
                     backupState.backupBuffer = [];
                     backupState.backupTotalSize = 0;
                     if(backupState.backupPath) {
@@ -846,6 +1556,28 @@ function createHighwayController(file, config, needsBackup = false, backupStream
                     }
                 }
 
+                if(keptOriginal){
+                    main_logger.keptOriginal(file.originalname, format, keptOriginal.length, cloudConvertedSize);
+
+                    controller.result = {
+                        ...file,
+                        ...cloudResult,
+                        buffer : undefined,
+                        size : keptOriginal.length,
+                        originalSize : originalFileSize,
+                        convertedSize : cloudConvertedSize,
+                        _metadata: {
+                            isBackupFallback: false,
+                            isSkipped: false,
+                            isProcessed: true,
+                            keptOriginalReason: 'larger',
+                            errors: {}
+                        }
+                    }
+                    if(processingCompletePromise) resolveProcessingPromise()
+                    return;
+                }
+
                 main_logger.convert_cloudUploadSuccess(file.originalname,format,  quality,originalFileSize, cloudConvertedSize, cloudResult.cloudProvider || cloudProvider, cloudResult.cloudUrl);
 
                 controller.result = {
@@ -916,7 +1648,7 @@ function createHighwayController(file, config, needsBackup = false, backupStream
                         cloudConfig,
                         backupData
                     ).then((cloudResult)=>{
-                if(needsBackup){
+                if(backupStream){
                     backupState.backupBuffer = [];
                     backupState.backupTotalSize = 0;
                     if(backupState.backupPath){
@@ -929,7 +1661,7 @@ function createHighwayController(file, config, needsBackup = false, backupStream
                     ...file,
                     ...cloudResult,
                     buffer : undefined,
-                    size : originalFileSize
+                    size : storedOriginalSize ?? originalFileSize
                 }
 
                 if(processingCompletePromise) resolveProcessingPromise();
@@ -964,7 +1696,7 @@ function createHighwayController(file, config, needsBackup = false, backupStream
         outputPath = path.join(normalizedOutputDir, filename);
 
         if(shouldConvert){
-            converter = sharp().toFormat(format, {quality});
+            converter = createImageConverter(config, format, quality);
             diskstream = fs.createWriteStream(outputPath);
 
             processingCompletePromise = new Promise((resolve)=>{
@@ -975,6 +1707,7 @@ function createHighwayController(file, config, needsBackup = false, backupStream
                 converter,
                 diskstream
             ).catch(async(pipelineErr)=>{
+                if(aborted || handlePixelLimitError(pipelineErr)) return;
                 main_logger.conversionError(filename, pipelineErr.message);
 
                 if(needsBackup && (backupState.backupBuffer.length > 0 || backupState.backupPath)){
@@ -1026,6 +1759,8 @@ function createHighwayController(file, config, needsBackup = false, backupStream
                     }
                 }
                 else{
+                    await discardBackup();
+
                     //change-08: Restructured error metadata
                     controller.result = {
                         ...file,
@@ -1046,7 +1781,55 @@ function createHighwayController(file, config, needsBackup = false, backupStream
 
             // console.log("pipleine :", pendingPipeline)
             diskstream.on('finish', async()=>{
-                if(needsBackup){
+                // onlyIfSmaller: the original overwrites the converted bytes and keeps its own name
+                if(shouldConvert && config?.onlyIfSmaller){
+                    const convertedSize = await fsPromise.stat(outputPath).then((stats) => stats.size, () => 0);
+                    const keptOriginal = convertedSize > 0 ? await loadSmallerOriginal(convertedSize) : null;
+
+                    if(keptOriginal){
+                        try{
+                            await fsPromise.writeFile(outputPath, keptOriginal);
+                            main_logger.keptOriginal(filename, format, keptOriginal.length, convertedSize);
+
+                            controller.result = {
+                                ...file,
+                                buffer : undefined,
+                                path : outputPath,
+                                filename : path.basename(outputPath),
+                                size : keptOriginal.length,
+                                originalSize : originalFileSize,
+                                convertedSize : convertedSize,
+                                _metadata: {
+                                    isBackupFallback: false,
+                                    isSkipped: false,
+                                    isProcessed: true,
+                                    keptOriginalReason: 'larger',
+                                    errors: {}
+                                }
+                            };
+                        }catch(err){
+                            main_logger.diskWriteError(filename, err.message);
+                            cleanupTempFile(outputPath);
+
+                            controller.result = {
+                                ...file,
+                                _metadata: {
+                                    isBackupFallback: false,
+                                    isSkipped: true,
+                                    isProcessed: false,
+                                    errors: {
+                                        diskWrite: err.message,
+                                        message: err.message
+                                    }
+                                }
+                            };
+                        }
+                        if(processingCompletePromise) resolveProcessingPromise();
+                        return;
+                    }
+                }
+
+                if(backupStream){
                     backupState.backupBuffer = [];
                     if(backupState.backupPath){
                         cleanupTempFile(backupState.backupPath);
@@ -1119,6 +1902,7 @@ function createHighwayController(file, config, needsBackup = false, backupStream
             })
 
             diskstream.on('error', (e) => {
+              if(aborted) return;
               main_logger.diskWriteError(filename, e.message);
               
               //change-09: Restructured error metadata
@@ -1144,7 +1928,7 @@ function createHighwayController(file, config, needsBackup = false, backupStream
                     buffer: undefined,
                     path: outputPath,
                     filename: path.basename(outputPath),
-                    size: originalFileSize
+                    size: storedOriginalSize ?? originalFileSize
                 };
                 if (processingCompletePromise) resolveProcessingPromise();
             });
@@ -1155,13 +1939,15 @@ function createHighwayController(file, config, needsBackup = false, backupStream
     else{
 
         if(shouldConvert){
-            converter = sharp().toFormat(format, {quality});
+            converter = createImageConverter(config, format, quality);
 
             processingCompletePromise = new Promise((resolve)=>{
                 resolveProcessingPromise = resolve;
             })
 
              converter.on('error', async(err)=>{
+                if(aborted) return;
+                if(handlePixelLimitError(err)) return converter.destroy();
                 main_logger.conversionError(filename, err.message);
 
                 if(needsBackup && (backupState.backupBuffer.length > 0 || backupState.backupPath)){
@@ -1208,6 +1994,10 @@ function createHighwayController(file, config, needsBackup = false, backupStream
                     }
                 }
                 else{
+                    // Stops the converter first so its 'end' cannot report a success while the backup is dropped
+                    converter.destroy();
+                    await discardBackup();
+
                     //change-12: Restructured error metadata
                     controller.result = {
                         ...file,
@@ -1232,8 +2022,10 @@ function createHighwayController(file, config, needsBackup = false, backupStream
             });
 
            
-            converter.on('end', ()=>{
-                if(needsBackup){
+            converter.on('end', async()=>{
+                const keptOriginal = await loadSmallerOriginal(convertedFileSize);
+
+                if(backupStream){
                     backupState.backupBuffer = [];
                     if(backupState.backupPath){
                         cleanupTempFile(backupState.backupPath);
@@ -1241,6 +2033,27 @@ function createHighwayController(file, config, needsBackup = false, backupStream
                     }
                 }
 
+                if(keptOriginal){
+                    main_logger.keptOriginal(filename, format, keptOriginal.length, convertedFileSize);
+
+                    controller.result = {
+                        ...file,
+                        buffer : keptOriginal,
+                        size : keptOriginal.length,
+                        originalSize : originalFileSize,
+                        convertedSize : convertedFileSize,
+                        _metadata: {
+                            isBackupFallback: false,
+                            isSkipped: false,
+                            isProcessed: true,
+                            keptOriginalReason: 'larger',
+                            errors: {}
+                        }
+                    };
+                    if(processingCompletePromise) resolveProcessingPromise();
+                    return;
+                }
+
                 if(originalFileSize > 0){
                     main_logger.conversionSuccess(filename, format, quality, originalFileSize, convertedFileSize);
                 }
@@ -1258,6 +2071,29 @@ function createHighwayController(file, config, needsBackup = false, backupStream
         }
     }
 
+//-----------------------------image details
+    // metadata() reuses the converter's own input buffer, so the upload is not buffered a second time
+    if(converter){
+        sourceMetadataPromise = converter.metadata().catch(() => null);
+        converter.on('info', (info) => {
+            // Animations come out as a strip of frames: pageHeight is the frame height
+            outputDetails = {
+                width : info.width,
+                height : info.pageHeight || info.height,
+                format : format.toLowerCase(),
+                hasAlpha : info.channels === 2 || info.channels === 4,
+                frames : info.pages || 1
+            };
+            // Tuning converters report the quality they settled on before any output is written
+            if(info.quality){
+                tunedQuality = info.quality;
+                quality = info.quality;
+            }
+        });
+    }
+
+//----------------------/>
+
     return controller
 }
 
@@ -1329,17 +2165,23 @@ function createBackup(backupStream, state, file) {   //note : here backupstream
     }
   });
 
-  backupStream.on('end', () => {
-    if (state.backupWriteStream) {
-      state.backupWriteStream.end();
-    }
-  });
+  // Settles once the whole upload is in the backup (temp file flushed to disk), so it can be read back in full
+  state.backupComplete = new Promise((resolve) => {
+    backupStream.on('end', () => {
+      if (state.backupWriteStream) {
+        state.backupWriteStream.end(() => resolve());
+      } else {
+        resolve();
+      }
+    });
 
-  backupStream.on('error', (err) => {
-    main_logger.backupStreamError(file.originalname, err.message);
-    if (state.backupWriteStream) state.backupWriteStream.destroy();
-    if (state.backupPath) cleanupTempFile(state.backupPath);
-    if(state.backupBuffer) state.backupBuffer = [];
+    backupStream.on('error', (err) => {
+      main_logger.backupStreamError(file.originalname, err.message);
+      if (state.backupWriteStream) state.backupWriteStream.destroy();
+      if (state.backupPath) cleanupTempFile(state.backupPath);
+      if(state.backupBuffer) state.backupBuffer = [];
+      resolve();
+    });
   });
 }
 
@@ -1351,6 +2193,7 @@ function createBackup(backupStream, state, file) {   //note : here backupstream
 /**
  * @typedef {Object} ConvertOptions
  * @property {Object.<string, FieldConfig>} fields - Field configurations mapped by HTML form field names
+ *   (format may also be 'auto': the first entry of formatPreference, default ['avif', 'webp', 'jpeg'], listed in the request's Accept header)
  * @property {string} [outputDir='./uploads'] - Output directory for disk storage (relative to project root)
  * @property {boolean} [safeFile=false] - Enable backup fallback system for failed conversions
  */
@@ -1402,34 +2245,67 @@ const upflyConvert = (options = {}) => {
       throw new TypeError(`Field '${fieldname}' format must be a string.`);
     }
 
+    if (config.formatPreference !== undefined) {
+      const preference = config.formatPreference;
+      if (!Array.isArray(preference) || preference.length === 0 || preference.some(format => !FORMAT_OPTION_RULES[normalizeFormatName(format)])) {
+        throw new TypeError(`Field '${fieldname}' formatPreference must be a non-empty array of formats. Allowed: ${Object.keys(FORMAT_OPTION_RULES).join(', ')}.`);
+      }
+    }
+
     if (config.keepOriginal !== undefined && typeof config.keepOriginal !== 'boolean') {
       throw new TypeError(`Field '${fieldname}' keepOriginal must be a boolean.`);
     }
+
+    validateImageOptions(fieldname, config);
   }
 
+  const negotiatesFormat = Object.values(fields).some(config =>
+    config.format === 'auto' || (Array.isArray(config.rules) && config.rules.some(rule => rule?.format === 'auto'))
+  );
+
   return async (req, res, next) => {
     try {
+      req.upflyRejected = req.upflyRejected || [];
+
+      // The stored format depends on the Accept header, caches must key on it too
+      if (negotiatesFormat && typeof res.vary === 'function') {
+        res.vary('Accept');
+      }
+
       // Handle single file (req.file)
       if (req.file && req.file.buffer) {
-        const config = fields[req.file.fieldname] || {};
+        const fieldConfig = fields[findFieldKey(fields, req.file.fieldname)] || {};
+        req.file = checkBufferedFile(req, req.file, fieldConfig);
+        const resolved = await resolveBufferedFile(req, req.file, fieldConfig);
+        req.file = resolved.file;
+        const config = resolved.config;
+        const uploaded = req.file;
         const isImage = req.file.mimetype && req.file.mimetype.startsWith('image');
-        
-        if (isImage && !config.keepOriginal) {
+
+        if (isImage && config.keepOriginal && !req.file._metadata?.isSkipped) {
+          req.file = await rewriteBufferedOriginal(req.file, config);
+        }
+
+        if (isImage && !config.keepOriginal && !req.file._metadata?.isSkipped) {
           const output = config.output || 'memory';
           const format = config.format || 'webp';
           const quality = config.quality || 80;
         const targetDir = config.outputDir || outputDir;
 
           try {
-            if (output === 'disk') {
-              req.file = await convertBufferToDisk(req.file, format, quality, targetDir, safeFile);
-            } else {
-              req.file = await convertBufferToMemory(req.file, format, quality, safeFile);
-            }
+            const converted = output === 'disk'
+              ? await convertBufferToDisk(req.file, format, quality, targetDir, safeFile, config)
+              : await convertBufferToMemory(req.file, format, quality, safeFile, config);
+            req.file = await keepSmallerOriginal(req.file, rejectOnPixelLimit(req, converted), config);
           } catch (err) {
             main_logger.conversionError(req.file.originalname, err.message);
           }
         }
+
+        if (isImage && !req.file._metadata?.isSkipped) {
+          req.file = await addImageDetails(uploaded, req.file, config);
+        }
+        req.file = await addPages(uploaded, req.file, config, config.outputDir || outputDir);
       }
 
       // Handle multiple files (req.files)
@@ -1441,39 +2317,46 @@ const upflyConvert = (options = {}) => {
         for (const fieldname in filesMap) {
           if (!filesMap[fieldname] || filesMap[fieldname].length === 0) continue;
 
-          const config = fields[fieldname] || {};
-          const output = config.output || 'memory';
-          const format = config.format || 'webp';
-          const quality = config.quality || 80;
-          const targetDir = config.outputDir || outputDir;
+          const fieldConfig = fields[findFieldKey(fields, fieldname)] || {};
+          const output = fieldConfig.output || 'memory';
+          const targetDir = fieldConfig.outputDir || outputDir;
 
           filesMap[fieldname] = await Promise.all(
             filesMap[fieldname].map(async (file) => {
               if (!file.buffer) return file;
 
+              file = checkBufferedFile(req, file, fieldConfig);
+              const resolved = await resolveBufferedFile(req, file, fieldConfig);
+              file = resolved.file;
+              const config = resolved.config;
+              const format = config.format || 'webp';
+              const quality = config.quality || 80;
               const isImage = file.mimetype && file.mimetype.startsWith('image');
               
-              if (!isImage || config.keepOriginal) {
-                return file;
+              if (!isImage || file._metadata?.isSkipped) {
+                return addPages(file, file, config, targetDir);
               }
 
-              try {
-                if (output === 'disk') {
-                  return await convertBufferToDisk(file, format, quality, targetDir, safeFile);
-                } else {
-                  return await convertBufferToMemory(file, format, quality, safeFile);
+              let result = file;
+              if (config.keepOriginal) {
+                result = await addImageDetails(file, await rewriteBufferedOriginal(file, config), config);
+              } else {
+                try {
+                  const converted = output === 'disk'
+                    ? await convertBufferToDisk(file, format, quality, targetDir, safeFile, config)
+                    : await convertBufferToMemory(file, format, quality, safeFile, config);
+                  result = await addImageDetails(file, await keepSmallerOriginal(file, rejectOnPixelLimit(req, converted), config), config);
+                } catch (err) {
+                  main_logger.conversionError(file.originalname, err.message);
                 }
-              } catch (err) {
-                main_logger.conversionError(file.originalname, err.message);
-                return file;
               }
+              return addPages(file, result, config, targetDir);
             })
           );
         }
 
-        if (!Array.isArray(req.files)) {
-          req.files = filesMap;
-        }
+        // .any() / .array(): results go back in upload order, so nothing written to outputDir is left unreferenced
+        req.files = Array.isArray(req.files) ? ungroupFilesByField(req.files, filesMap) : filesMap;
       }
 
       next();
@@ -1487,21 +2370,41 @@ const upflyConvert = (options = {}) => {
 //! CONVERSION HELPERS FOR upflyConvert
 //! ========================================
 
-async function convertBufferToMemory(file, format, quality, safeFile) {
+async function convertBufferToMemory(file, format, quality, safeFile, config = {}) {
   const originalSize = file.buffer.length;
   let backupBuffer = safeFile ? file.buffer : null;
   
+  const variantsPromise = Array.isArray(config.variants) && config.variants.length > 0
+    ? generateVariants(sharp(file.buffer, getSharpInputOptions(config)), config, {
+        output: 'memory',
+        filename: file.originalname,
+        fieldname: file.fieldname,
+        format,
+        quality
+      })
+    : null;
+  
   return new Promise((resolve, reject) => {
     const bufferStream = Readable.from(file.buffer);
-    const converter = sharp().toFormat(format, { quality });
+    const converter = createImageConverter(config, format, quality);
     
     const memoryBuffer = [];
     let totalSize = 0;
     let hasError = false;
+    let tunedQuality = null;
+
+    // targetSize / targetQuality: the tuned quality replaces the configured one
+    converter.on('info', (info) => {
+      if (info.quality) tunedQuality = quality = info.quality;
+    });
 
     converter.on('error', (err) => {
       if (hasError) return;
       hasError = true;
+
+      if (isPixelLimitError(err)) {
+        return resolve(skipForPixelLimit(file, err));
+      }
       
       main_logger.conversionError(file.originalname, err.message);
       
@@ -1542,14 +2445,21 @@ async function convertBufferToMemory(file, format, quality, safeFile) {
       // Log success
       main_logger.conversionSuccess(file.originalname, format, quality, originalSize, totalSize);
 
-      resolve({
+      const result = {
         ...file,
         buffer: convertedBuffer,
         size: totalSize,
         convertedSize: totalSize, 
         originalSize: originalSize, 
         mimetype: `image/${format.toLowerCase()}`
-      });
+      };
+      if (tunedQuality) result.quality = tunedQuality;
+
+      if (variantsPromise) {
+        variantsPromise.then((variants) => resolve({ ...result, variants }));
+      } else {
+        resolve(result);
+      }
     });
 
     // Pipe buffer stream to converter
@@ -1563,8 +2473,303 @@ async function convertBufferToMemory(file, format, quality, safeFile) {
   });
 }
 
+/**
+ * Refuses a file after its content was inspected: logged, listed in req.upflyRejected and returned as a skipped result
+ * @param {Object} req - Express request
+ * @param {Object} file - Multer file
+ * @param {string} code - Rejection code (e.g. 'INVALID_CROP')
+ * @param {string} errorKey - Key of the reason in _metadata.errors
+ * @param {string} reason - Human readable reason
+ * @returns {Object} Skipped file result
+ */
+function skipFile(req, file, code, errorKey, reason) {
+  main_logger.fileRejected(file.originalname, reason);
+  rejectFile(req, file, code, reason);
+  return {
+    ...file,
+    _metadata: {
+      isBackupFallback: false,
+      isSkipped: true,
+      isProcessed: false,
+      errors: {
+        [errorKey]: reason,
+        message: reason
+      }
+    }
+  };
+}
+
+// sharp refused to decode an image over maxPixels: skipped like the header check, never replaced by the backup
+function skipForPixelLimit(file, err) {
+  main_logger.fileRejected(file.originalname, err.message);
+  return {
+    ...file,
+    _metadata: {
+      isBackupFallback: false,
+      isSkipped: true,
+      isProcessed: false,
+      errors: {
+        limits: err.message,
+        message: err.message
+      }
+    }
+  };
+}
+
+// Pixel limits hit while decoding (SVGs, headers without dimensions) are only known once processing ends: list them like the header check
+function rejectOnPixelLimit(req, result) {
+  const reason = result?._metadata?.isSkipped && result._metadata.errors?.limits;
+  if (reason) rejectFile(req, result, 'DIMENSIONS_EXCEEDED', reason);
+  return result;
+}
+
+// Apply the magic-byte content check, the field's type rules and its dimension limits to an in-memory file (same policy as upflyUpload)
+function checkBufferedFile(req, file, config) {
+  const detectedMimetype = detectMimetype(file.buffer.subarray(0, SNIFF_BYTES));
+  const mimeCheck = resolveMimetype(file.mimetype, detectedMimetype, config.mimeMismatch);
+  const rejection = mimeCheck.error
+    ? { code: 'CONTENT_MISMATCH', reason: mimeCheck.error, errorKey: 'mimetype' }
+    : getTypeRejection(config, mimeCheck.mimetype, file.originalname);
+
+  if (rejection) {
+    main_logger.fileRejected(file.originalname, rejection.reason);
+    rejectFile(req, { ...file, detectedMimetype }, rejection.code, rejection.reason);
+    return {
+      ...file,
+      detectedMimetype,
+      _metadata: {
+        isBackupFallback: false,
+        isSkipped: true,
+        isProcessed: false,
+        errors: {
+          [rejection.errorKey || 'type']: rejection.reason,
+          message: rejection.reason
+        }
+      }
+    };
+  }
+
+  const violation = hasDimensionLimits(config) && detectedMimetype && detectedMimetype.startsWith('image')
+    ? getDimensionLimitViolation(config, readImageDimensions(file.buffer, detectedMimetype))
+    : null;
+
+  if (violation) {
+    main_logger.fileRejected(file.originalname, violation);
+    rejectFile(req, { ...file, detectedMimetype }, 'DIMENSIONS_EXCEEDED', violation);
+    return {
+      ...file,
+      detectedMimetype,
+      _metadata: {
+        isBackupFallback: false,
+        isSkipped: true,
+        isProcessed: false,
+        errors: {
+          limits: violation,
+          message: violation
+        }
+      }
+    };
+  }
+
+  return { ...file, detectedMimetype, mimetype: mimeCheck.mimetype };
+}
+
+// Applies the field's conversion rules to an in-memory file (size is exact, the whole buffer is available)
+async function resolveBufferedRule(config, file) {
+  if (!Array.isArray(config.rules) || file._metadata?.isSkipped) return config;
+  return resolveConversionRule(config, await describeRuleSource(config.rules, file.mimetype, file.buffer, true));
+}
+
+/**
+ * Per-file config of an in-memory upload: conversion rule, negotiated format, SVG policy, animated policy and crop box
+ * (the last three can refuse the file, same as upflyUpload; SVGs are sanitized in place)
+ * @returns {Promise<{ file: Object, config: Object }>}
+ */
+async function resolveBufferedFile(req, file, fieldConfig) {
+  let config = resolveRequestFormat(await resolveBufferedRule(fieldConfig, file), req);
+  if (file._metadata?.isSkipped) return { file, config };
+
+  if (isSvgUpload(file)) {
+    const svgPolicy = resolveSvg(config);
+    if (svgPolicy.error) return { file: skipFile(req, file, 'SVG_NOT_ALLOWED', 'svg', svgPolicy.error), config };
+    try {
+      const sanitized = sanitizeSvg(file.buffer);
+      if (sanitized.removed.length > 0) main_logger.svgSanitized(file.originalname, sanitized.removed);
+      file = { ...file, buffer: sanitized.buffer, size: sanitized.buffer.length };
+    } catch (err) {
+      return { file: skipFile(req, file, 'INVALID_SVG', 'svg', err.message), config };
+    }
+    config = svgPolicy.config;
+  }
+  if (!String(file.detectedMimetype).startsWith('image')) return { file, config };
+
+  const animation = resolveAnimation(config, detectAnimation(file.buffer, file.detectedMimetype, true), file.detectedMimetype);
+  if (animation.error) {
+    return { file: skipFile(req, file, 'ANIMATION_NOT_ALLOWED', 'animated', animation.error), config };
+  }
+  config = animation.config;
+
+  if (config.cropField && !config.keepOriginal) {
+    const { box, error } = await readCropBox(req.body, config, file.buffer, file.detectedMimetype);
+    if (error) return { file: skipFile(req, file, 'INVALID_CROP', 'crop', error), config };
+    if (box) config = { ...config, cropBox: box };
+  }
+  return { file, config };
+}
+
+// format: 'auto' without a formatPreference: smallest first, JPEG as the format every client decodes
+const DEFAULT_FORMAT_PREFERENCE = ['avif', 'webp', 'jpeg'];
+
+/**
+ * Picks the first preferred format whose mimetype the client lists in its Accept header (with q > 0).
+ * Wildcards (*\/*, image/*) are not taken as support since every client sends them: the last preference is the fallback.
+ * @param {string} [accept] - Request Accept header
+ * @param {string[]} [preference] - Formats, best first
+ * @returns {string} Chosen format
+ */
+function negotiateFormat(accept, preference = DEFAULT_FORMAT_PREFERENCE) {
+  const accepted = new Set();
+  for (const range of String(accept || '').toLowerCase().split(',')) {
+    const [type, ...params] = range.split(';').map(part => part.trim());
+    const q = params.find(param => param.startsWith('q='));
+    if (q !== undefined && !(parseFloat(q.slice(2)) > 0)) continue;
+    accepted.add(type);
+  }
+
+  return preference.find(format => accepted.has(`image/${normalizeFormatName(format)}`)) || preference[preference.length - 1];
+}
+
+// Resolves format: 'auto' (field or matched rule) for the current request
+function resolveRequestFormat(config, req) {
+  if (config.format !== 'auto') return config;
+  return { ...config, format: negotiateFormat(req.headers?.accept, config.formatPreference) };
+}
+
+// Adds width/height/format/EXIF details (and placeholders) to an upflyConvert result (header reads only, buffers are already in memory)
+async function addImageDetails(uploaded, result, config) {
+  if (result._metadata?.isSkipped) return result;
+
+  try {
+    const source = await sharp(uploaded.buffer).metadata();
+    let output = null;
+
+    // Converted output (a failed conversion returns the upload itself or a backup of it)
+    if (result !== uploaded && !config.keepOriginal && !result._metadata?.isBackupFallback && !result._metadata?.keptOriginalReason) {
+      const stored = await sharp(result.buffer || result.path).metadata();
+      output = { width: stored.width, height: stored.pageHeight || stored.height, format: (config.format || 'webp').toLowerCase(), hasAlpha: stored.hasAlpha, frames: stored.pages || 1 };
+    }
+
+    const details = describeImage(source, output, config);
+    if (config.placeholder) {
+      const placeholder = await generatePlaceholder(sharp(uploaded.buffer, getSharpInputOptions(config)), config, output !== null, result.originalname);
+      if (placeholder) details.placeholder = placeholder;
+    }
+    return { ...result, ...details };
+  } catch (err) {
+    return result;
+  }
+}
+
+// Renders the selected pages of a document (pages option) next to an upflyConvert result
+async function addPages(uploaded, result, config, outputDir) {
+  const selection = getPageSelection(config, uploaded.mimetype);
+  if (!selection || result._metadata?.isSkipped) return result;
+
+  const output = config.output || 'memory';
+  const rendered = await generatePages(uploaded.buffer, uploaded.mimetype, config, selection, {
+    output,
+    outputDir: output === 'disk' ? ensureServerRootDir(outputDir) : null,
+    // Named after the stored file when there is one on disk
+    filename: output !== 'disk' ? uploaded.originalname : result.path ? path.basename(result.path) : generateFileName(uploaded),
+    fieldname: uploaded.fieldname,
+    format: config.format || 'webp',
+    quality: config.quality || 80
+  });
+  return attachPages({ ...result }, rendered);
+}
+
+// Applies the field's metadata policy to a buffered keepOriginal image (the original is kept on failure)
+async function rewriteBufferedOriginal(file, config) {
+  if (config.metadata === 'keep') return file;
+
+  let metadataError = null;
+  try {
+    const rewritten = await rewriteOriginalMetadata(file.buffer, file.mimetype, config.metadata, config.autoOrient !== false);
+    if (rewritten.method !== 'none') {
+      return { ...file, buffer: rewritten.buffer, size: rewritten.buffer.length };
+    }
+    metadataError = rewritten.reason || `metadata cannot be removed from ${file.mimetype} without conversion`;
+  } catch (err) {
+    metadataError = err.message;
+  }
+
+  main_logger.metadataWarning(file.originalname, metadataError);
+  return {
+    ...file,
+    _metadata: {
+      isBackupFallback: false,
+      isSkipped: false,
+      isProcessed: true,
+      errors: {
+        metadata: metadataError
+      }
+    }
+  };
+}
+
+// The upload as a keepOriginal field would store it (metadata policy applied), null when the policy cannot be applied without converting
+async function getStorableOriginal(buffer, mimetype, config) {
+  if (config.metadata === 'keep') return buffer;
+
+  try {
+    const rewritten = await rewriteOriginalMetadata(buffer, mimetype, config.metadata, config.autoOrient !== false);
+    return rewritten.method === 'none' ? null : rewritten.buffer;
+  } catch (err) {
+    return null;
+  }
+}
+
+// onlyIfSmaller: replaces a converted result that came out larger with the upload itself (stored as keepOriginal would store it)
+async function keepSmallerOriginal(file, converted, config) {
+  // A watermarked or cropped field never stores the untouched upload
+  if (!config.onlyIfSmaller || editsContent(config) || converted === file || converted._metadata) return converted;
+
+  const original = await getStorableOriginal(file.buffer, file.mimetype, config);
+  if (!original || !(original.length < converted.convertedSize)) return converted;
+
+  const { quality, ...convertedFields } = converted;   // a tuned quality describes the discarded output
+  const kept = {
+    ...convertedFields,
+    buffer: original,
+    mimetype: file.mimetype,
+    size: original.length,
+    _metadata: {
+      isBackupFallback: false,
+      isSkipped: false,
+      isProcessed: true,
+      keptOriginalReason: 'larger',
+      errors: {}
+    }
+  };
+
+  if (converted.path) {
+    const originalPath = path.join(path.dirname(converted.path), generateFileName(file));
+    try {
+      await fsPromise.writeFile(originalPath, original);
+    } catch (err) {
+      main_logger.diskWriteError(file.originalname, err.message);
+      return converted;
+    }
+    cleanupTempFile(converted.path);
+    Object.assign(kept, { buffer: undefined, path: originalPath, filename: path.basename(originalPath) });
+  }
+
+  main_logger.keptOriginal(file.originalname, config.format || 'webp', original.length, converted.convertedSize);
+  return kept;
+}
+
 // Convert buffer to disk with backup support
-async function convertBufferToDisk(file, format, quality, outputDir, safeFile) {
+async function convertBufferToDisk(file, format, quality, outputDir, safeFile, config = {}) {
   const originalSize = file.buffer.length;
   let backupBuffer = safeFile ? file.buffer : null;
   const normalizedOutputDir = ensureServerRootDir(outputDir);
@@ -1573,17 +2778,40 @@ async function convertBufferToDisk(file, format, quality, outputDir, safeFile) {
   const originalFileName = generateFileName(file);
   const convertedFileName = generateConvertedFileName(originalFileName, format);
   const outputPath = path.join(normalizedOutputDir, convertedFileName);
+
+  const variantsPromise = Array.isArray(config.variants) && config.variants.length > 0
+    ? generateVariants(sharp(file.buffer, getSharpInputOptions(config)), config, {
+        output: 'disk',
+        outputDir: normalizedOutputDir,
+        filename: originalFileName,
+        fieldname: file.fieldname,
+        format,
+        quality
+      })
+    : null;
   
   return new Promise((resolve, reject) => {
     const bufferStream = Readable.from(file.buffer);
-    const converter = sharp().toFormat(format, { quality });
+    const converter = createImageConverter(config, format, quality);
     const diskStream = fs.createWriteStream(outputPath);
     
     let hasError = false;
+    let tunedQuality = null;
+
+    // targetSize / targetQuality: the tuned quality replaces the configured one
+    converter.on('info', (info) => {
+      if (info.quality) tunedQuality = quality = info.quality;
+    });
 
     converter.on('error', async (err) => {
       if (hasError) return;
       hasError = true;
+
+      if (isPixelLimitError(err)) {
+        diskStream.destroy();
+        cleanupTempFile(outputPath);
+        return resolve(skipForPixelLimit(file, err));
+      }
       
       main_logger.conversionError(file.originalname, err.message);
       diskStream.destroy();
@@ -1674,7 +2902,7 @@ async function convertBufferToDisk(file, format, quality, outputDir, safeFile) {
           main_logger.conversionSuccess(file.originalname, format, quality, originalSize, stats.size);
         }
         
-        resolve({
+        const result = {
           ...file,
           path: outputPath,
           filename: convertedFileName,
@@ -1683,7 +2911,14 @@ async function convertBufferToDisk(file, format, quality, outputDir, safeFile) {
           convertedSize: stats ? stats.size : undefined, // ← Add for consistency with upflyUpload
           originalSize: originalSize, // ← Add for consistency with upflyUpload
           mimetype: `image/${format.toLowerCase()}`
-        });
+        };
+        if (tunedQuality) result.quality = tunedQuality;
+
+        if (variantsPromise) {
+          variantsPromise.then((variants) => resolve({ ...result, variants }));
+        } else {
+          resolve(result);
+        }
       });
     });
 
@@ -1700,19 +2935,1344 @@ async function convertBufferToDisk(file, format, quality, outputDir, safeFile) {
 
 
 //! ========================================
-//! HELPER FUNCTIONS
+//! IMAGE PIPELINE HELPERS
 //! ========================================
-function groupFilesByField(filesArray) {
-  const grouped = {};
-  for (const file of filesArray) {
-    if (!grouped[file.fieldname]) {
-      grouped[file.fieldname] = [];
+
+const RESIZE_FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+// Leading bytes of a keepOriginal image kept to read its headers (dimensions, EXIF)
+const IMAGE_PROBE_BYTES = 64 * 1024;
+
+/**
+ * Validates the image processing options of a field config (shared by upflyUpload and upflyConvert)
+ * @param {string} fieldname - Field name used in error messages
+ * @param {Object} config - Field configuration
+ */
+function validateImageOptions(fieldname, config){
+    if (config.metadata !== undefined) {
+        const policy = config.metadata;
+        const isPreset = ['strip', 'keep', 'keep-icc'].includes(policy);
+        const isObject = typeof policy === 'object' && policy !== null && !Array.isArray(policy)
+            && Object.entries(policy).every(([key, value]) => ['exif', 'icc', 'xmp'].includes(key) && typeof value === 'boolean');
+        if (!isPreset && !isObject) {
+            throw new TypeError(`Field '${fieldname}' metadata must be 'strip', 'keep', 'keep-icc' or an object of { exif, icc, xmp } booleans.`);
+        }
+    }
+
+    if (config.autoOrient !== undefined && typeof config.autoOrient !== 'boolean') {
+        throw new TypeError(`Field '${fieldname}' autoOrient must be a boolean.`);
+    }
+
+    if (config.parseExif !== undefined && typeof config.parseExif !== 'boolean') {
+        throw new TypeError(`Field '${fieldname}' parseExif must be a boolean.`);
+    }
+
+    validateCropOptions(fieldname, config);
+
+    if (config.watermark !== undefined) {
+        validateWatermark(fieldname, config.watermark);
+    }
+
+    if (config.animated !== undefined && !ANIMATED_POLICIES.includes(config.animated)) {
+        throw new RangeError(`Field '${fieldname}' has invalid animated value '${config.animated}'. Allowed: ${ANIMATED_POLICIES.map(policy => `'${policy}'`).join(', ')}.`);
+    }
+
+    if (config.colorspace !== undefined && !COLORSPACES.includes(config.colorspace)) {
+        throw new RangeError(`Field '${fieldname}' has invalid colorspace value '${config.colorspace}'. Allowed: ${COLORSPACES.map(space => `'${space}'`).join(', ')}.`);
+    }
+
+    if (config.svg !== undefined && !SVG_POLICIES.includes(config.svg)) {
+        throw new RangeError(`Field '${fieldname}' has invalid svg value '${config.svg}'. Allowed: ${SVG_POLICIES.map(policy => `'${policy}'`).join(', ')}.`);
+    }
+
+    if (config.placeholder !== undefined) {
+        const types = [].concat(config.placeholder);
+        if (types.length === 0 || types.some(type => !PLACEHOLDER_TYPES.includes(type))) {
+            throw new RangeError(`Field '${fieldname}' placeholder must be one or an array of: ${PLACEHOLDER_TYPES.join(', ')}.`);
+        }
+    }
+
+    if (config.pages !== undefined) {
+        const pages = config.pages;
+        if (Array.isArray(pages)) {
+            if (pages.length === 0 || pages.some(page => !Number.isInteger(page) || page < 0) || new Set(pages).size !== pages.length) {
+                throw new RangeError(`Field '${fieldname}' pages must be a non-empty list of distinct page indexes (0 is the first page).`);
+            }
+        } else if (!PAGE_SELECTIONS.includes(pages)) {
+            throw new RangeError(`Field '${fieldname}' has invalid pages value '${pages}'. Allowed: 'first', 'all' or an array of page indexes.`);
+        }
+    }
+
+    if (config.onlyIfSmaller !== undefined && typeof config.onlyIfSmaller !== 'boolean') {
+        throw new TypeError(`Field '${fieldname}' onlyIfSmaller must be a boolean.`);
+    }
+
+    if (config.targetSize !== undefined && parseSize(config.targetSize) === null) {
+        throw new RangeError(`Field '${fieldname}' targetSize must be a positive number of bytes or a size string like '150kb'.`);
+    }
+    if (config.targetQuality !== undefined) {
+        const target = config.targetQuality;
+        if (typeof target !== 'object' || target === null || Array.isArray(target)) {
+            throw new TypeError(`Field '${fieldname}' targetQuality must be an object like { metric: 'ssim', min: 0.95 }.`);
+        }
+        if (target.metric !== 'ssim') {
+            throw new RangeError(`Field '${fieldname}' has invalid targetQuality.metric '${target.metric}'. Allowed: 'ssim'.`);
+        }
+        if (typeof target.min !== 'number' || !(target.min > 0 && target.min <= 1)) {
+            throw new RangeError(`Field '${fieldname}' targetQuality.min must be a number between 0 and 1.`);
+        }
+    }
+    if (config.targetSize !== undefined && config.targetQuality !== undefined) {
+        throw new TypeError(`Field '${fieldname}' cannot combine targetSize and targetQuality.`);
+    }
+    if ((config.targetSize !== undefined || config.targetQuality !== undefined)
+        && config.format !== undefined && config.format !== 'auto' && !TUNABLE_FORMATS.has(normalizeFormatName(config.format))) {
+        throw new RangeError(`Field '${fieldname}' targetSize / targetQuality need a lossy format. Allowed: ${[...TUNABLE_FORMATS].join(', ')}.`);
+    }
+
+    for (const option of ['maxPixels', 'maxWidth', 'maxHeight']) {
+        const value = config[option];
+        if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+            throw new RangeError(`Field '${fieldname}' ${option} must be a positive integer.`);
+        }
+    }
+
+    if (config.mimeMismatch !== undefined && !['relabel', 'reject', 'ignore'].includes(config.mimeMismatch)) {
+        throw new RangeError(`Field '${fieldname}' has invalid mimeMismatch value '${config.mimeMismatch}'. Allowed: 'relabel', 'reject', 'ignore'.`);
+    }
+
+    for (const option of ['allowedTypes', 'deniedTypes']) {
+        const patterns = config[option];
+        if (patterns === undefined) continue;
+        if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string' || !/^[^/\s]+\/[^/\s]+$/.test(pattern))) {
+            throw new TypeError(`Field '${fieldname}' ${option} must be an array of mimetype patterns (e.g. 'image/*', 'application/pdf').`);
+        }
+    }
+
+    if (config.allowedExtensions !== undefined) {
+        if (!Array.isArray(config.allowedExtensions) || config.allowedExtensions.some(ext => typeof ext !== 'string' || !ext.trim())) {
+            throw new TypeError(`Field '${fieldname}' allowedExtensions must be an array of extensions (e.g. '.jpg', 'png').`);
+        }
+    }
+
+    if (config.formatOptions !== undefined) {
+        validateFormatOptions(fieldname, config.formatOptions);
+    }
+
+    if (config.rules !== undefined) {
+        validateConversionRules(fieldname, config.rules);
+    }
+
+    if (config.resize !== undefined) {
+        validateResizeOptions(fieldname, 'resize', config.resize);
+    }
+
+    if (config.variants !== undefined) {
+        if (!Array.isArray(config.variants) || config.variants.length === 0) {
+            throw new TypeError(`Field '${fieldname}' variants must be a non-empty array.`);
+        }
+        config.variants.forEach((variant, index) => {
+            const label = `variants[${index}]`;
+            validateResizeOptions(fieldname, label, variant);
+
+            if (variant.format !== undefined && typeof variant.format !== 'string') {
+                throw new TypeError(`Field '${fieldname}' ${label}.format must be a string.`);
+            }
+            if (variant.quality !== undefined && (typeof variant.quality !== 'number' || variant.quality < 1 || variant.quality > 100)) {
+                throw new RangeError(`Field '${fieldname}' ${label}.quality must be a number between 1 and 100.`);
+            }
+            if (variant.suffix !== undefined && (typeof variant.suffix !== 'string' || !variant.suffix.trim())) {
+                throw new TypeError(`Field '${fieldname}' ${label}.suffix must be a non-empty string.`);
+            }
+        });
     }
-    grouped[file.fieldname].push(file);
-  }
-  return grouped;
 }
 
+// Accepted formatOptions per format: boolean, integer range or list of values
+const CHROMA_SUBSAMPLING = { values: ['4:4:4', '4:2:0'] };
+const HEIF_OPTION_RULES = {
+    effort: { min: 0, max: 9 },
+    chromaSubsampling: CHROMA_SUBSAMPLING,
+    lossless: { boolean: true },
+    bitdepth: { values: [8, 10, 12] }
+};
+const FORMAT_OPTION_RULES = {
+    avif: HEIF_OPTION_RULES,
+    heif: HEIF_OPTION_RULES,
+    webp: {
+        lossless: { boolean: true },
+        nearLossless: { boolean: true },
+        smartSubsample: { boolean: true },
+        effort: { min: 0, max: 6 },
+        alphaQuality: { min: 0, max: 100 }
+    },
+    jpeg: {
+        mozjpeg: { boolean: true },
+        progressive: { boolean: true },
+        chromaSubsampling: CHROMA_SUBSAMPLING,
+        optimiseCoding: { boolean: true }
+    },
+    png: {
+        palette: { boolean: true },
+        compressionLevel: { min: 0, max: 9 },
+        progressive: { boolean: true },
+        colours: { min: 2, max: 256 },
+        effort: { min: 1, max: 10 }
+    },
+    tiff: {
+        compression: { values: ['none', 'jpeg', 'deflate', 'packbits', 'ccittfax4', 'lzw', 'webp', 'zstd', 'jp2k'] },
+        predictor: { values: ['none', 'horizontal', 'float'] }
+    },
+    gif: {
+        colours: { min: 2, max: 256 },
+        effort: { min: 1, max: 10 },
+        dither: { min: 0, max: 1, float: true }
+    }
+};
+
+// formatOptions keys are sharp format names, 'jpg' is accepted as an alias of 'jpeg'
+const normalizeFormatName = (format) => {
+    const name = String(format).toLowerCase();
+    return name === 'jpg' ? 'jpeg' : name;
+};
+
+// Validates formatOptions against FORMAT_OPTION_RULES
+function validateFormatOptions(fieldname, formatOptions){
+    if (typeof formatOptions !== 'object' || formatOptions === null || Array.isArray(formatOptions)) {
+        throw new TypeError(`Field '${fieldname}' formatOptions must be an object keyed by format (e.g. { avif: { effort: 4 } }).`);
+    }
+
+    for (const [format, options] of Object.entries(formatOptions)) {
+        const rules = FORMAT_OPTION_RULES[normalizeFormatName(format)];
+        if (!rules) {
+            throw new RangeError(`Field '${fieldname}' has invalid formatOptions format '${format}'. Allowed: ${Object.keys(FORMAT_OPTION_RULES).join(', ')}.`);
+        }
+        if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+            throw new TypeError(`Field '${fieldname}' formatOptions.${format} must be an object.`);
+        }
+
+        for (const [option, value] of Object.entries(options)) {
+            const rule = rules[option];
+            const label = `formatOptions.${format}.${option}`;
+            if (!rule) {
+                throw new RangeError(`Field '${fieldname}' has unknown ${label}. Allowed: ${Object.keys(rules).join(', ')}.`);
+            }
+            if (rule.boolean && typeof value !== 'boolean') {
+                throw new RangeError(`Field '${fieldname}' ${label} must be a boolean.`);
+            }
+            if (rule.values && !rule.values.includes(value)) {
+                throw new RangeError(`Field '${fieldname}' ${label} must be one of: ${rule.values.join(', ')}.`);
+            }
+            if (rule.min !== undefined) {
+                const isNumber = rule.float ? typeof value === 'number' : Number.isInteger(value);
+                if (!isNumber || value < rule.min || value > rule.max) {
+                    throw new RangeError(`Field '${fieldname}' ${label} must be ${rule.float ? 'a number' : 'an integer'} between ${rule.min} and ${rule.max}.`);
+                }
+            }
+        }
+    }
+}
+
+const RULE_MATCH_KEYS = ['mimetype', 'minSize', 'maxSize', 'hasAlpha'];
+const RULE_ACTION_KEYS = ['match', 'format', 'quality', 'keepOriginal', 'formatOptions'];
+
+// Validates the rules array (conditions and overrides)
+function validateConversionRules(fieldname, rules){
+    if (!Array.isArray(rules) || rules.length === 0) {
+        throw new TypeError(`Field '${fieldname}' rules must be a non-empty array.`);
+    }
+
+    rules.forEach((rule, index) => {
+        const label = `rules[${index}]`;
+        if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+            throw new TypeError(`Field '${fieldname}' ${label} must be an object.`);
+        }
+        const unknownKey = Object.keys(rule).find(key => !RULE_ACTION_KEYS.includes(key));
+        if (unknownKey) {
+            throw new RangeError(`Field '${fieldname}' has unknown ${label}.${unknownKey}. Allowed: ${RULE_ACTION_KEYS.join(', ')}.`);
+        }
+
+        const match = rule.match;
+        if (match !== undefined) {
+            if (typeof match !== 'object' || match === null || Array.isArray(match)) {
+                throw new TypeError(`Field '${fieldname}' ${label}.match must be an object.`);
+            }
+            const unknownCondition = Object.keys(match).find(key => !RULE_MATCH_KEYS.includes(key));
+            if (unknownCondition) {
+                throw new RangeError(`Field '${fieldname}' has unknown ${label}.match.${unknownCondition}. Allowed: ${RULE_MATCH_KEYS.join(', ')}.`);
+            }
+            if (match.mimetype !== undefined && ![].concat(match.mimetype).every(pattern => typeof pattern === 'string' && /^[^/\s]+\/[^/\s]+$/.test(pattern))) {
+                throw new TypeError(`Field '${fieldname}' ${label}.match.mimetype must be a mimetype pattern or an array of them (e.g. 'image/png', 'image/*').`);
+            }
+            for (const bound of ['minSize', 'maxSize']) {
+                if (match[bound] !== undefined && parseSize(match[bound]) === null) {
+                    throw new RangeError(`Field '${fieldname}' ${label}.match.${bound} must be a positive number of bytes or a size string like '20kb'.`);
+                }
+            }
+            if (match.hasAlpha !== undefined && typeof match.hasAlpha !== 'boolean') {
+                throw new TypeError(`Field '${fieldname}' ${label}.match.hasAlpha must be a boolean.`);
+            }
+        }
+
+        if (rule.format !== undefined && typeof rule.format !== 'string') {
+            throw new TypeError(`Field '${fieldname}' ${label}.format must be a string.`);
+        }
+        if (rule.quality !== undefined && (typeof rule.quality !== 'number' || rule.quality < 1 || rule.quality > 100)) {
+            throw new RangeError(`Field '${fieldname}' ${label}.quality must be a number between 1 and 100.`);
+        }
+        if (rule.keepOriginal !== undefined && typeof rule.keepOriginal !== 'boolean') {
+            throw new TypeError(`Field '${fieldname}' ${label}.keepOriginal must be a boolean.`);
+        }
+        if (rule.formatOptions !== undefined) {
+            validateFormatOptions(fieldname, rule.formatOptions);
+        }
+    });
+}
+
+// Validates width/height/fit/position/withoutEnlargement of a resize-like object
+function validateResizeOptions(fieldname, label, resize){
+    if (typeof resize !== 'object' || resize === null || Array.isArray(resize)) {
+        throw new TypeError(`Field '${fieldname}' ${label} must be an object.`);
+    }
+    if (resize.width === undefined && resize.height === undefined) {
+        throw new TypeError(`Field '${fieldname}' ${label} requires a width and/or height.`);
+    }
+    for (const dimension of ['width', 'height']) {
+        const value = resize[dimension];
+        if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+            throw new RangeError(`Field '${fieldname}' ${label}.${dimension} must be a positive integer.`);
+        }
+    }
+    if (resize.fit !== undefined && !RESIZE_FITS.includes(resize.fit)) {
+        throw new RangeError(`Field '${fieldname}' has invalid ${label}.fit '${resize.fit}'. Allowed: ${RESIZE_FITS.join(', ')}.`);
+    }
+    if (resize.position !== undefined && !['string', 'number'].includes(typeof resize.position)) {
+        throw new TypeError(`Field '${fieldname}' ${label}.position must be a string or number.`);
+    }
+    if (resize.withoutEnlargement !== undefined && typeof resize.withoutEnlargement !== 'boolean') {
+        throw new TypeError(`Field '${fieldname}' ${label}.withoutEnlargement must be a boolean.`);
+    }
+}
+
+/**
+ * Creates the sharp converter for a field: resize (if configured) followed by format encoding
+ * @param {Object} config - Field configuration
+ * @param {string} format - Target image format
+ * @param {number} quality - Compression quality 1-100
+ * @returns {import('sharp').Sharp} Duplex sharp stream
+ */
+function createImageConverter(config, format, quality){
+    // Both need the decoded input before encoding: the upload is buffered first
+    if (editsContent(config) || isQualityTuned(config, format)) {
+        return createBufferedConverter(config, format, quality);
+    }
+    return applyImageOptions(createSharpInput(config), config, format, quality);
+}
+
+// Stream-input sharp instance for a field (maxPixels doubles as sharp's decode limit, animations load every frame)
+function createSharpInput(config){
+    // sharp({}) is not a stream input: only pass options when there are some
+    const options = getSharpInputOptions(config);
+    return Object.keys(options).length > 0 ? sharp(options) : sharp();
+}
+
+// Input options for a buffered source (same as createSharpInput, plus the page being rendered by generatePages)
+function getSharpInputOptions(config){
+    const options = {};
+    if (config?.maxPixels) options.limitInputPixels = config.maxPixels;
+    if (config?.animatedInput) options.animated = true;
+    if (config?.inputPage !== undefined) options.page = config.inputPage;
+    return options;
+}
+
+// sharp's error when an input exceeds limitInputPixels
+function isPixelLimitError(err){
+    return Boolean(err && err.message && err.message.includes('exceeds pixel limit'));
+}
+
+/**
+ * Applies the field's processing steps to an existing sharp instance (stream input, buffer input or clone)
+ * @param {import('sharp').Sharp} image - sharp instance to configure
+ * @param {Object} config - Field configuration
+ * @param {string} format - Target image format
+ * @param {number} quality - Compression quality 1-100
+ * @param {import('sharp').OverlayOptions[]|null} [overlays] - Layers composited after resizing (watermark)
+ * @param {{ width: number, height: number }|null} [source] - Result of getSourceDimensions, required with aspect
+ * @returns {import('sharp').Sharp} The same instance, configured
+ */
+function applyImageOptions(image, config, format, quality, overlays = null, source = null){
+    applyImageGeometry(image, config, source);
+    if (overlays) {
+        image.composite(overlays);
+    }
+    applyMetadataPolicy(image, config?.metadata);
+    applyColorspace(image, config);
+    return image.toFormat(format, { quality, ...getEncoderOptions(config, format) });
+}
+
+//! ---- Colorspace (ICC profiles)
+
+const COLORSPACES = ['srgb', 'p3', 'preserve'];
+
+/**
+ * Converts the output to the field's colorspace (sharp converts to sRGB by default, CMYK included; the metadata policy then decides on the profile)
+ * - 'srgb': sRGB pixels, the profile attached only if the metadata policy keeps ICC (untagged images are read as sRGB)
+ * - 'p3': Display P3 pixels, always tagged since they would be read as sRGB otherwise
+ * - 'preserve': the input's pixels and profile as they are (CMYK is still converted, web formats have none)
+ * @param {import('sharp').Sharp} image - sharp instance, after applyMetadataPolicy
+ * @param {Object} config - Field configuration
+ * @returns {import('sharp').Sharp}
+ */
+function applyColorspace(image, config){
+    switch (config?.colorspace) {
+        case 'srgb': return image.withIccProfile('srgb', { attach: normalizeMetadataPolicy(config.metadata).icc });
+        case 'p3': return image.withIccProfile('p3');
+        case 'preserve': return image.keepIccProfile();
+        default: return image;
+    }
+}
+
+// Orientation, crop and resize: the pixels every encoder (and the quality tuner's reference) works from
+function applyImageGeometry(image, config, source = null){
+    // Orientation is applied first so crop boxes and resize dimensions refer to the upright picture
+    if (config?.autoOrient !== false) {
+        image.autoOrient();
+    }
+
+    const box = config?.cropBox;
+    if (box) {
+        image.extract({ left: box.x, top: box.y, width: box.w, height: box.h });
+    }
+
+    const resize = getResizeOptions(config, source);
+    if (resize) {
+        image.resize(resize);
+    }
+    return image;
+}
+
+// formatOptions entry for a format ('jpg' and 'jpeg' share one)
+function getEncoderOptions(config, format){
+    const [, encoderOptions = {}] = Object.entries(config?.formatOptions || {})
+        .find(([key]) => normalizeFormatName(key) === normalizeFormatName(format)) || [];
+    return encoderOptions;
+}
+
+//! ---- Quality tuning (targetSize / targetQuality)
+
+// Formats where quality trades size against fidelity
+const TUNABLE_FORMATS = new Set(['jpeg', 'webp', 'avif', 'heif']);
+
+// True when the field asks for a tuned quality and the format has one to tune (lossless encoders are left alone)
+function isQualityTuned(config, format){
+    if (config?.targetSize === undefined && config?.targetQuality === undefined) return false;
+    return TUNABLE_FORMATS.has(normalizeFormatName(format)) && !getEncoderOptions(config, format).lossless;
+}
+
+/**
+ * Binary-searches the encoder quality for a buffered image
+ * - targetSize: highest quality whose output fits, else the smallest output (quality 1)
+ * - targetQuality: lowest quality whose decoded output reaches the SSIM floor, else the best one (quality 100)
+ * @param {Buffer} input - Whole source image
+ * @param {Object} config - Field configuration (targetSize or targetQuality, plus the usual image options)
+ * @param {string} format - Target image format
+ * @param {import('sharp').OverlayOptions[]|null} overlays - Watermark layers, part of the reference too
+ * @param {{ width: number, height: number }|null} source - Result of getSourceDimensions (aspect)
+ * @returns {Promise<{ data: Buffer, info: import('sharp').OutputInfo, quality: number, met: boolean }>}
+ */
+async function tuneQuality(input, config, format, overlays, source){
+    const inputOptions = getSharpInputOptions(config);
+    const targetSize = config.targetSize !== undefined ? parseSize(config.targetSize) : null;
+
+    // SSIM compares luminance at the output geometry, the reference is decoded once
+    const toLuminance = (image) => image.removeAlpha().greyscale().raw().toBuffer({ resolveWithObject: true });
+    let reference = null;
+    if (targetSize === null) {
+        const image = applyImageGeometry(sharp(input, inputOptions), config, source);
+        reference = await toLuminance(overlays ? image.composite(overlays) : image);
+    }
+
+    const encode = async (quality) => {
+        const { data, info } = await applyImageOptions(sharp(input, inputOptions), config, format, quality, overlays, source)
+            .toBuffer({ resolveWithObject: true });
+        if (targetSize !== null) {
+            return { data, info, quality, met: data.length <= targetSize };
+        }
+        const decoded = await toLuminance(sharp(data, { animated: Boolean(config.animatedInput) }));
+        const score = computeSsim(reference.data, decoded.data, reference.info.width, reference.info.height, reference.info.channels);
+        return { data, info, quality, met: score >= config.targetQuality.min };
+    };
+
+    let low = 1;
+    let high = 100;
+    let best = null;
+    let closest = null;
+    while (low <= high) {
+        const quality = Math.floor((low + high) / 2);
+        const trial = await encode(quality);
+        // Size falls as quality falls: search upwards for size, downwards for similarity
+        const searchHigher = targetSize !== null ? trial.met : !trial.met;
+        if (trial.met) best = trial;
+        else closest = trial;
+        if (searchHigher) low = quality + 1;
+        else high = quality - 1;
+    }
+    return best || closest;
+}
+
+/**
+ * Encodes a buffered image with the field's options: crop and watermark sized from the source, quality tuned when asked
+ * @param {Buffer} input - Whole source image
+ * @param {Object} config - Field configuration
+ * @param {string} format - Target image format
+ * @param {number} quality - Compression quality 1-100 (unless tuned)
+ * @returns {Promise<{ data: Buffer, info: Object }>} Encoded image; info carries the tuned quality if any
+ */
+async function encodeBufferedImage(input, config, format, quality){
+    const metadata = editsContent(config) ? await sharp(input, { page: config.inputPage || 0 }).metadata() : null;
+    const source = metadata && getSourceDimensions(metadata, config);
+    const overlays = config?.watermark
+        ? await createWatermarkOverlay(config.watermark, getOutputDimensions(source, config), getFrameCount(metadata, config))
+        : null;
+
+    if (isQualityTuned(config, format)) {
+        const tuned = await tuneQuality(input, config, format, overlays, source);
+        return { data: tuned.data, info: { ...tuned.info, quality: tuned.quality } };
+    }
+    return applyImageOptions(sharp(input, getSharpInputOptions(config)), config, format, quality, overlays, source)
+        .toBuffer({ resolveWithObject: true });
+}
+
+// Stream wrapper around encodeBufferedImage with the parts of the sharp stream contract the pipelines use ('info', metadata())
+function createBufferedConverter(config, format, quality){
+    const chunks = [];
+    let resolveInput;
+    const inputPromise = new Promise((resolve) => { resolveInput = resolve; });
+
+    const converter = new Transform({
+        transform(chunk, enc, cb){
+            chunks.push(chunk);
+            cb();
+        },
+        flush(cb){
+            const input = Buffer.concat(chunks);
+            chunks.length = 0;
+            resolveInput(input);
+
+            encodeBufferedImage(input, config, format, quality).then(({ data, info }) => {
+                converter.emit('info', info);
+                cb(null, data);
+            }, cb);
+        }
+    });
+
+    converter.metadata = () => inputPromise.then((input) => sharp(input).metadata());
+    return converter;
+}
+
+//! ---- Animation
+
+// Output formats sharp can write as animations
+const ANIMATED_FORMATS = new Set(['webp', 'gif']);
+const ANIMATED_POLICIES = ['preserve', 'firstFrame', 'reject'];
+
+// Inputs sharp decodes frame by frame (APNG and AVIF sequences load as their first frame)
+const ANIMATED_SOURCES = new Set(['image/gif', 'image/webp']);
+
+/**
+ * Applies the field's animated policy to an upload
+ * @param {Object} config - Field configuration for this file
+ * @param {boolean|null} animated - Result of detectAnimation (null counts as a still image)
+ * @param {string} mimetype - Detected mimetype
+ * @returns {{ config: Object, error: string|null }} config with animatedInput when every frame is converted, or the reason for refusing the file
+ */
+function resolveAnimation(config, animated, mimetype){
+    if (!animated) return { config, error: null };
+
+    const policy = config.animated || 'preserve';
+    if (policy === 'reject') {
+        return { config, error: 'Animated images are not accepted for this field' };
+    }
+    if (policy === 'firstFrame' || config.keepOriginal || !ANIMATED_SOURCES.has(mimetype)) return { config, error: null };
+    return {
+        config: { ...config, animatedInput: true, format: getAnimatedFormat({ animatedInput: true }, config.format || 'webp') },
+        error: null
+    };
+}
+
+// Output format for an animated input: formats sharp cannot animate (AVIF, JPEG...) are written as WebP so the frames survive
+function getAnimatedFormat(config, format){
+    if (!config?.animatedInput || ANIMATED_FORMATS.has(normalizeFormatName(format))) return format;
+    return 'webp';
+}
+
+// Frames of the animation being converted (1 for still images and firstFrame)
+function getFrameCount(metadata, config){
+    return config?.animatedInput ? metadata?.pages || 1 : 1;
+}
+
+//! ---- SVG
+
+const SVG_POLICIES = ['sanitize', 'rasterize', 'reject'];
+
+// By content or by label: with mimeMismatch 'ignore' either one may be all there is
+const isSvgUpload = (file) => file.detectedMimetype === 'image/svg+xml' || file.mimetype === 'image/svg+xml';
+
+/**
+ * Applies the field's svg policy: 'sanitize' stores the (sanitized) SVG itself, 'rasterize' converts it like any image.
+ * Without a policy the field's keepOriginal decides, as for other images.
+ * @param {Object} config - Field configuration for this file
+ * @returns {{ config: Object, error: string|null }} config with keepOriginal set, or the reason for refusing the file
+ */
+function resolveSvg(config){
+    const policy = config.svg || (config.keepOriginal ? 'sanitize' : 'rasterize');
+    if (policy === 'reject') {
+        return { config, error: 'SVG images are not accepted for this field' };
+    }
+    return { config: { ...config, keepOriginal: policy === 'sanitize' }, error: null };
+}
+
+//! ---- Pages (multi-page TIFF / PDF)
+
+const PAGE_SELECTIONS = ['first', 'all'];
+
+// Documents whose pages the pages option renders as separate images
+const PAGED_SOURCES = new Set(['image/tiff', 'application/pdf']);
+
+// sharp's prebuilt libvips has no PDF loader: PDFs are only rendered with a custom libvips build (poppler / pdfium)
+const PDF_RENDERING = Boolean(sharp.format.pdf?.input?.buffer);
+
+/**
+ * Pages to render for an upload
+ * - TIFF: 'all' or an index list; 'first' is the main output already
+ * - PDF: any selection, 'first' renders the first page as a thumbnail (the PDF itself is stored as is)
+ * @param {Object} config - Field configuration
+ * @param {string} mimetype - Mimetype of the upload
+ * @returns {'all'|number[]|null} null when nothing is rendered
+ */
+function getPageSelection(config, mimetype){
+    if (config?.pages === undefined || !PAGED_SOURCES.has(mimetype)) return null;
+    if (config.pages === 'first') return mimetype === 'application/pdf' ? [0] : null;
+    return config.pages;
+}
+
+/**
+ * Renders the selected pages of a document, one at a time, each encoded like the main output and stored next to it
+ * @param {Buffer} input - The whole upload (sharp opens one page per input)
+ * @param {string} mimetype - Mimetype of the upload
+ * @param {Object} config - Field configuration
+ * @param {'all'|number[]} selection - Result of getPageSelection
+ * @param {Object} target - Storage target (see generateVariants)
+ * @returns {Promise<{ pages: Object[], error: string|null }>} Page descriptors (failed pages carry an `error`), or why none could be read (never rejects)
+ */
+async function generatePages(input, mimetype, config, selection, target){
+    let count;
+    try{
+        if (mimetype === 'application/pdf' && !PDF_RENDERING) {
+            throw new Error('the installed libvips has no PDF support');
+        }
+        count = (await sharp(input, getSharpInputOptions(config)).metadata()).pages || 1;
+    }catch(err){
+        main_logger.pagesWarning(target.filename, err.message);
+        return { pages: [], error: err.message };
+    }
+
+    const indexes = selection === 'all' ? Array.from({ length: count }, (_, page) => page) : selection;
+    const pages = [];
+    // In turn rather than side by side: a long scan would otherwise decode every page at once
+    for (const page of indexes) {
+        const format = (target.format || 'webp').toLowerCase();
+        const suffix = `p${page}`;
+        const filename = generateConvertedFileName(target.filename, format, suffix);
+        const mimetype = `image/${format}`;
+
+        if (page >= count) {
+            pages.push({ page, format, filename, mimetype, error: `Page ${page} does not exist (${count} pages)` });
+            continue;
+        }
+        try{
+            const { data, info } = await encodeBufferedImage(input, { ...config, inputPage: page }, format, target.quality);
+            const descriptor = { page, width: info.width, height: info.height, format, filename, mimetype, size: info.size };
+            const stored = await storeDerivedImage(data, descriptor, target);
+
+            main_logger.pageSuccess(filename, page, format, info.width, info.height, info.size);
+            pages.push({ ...descriptor, ...stored });
+        }catch(err){
+            main_logger.conversionError(filename, err.message);
+            pages.push({ page, format, filename, mimetype, error: err.message });
+        }
+    }
+    return { pages, error: null };
+}
+
+// Attaches generatePages' outcome to a result: the pages, plus a non-fatal error when the document could not be read
+function attachPages(result, rendered){
+    result.pages = rendered.pages;
+    if (rendered.error && !result._metadata) {
+        result._metadata = {
+            isBackupFallback: false,
+            isSkipped: false,
+            isProcessed: true,
+            errors: {
+                pages: rendered.error
+            }
+        };
+    }
+    return result;
+}
+
+//! ---- Crop (aspect / cropField)
+
+// Position given to sharp's cover resize for each crop strategy
+const CROP_POSITIONS = {
+    center: 'centre',
+    attention: sharp.strategy.attention,
+    entropy: sharp.strategy.entropy
+};
+
+// Watermarks and crops change what the picture shows: they are laid out from the source dimensions, and the untouched upload is no substitute (onlyIfSmaller)
+const editsContent = (config) => Boolean(config?.watermark || config?.aspect !== undefined || config?.cropBox);
+
+/**
+ * Parses an aspect ratio
+ * @param {string|number} aspect - 'W:H' (also 'W/H') or a width / height number
+ * @returns {number|null} Width divided by height, null when invalid
+ */
+function parseAspect(aspect){
+    if (typeof aspect === 'number') return Number.isFinite(aspect) && aspect > 0 ? aspect : null;
+    const match = typeof aspect === 'string' && aspect.trim().match(/^(\d+(?:\.\d+)?)\s*[:/]\s*(\d+(?:\.\d+)?)$/);
+    if (!match || !(Number(match[1]) > 0) || !(Number(match[2]) > 0)) return null;
+    return Number(match[1]) / Number(match[2]);
+}
+
+/**
+ * Parses a client crop box; cropper widgets send fractional pixels, they are rounded
+ * @param {string|Object} value - JSON string or object (urlencoded 'avatar_crop[x]' fields) with x, y, w, h
+ * @returns {{ x: number, y: number, w: number, h: number }|null} null when malformed
+ */
+function parseCropBox(value){
+    let box = value;
+    if (typeof value === 'string') {
+        try {
+            box = JSON.parse(value);
+        } catch {
+            return null;
+        }
+    }
+    if (typeof box !== 'object' || box === null || Array.isArray(box)) return null;
+
+    const parsed = {};
+    for (const key of ['x', 'y', 'w', 'h']) {
+        const raw = typeof box[key] === 'string' && box[key].trim() ? Number(box[key]) : box[key];
+        if (typeof raw !== 'number' || !Number.isFinite(raw)) return null;
+        parsed[key] = Math.round(raw);
+    }
+    if (parsed.x < 0 || parsed.y < 0 || parsed.w < 1 || parsed.h < 1) return null;
+    return parsed;
+}
+
+// Reason a crop box does not fit the upright image, null when it does (or the image could not be measured)
+function getCropBoxViolation(box, dimensions){
+    if (!dimensions) return null;
+    if (box.x + box.w > dimensions.width || box.y + box.h > dimensions.height) {
+        return `Crop box ${box.w}x${box.h} at ${box.x},${box.y} exceeds the ${dimensions.width}x${dimensions.height} image`;
+    }
+    return null;
+}
+
+/**
+ * Reads the client crop box of an image from the field's cropField and checks it against the upright image
+ * @param {Object} body - req.body (with multer, only fields sent before the file are there yet)
+ * @param {Object} config - Field configuration with cropField
+ * @param {Buffer} head - Leading bytes of the image, or the whole file
+ * @param {string} mimetype - Detected mimetype
+ * @returns {Promise<{ box: Object|null, error: string|null }>} box is null when the form sent none
+ */
+async function readCropBox(body, config, head, mimetype){
+    const value = body?.[config.cropField];
+    if (value === undefined || value === '') return { box: null, error: null };
+
+    const box = parseCropBox(value);
+    if (!box) {
+        return { box: null, error: `Crop box '${config.cropField}' must be JSON like {"x":0,"y":0,"w":400,"h":400} (non-negative pixels)` };
+    }
+
+    // sharp reads the header (orientation included) from leading bytes; WebP needs the whole file, its header size is used then
+    const metadata = await sharp(head).metadata().catch(() => null);
+    const dimensions = metadata?.width ? getUprightDimensions(metadata, config) : readImageDimensions(head, mimetype);
+    return { box, error: getCropBoxViolation(box, dimensions) };
+}
+
+
+// Dimensions after autoOrient (first page of animations)
+function getUprightDimensions(metadata, config){
+    let width = metadata.width;
+    let height = metadata.pageHeight || metadata.height;
+    if (config?.autoOrient !== false && metadata.orientation >= 5) {
+        [width, height] = [height, width];
+    }
+    return { width, height };
+}
+
+/**
+ * Dimensions the resize step starts from: upright, then cut to the client crop box
+ * @param {import('sharp').Metadata} metadata - Source metadata
+ * @param {Object} config - Field configuration
+ * @returns {{ width: number, height: number }}
+ */
+function getSourceDimensions(metadata, config){
+    const upright = getUprightDimensions(metadata, config);
+    const box = config?.cropBox;
+    if (!box) return upright;
+
+    // Boxes are checked on upload, this catches images whose header could not be read then
+    const violation = getCropBoxViolation(box, upright);
+    if (violation) throw new RangeError(violation);
+    return { width: box.w, height: box.h };
+}
+
+/**
+ * sharp resize options of a field (or variant). With aspect, a single cover resize both crops to the ratio and scales:
+ * the missing dimension follows the ratio, and without a resize the largest area of that ratio is kept at full size
+ * @param {Object} config - Field (or variant) configuration
+ * @param {{ width: number, height: number }|null} source - Result of getSourceDimensions, required with aspect
+ * @returns {import('sharp').ResizeOptions|null}
+ */
+function getResizeOptions(config, source){
+    const resize = config?.resize;
+    if (config?.aspect === undefined) {
+        if (!resize) return null;
+        const { width, height, fit, position, withoutEnlargement } = resize;
+        return { width, height, fit, position, withoutEnlargement };
+    }
+
+    const ratio = parseAspect(config.aspect);
+    const cropWidth = Math.max(1, Math.min(source.width, Math.round(source.height * ratio)));
+    const cropHeight = Math.max(1, Math.min(source.height, Math.round(source.width / ratio)));
+
+    let width = resize?.width ?? (resize?.height ? Math.round(resize.height * ratio) : cropWidth);
+    let height = resize?.height ?? (resize?.width ? Math.round(resize.width / ratio) : cropHeight);
+    if (resize?.withoutEnlargement) {
+        // Shrink both sides alike so the ratio survives
+        const scale = Math.min(1, cropWidth / width, cropHeight / height);
+        width = Math.round(width * scale);
+        height = Math.round(height * scale);
+    }
+    // sharp has no attention / entropy strategy for animations
+    const position = config.animatedInput ? CROP_POSITIONS.center : CROP_POSITIONS[config.crop || 'center'];
+    return { width: Math.max(1, width), height: Math.max(1, height), fit: 'cover', position };
+}
+
+/**
+ * Validates aspect / crop / cropField of a field config
+ * @param {string} fieldname - Field name used in error messages
+ * @param {Object} config - Field configuration
+ */
+function validateCropOptions(fieldname, config){
+    if (config.aspect !== undefined && parseAspect(config.aspect) === null) {
+        throw new RangeError(`Field '${fieldname}' aspect must be a ratio like '1:1' or '3:1', or a positive number.`);
+    }
+    if (config.crop !== undefined) {
+        if (!Object.keys(CROP_POSITIONS).includes(config.crop)) {
+            throw new RangeError(`Field '${fieldname}' has invalid crop '${config.crop}'. Allowed: ${Object.keys(CROP_POSITIONS).join(', ')}.`);
+        }
+        if (config.aspect === undefined) {
+            throw new TypeError(`Field '${fieldname}' crop picks the area kept by aspect, set aspect too.`);
+        }
+    }
+    if (config.aspect !== undefined && config.resize) {
+        if (config.resize.width !== undefined && config.resize.height !== undefined) {
+            throw new TypeError(`Field '${fieldname}' resize with both width and height already sets the aspect ratio, drop one or drop aspect.`);
+        }
+        if (config.resize.fit !== undefined && config.resize.fit !== 'cover') {
+            throw new RangeError(`Field '${fieldname}' aspect crops the image, resize.fit can only be 'cover'.`);
+        }
+    }
+    if (config.cropField !== undefined && (typeof config.cropField !== 'string' || !config.cropField.trim())) {
+        throw new TypeError(`Field '${fieldname}' cropField must be the name of a form field.`);
+    }
+}
+
+//! ---- Watermark
+
+const WATERMARK_GRAVITIES = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest', 'center', 'centre'];
+const WATERMARK_KEYS = ['image', 'text', 'gravity', 'opacity', 'scale', 'margin'];
+
+/**
+ * Size of the encoded image, computed like sharp does from the source dimensions and the resize
+ * @param {{ width: number, height: number }} source - Result of getSourceDimensions
+ * @param {Object} config - Field (or variant) configuration
+ * @returns {{ width: number, height: number }}
+ */
+function getOutputDimensions(source, config){
+    const { width, height } = source;
+    const resize = getResizeOptions(config, source);
+    if (!resize) return { width, height };
+
+    const { width: targetWidth, height: targetHeight, fit = 'cover', withoutEnlargement } = resize;
+    if (targetWidth && targetHeight && ['cover', 'contain', 'fill'].includes(fit)) {
+        // contain pads up to the box even without enlargement
+        if (fit === 'contain' || !withoutEnlargement) return { width: targetWidth, height: targetHeight };
+        return { width: Math.min(targetWidth, width), height: Math.min(targetHeight, height) };
+    }
+
+    let scale = !targetHeight ? targetWidth / width
+        : !targetWidth ? targetHeight / height
+        : (fit === 'inside' ? Math.min : Math.max)(targetWidth / width, targetHeight / height);
+    if (withoutEnlargement) scale = Math.min(scale, 1);
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+/**
+ * Renders the watermark for an image of the given size
+ * scale and margin are fractions of the image width, so every rendition gets a proportional mark
+ * @param {Object} watermark - Field watermark options ({ image | text, gravity, opacity, scale, margin })
+ * @param {{ width: number, height: number }} target - Dimensions of the image being encoded (one frame)
+ * @param {number} [frames=1] - Frames of an animation: composite() works on the whole strip, each frame gets its own layer
+ * @returns {Promise<import('sharp').OverlayOptions[]>} composite() layers
+ */
+async function createWatermarkOverlay(watermark, target, frames = 1){
+    const margin = Math.round(target.width * (watermark.margin ?? 0.02));
+    const boxWidth = Math.max(1, Math.min(Math.round(target.width * (watermark.scale ?? 0.25)), target.width - 2 * margin));
+    const boxHeight = Math.max(1, target.height - 2 * margin);
+
+    // Text is fitted into the box by pango on one line (white, so it reads on photos), images are scaled down into it
+    const mark = watermark.text !== undefined
+        ? sharp({ text: { text: `<span foreground="white">${escapeMarkup(watermark.text)}</span>`, rgba: true, wrap: 'none', width: boxWidth, height: boxHeight } })
+        : sharp(watermark.image).resize({ width: boxWidth, height: boxHeight, fit: 'inside' });
+    const rendered = await mark.png().toBuffer({ resolveWithObject: true });
+
+    // Opacity: keep the mark's own alpha scaled by a uniform one
+    const alpha = Math.round(255 * (watermark.opacity ?? 0.5));
+    const data = await sharp(rendered.data)
+        .ensureAlpha()
+        .composite([{ input: Buffer.from([255, 255, 255, alpha]), raw: { width: 1, height: 1, channels: 4 }, tile: true, blend: 'dest-in' }])
+        .png()
+        .toBuffer();
+
+    const { width, height } = rendered.info;
+    const gravity = watermark.gravity || 'southeast';
+    const left = gravity.includes('west') ? margin
+        : gravity.includes('east') ? target.width - width - margin
+        : Math.round((target.width - width) / 2);
+    const top = gravity.startsWith('north') ? margin
+        : gravity.startsWith('south') ? target.height - height - margin
+        : Math.round((target.height - height) / 2);
+
+    return Array.from({ length: frames }, (_, frame) => ({
+        input: data,
+        left: Math.max(0, left),
+        top: Math.max(0, top) + frame * target.height
+    }));
+}
+
+// Pango markup needs &, < and > escaped
+function escapeMarkup(text){
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Validates the watermark field option
+function validateWatermark(fieldname, watermark){
+    if (typeof watermark !== 'object' || watermark === null || Array.isArray(watermark)) {
+        throw new TypeError(`Field '${fieldname}' watermark must be an object like { image: './logo.png' } or { text: '© Shop' }.`);
+    }
+
+    const unknown = Object.keys(watermark).find(key => !WATERMARK_KEYS.includes(key));
+    if (unknown) {
+        throw new RangeError(`Field '${fieldname}' has unknown watermark.${unknown}. Allowed: ${WATERMARK_KEYS.join(', ')}.`);
+    }
+
+    const { image, text, gravity, opacity, scale, margin } = watermark;
+    if ((image === undefined) === (text === undefined)) {
+        throw new TypeError(`Field '${fieldname}' watermark needs exactly one of image or text.`);
+    }
+    if (image !== undefined && !Buffer.isBuffer(image) && !(typeof image === 'string' && image.trim())) {
+        throw new TypeError(`Field '${fieldname}' watermark.image must be a file path or a Buffer.`);
+    }
+    if (typeof image === 'string' && !fs.existsSync(image)) {
+        throw new Error(`Field '${fieldname}' watermark.image '${image}' does not exist.`);
+    }
+    if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+        throw new TypeError(`Field '${fieldname}' watermark.text must be a non-empty string.`);
+    }
+    if (gravity !== undefined && !WATERMARK_GRAVITIES.includes(gravity)) {
+        throw new RangeError(`Field '${fieldname}' has invalid watermark.gravity '${gravity}'. Allowed: ${WATERMARK_GRAVITIES.join(', ')}.`);
+    }
+    if (opacity !== undefined && (typeof opacity !== 'number' || opacity < 0 || opacity > 1)) {
+        throw new RangeError(`Field '${fieldname}' watermark.opacity must be a number between 0 and 1.`);
+    }
+    if (scale !== undefined && (typeof scale !== 'number' || !(scale > 0 && scale <= 1))) {
+        throw new RangeError(`Field '${fieldname}' watermark.scale must be a number between 0 and 1 (fraction of the image width).`);
+    }
+    if (margin !== undefined && (typeof margin !== 'number' || !(margin >= 0 && margin < 0.5))) {
+        throw new RangeError(`Field '${fieldname}' watermark.margin must be a number from 0 up to 0.5 (fraction of the image width).`);
+    }
+}
+
+/**
+ * Number of leading bytes needed to decide every size condition of the rules
+ * (a file that ends within the window has an exact size, a longer one is known to exceed every bound)
+ * @param {Object[]} rules - Field rules
+ * @returns {number}
+ */
+function getRuleProbeBytes(rules){
+    const bounds = rules
+        .flatMap(rule => [rule.match?.minSize, rule.match?.maxSize])
+        .filter(bound => bound !== undefined)
+        .map(bound => parseSize(bound) + 1);
+    return Math.max(SNIFF_BYTES, ...bounds);
+}
+
+/**
+ * Describes a file for rule matching
+ * @param {Object[]} rules - Field rules (alpha is only read when a rule asks for it)
+ * @param {string} mimetype - Resolved mimetype
+ * @param {Buffer} head - Leading bytes (or the whole file)
+ * @param {boolean} complete - True when head is the whole file
+ * @returns {Promise<{ mimetype: string, size: number, complete: boolean, hasAlpha: boolean|undefined }>}
+ */
+async function describeRuleSource(rules, mimetype, head, complete){
+    const needsAlpha = rules.some(rule => rule.match?.hasAlpha !== undefined) && String(mimetype).startsWith('image');
+    const hasAlpha = needsAlpha
+        ? await sharp(head).metadata().then(metadata => metadata.hasAlpha, () => undefined)
+        : undefined;
+    return { mimetype, size: head.length, complete, hasAlpha };
+}
+
+/**
+ * Applies the first rule matching the source to the field config
+ * @param {Object} config - Field configuration with rules
+ * @param {Object} source - Result of describeRuleSource
+ * @returns {Object} Config for this file (the field config itself when no rule matches)
+ */
+function resolveConversionRule(config, source){
+    const rule = config.rules.find(({ match = {} }) => {
+        if (match.mimetype !== undefined && !matchesMimetype(source.mimetype, [].concat(match.mimetype))) return false;
+        if (match.minSize !== undefined && source.size < parseSize(match.minSize)) return false;
+        if (match.maxSize !== undefined && (!source.complete || source.size > parseSize(match.maxSize))) return false;
+        if (match.hasAlpha !== undefined && source.hasAlpha !== match.hasAlpha) return false;
+        return true;
+    });
+    if (!rule) return config;
+
+    const { match, ...overrides } = rule;
+    return {
+        ...config,
+        ...overrides,
+        // Picking a format means converting, unless the rule says otherwise
+        keepOriginal: rule.keepOriginal ?? (rule.format !== undefined ? false : config.keepOriginal)
+    };
+}
+
+/**
+ * Builds the image fields exposed on the result file
+ * @param {import('sharp').Metadata|null} source - sharp metadata of the upload
+ * @param {{ width: number, height: number, format: string, hasAlpha: boolean, frames: number }|null} output - Stored image, null when the original was stored
+ * @param {Object} config - Field configuration (parseExif)
+ * @returns {Object} width, height (of one frame), format, hasAlpha, frames, orientation, density, inputColorspace, inputIccProfile and (parseExif) exif
+ */
+function describeImage(source, output, config){
+    const stored = output || source;
+    if (!stored) return {};
+
+    const details = {
+        width: stored.width,
+        // Animations read with all their frames are a strip: pageHeight is the height of one frame
+        height: stored.pageHeight || stored.height,
+        format: stored.format,
+        hasAlpha: stored.hasAlpha,
+        frames: output ? output.frames : source.pages || 1,
+        orientation: source?.orientation || 1,
+        density: source?.density,
+        inputColorspace: source?.space,
+        inputIccProfile: source ? readIccDescription(source.icc) : null
+    };
+
+    if (config?.parseExif) {
+        details.exif = source?.exif ? parseExif(source.exif) : null;
+    }
+    return details;
+}
+
+// Longest side of the image placeholders are computed from (BlurHash blurs it anyway)
+const PLACEHOLDER_DECODE_SIZE = 32;
+
+/**
+ * Generates every configured variant from a single sharp input and stores them like the main output
+ * @param {import('sharp').Sharp} source - sharp instance holding the input (clones are taken synchronously)
+ * @param {Object} config - Field configuration containing the variants array
+ * @param {Object} target - Storage target: output ('memory' | 'disk' | 'cloud'), outputDir, filename, format, quality...
+ * @returns {Promise<Object[]>} Variant descriptors; failed variants carry an `error` instead of rejecting
+ */
+function generateVariants(source, config, target){
+    const jobs = config.variants.map(async (variant) => {
+        const format = getAnimatedFormat(config, (variant.format || target.format).toLowerCase());
+        const quality = variant.quality || target.quality;
+        const suffix = variant.suffix || (variant.width ? `${variant.width}w` : `${variant.height}h`);
+        const filename = generateConvertedFileName(target.filename, format, suffix);
+        const mimetype = `image/${format}`;
+
+        const variantConfig = {
+            ...config,
+            resize: {
+                width: variant.width,
+                height: variant.height,
+                fit: variant.fit,
+                withoutEnlargement: variant.withoutEnlargement
+            }
+        };
+        // Taken before any await so the clone sees the whole input
+        const image = source.clone();
+
+        try{
+            // Crops and watermarks are laid out once the source dimensions are known (the clone only runs on toBuffer)
+            const metadata = editsContent(config) ? await source.metadata() : null;
+            const dimensions = metadata && getSourceDimensions(metadata, config);
+            const overlays = config.watermark
+                ? await createWatermarkOverlay(config.watermark, getOutputDimensions(dimensions, variantConfig), getFrameCount(metadata, config))
+                : null;
+            applyImageOptions(image, variantConfig, format, quality, overlays, dimensions);
+            const { data, info } = await image.toBuffer({ resolveWithObject: true });
+            const descriptor = { width: info.width, height: info.pageHeight || info.height, format, suffix, filename, mimetype, size: info.size };
+            const stored = await storeDerivedImage(data, descriptor, target);
+
+            main_logger.variantSuccess(filename, format, info.width, info.height, info.size);
+            return { ...descriptor, ...stored };
+        }catch(err){
+            main_logger.conversionError(filename, err.message);
+            return { width: variant.width, height: variant.height, format, suffix, filename, mimetype, error: err.message };
+        }
+    });
+
+    return Promise.all(jobs);
+}
+
+/**
+ * Computes the field's placeholders from one small decode of the image, framed like the stored output (crop box, aspect, cover resize)
+ * @param {import('sharp').Sharp} source - sharp instance holding the input (the clone is taken synchronously)
+ * @param {Object} config - Field configuration with placeholder
+ * @param {boolean} converted - False when the upload is stored as is: only its orientation is applied
+ * @param {string} filename - Name used in the warning when the image cannot be decoded
+ * @returns {Promise<Object|null>} { blurhash, lqip, dominantColor } as requested, null on failure (never rejects)
+ */
+async function generatePlaceholder(source, config, converted, filename){
+    const image = source.clone();
+    const types = [].concat(config.placeholder);
+    const geometry = converted ? config : { autoOrient: config.autoOrient };
+
+    try{
+        const dimensions = getSourceDimensions(await source.metadata(), geometry);
+        const output = getOutputDimensions(dimensions, geometry);
+        const scale = Math.min(1, PLACEHOLDER_DECODE_SIZE / Math.max(output.width, output.height));
+        const width = Math.max(1, Math.round(output.width * scale));
+        const height = Math.max(1, Math.round(output.height * scale));
+
+        // The output's own resize scaled down keeps its framing; a plain scale otherwise (same ratio as the output)
+        const resize = getResizeOptions(geometry, dimensions);
+        const framing = resize?.width && resize?.height
+            ? { ...resize, width, height, withoutEnlargement: false }
+            : { width, height, fit: 'fill' };
+        applyImageGeometry(image, { ...geometry, aspect: undefined, resize: framing });
+
+        // An animation decodes as a strip of frames: the first one stands for it
+        const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        const frameHeight = info.pageHeight || info.height;
+        const frame = { width: info.width, height: frameHeight, premultiplied: info.premultiplied };
+        return await computePlaceholders(data.subarray(0, info.width * frameHeight * 4), frame, types);
+    }catch(err){
+        main_logger.placeholderWarning(filename, err.message);
+        return null;
+    }
+}
+
+/**
+ * Stores an image derived from an upload (variant, page...) in the same destination as the main output
+ * @param {Buffer} buffer - Encoded image
+ * @param {Object} descriptor - filename, mimetype and size of the derived image
+ * @param {Object} target - Storage target (see generateVariants)
+ * @returns {Promise<Object>} Location properties: buffer, path or cloud result fields
+ */
+async function storeDerivedImage(buffer, descriptor, target){
+    if(target.output === 'cloud'){
+        const cloudResult = await uploadToCloud(
+            Readable.from(buffer),
+            {
+                originalname : descriptor.filename,
+                fieldname : target.fieldname,
+                mimetype : descriptor.mimetype,
+                size : buffer.length,
+                filename : descriptor.filename
+            },
+            target.cloudProvider,
+            target.cloudConfig,
+            { buffer, path : null }
+        );
+        return {
+            cloudProvider : cloudResult.cloudProvider,
+            cloudUrl : cloudResult.cloudUrl,
+            cloudPublicId : cloudResult.cloudPublicId
+        };
+    }
+
+    if(target.output === 'disk'){
+        const outputPath = path.join(target.outputDir, descriptor.filename);
+        await fsPromise.writeFile(outputPath, buffer);
+        return { path : outputPath };
+    }
+
+    return { buffer };
+}
+
+
+//! ========================================
+//! HELPER FUNCTIONS
+//! ========================================
+
+// Does a mimetype match one of the patterns ('image/*', 'application/pdf', '*/*')?
+function matchesMimetype(mimetype, patterns){
+  const [type, subtype] = String(mimetype || '').toLowerCase().split(';')[0].trim().split('/');
+  return patterns.some((pattern) => {
+    const [patternType, patternSubtype] = pattern.toLowerCase().split('/');
+    return (patternType === '*' || patternType === type) &&
+      (patternSubtype === '*' || patternSubtype === subtype);
+  });
+}
+
+// Normalise '.JPG' / 'jpg' to 'jpg'
+const normalizeExtension = (extension) => String(extension).trim().replace(/^\./, '').toLowerCase();
+
+/**
+ * Checks a file against the field's allowedTypes, deniedTypes and allowedExtensions
+ * @param {Object} config - Field configuration
+ * @param {string} mimetype - Mimetype to check
+ * @param {string|null} originalname - Client filename (extension check is skipped when null)
+ * @returns {{ code: string, reason: string }|null} Rejection, or null if the file is acceptable
+ */
+function getTypeRejection(config, mimetype, originalname){
+  if (Array.isArray(config?.deniedTypes) && matchesMimetype(mimetype, config.deniedTypes)) {
+    return { code: 'TYPE_DENIED', reason: `File type ${mimetype} is denied for this field` };
+  }
+
+  if (Array.isArray(config?.allowedTypes) && !matchesMimetype(mimetype, config.allowedTypes)) {
+    return {
+      code: 'TYPE_NOT_ALLOWED',
+      reason: `File type ${mimetype} is not allowed. Allowed: ${config.allowedTypes.join(', ')}`
+    };
+  }
+
+  if (originalname !== null && Array.isArray(config?.allowedExtensions)) {
+    const extension = normalizeExtension(path.extname(originalname || ''));
+    const allowed = config.allowedExtensions.map(normalizeExtension);
+    if (!allowed.includes(extension)) {
+      return {
+        code: 'EXTENSION_NOT_ALLOWED',
+        reason: `File extension '${extension ? '.' + extension : '(none)'}' is not allowed. Allowed: ${allowed.map(ext => '.' + ext).join(', ')}`
+      };
+    }
+  }
+
+  return null;
+}
+
+const hasDimensionLimits = (config) => Boolean(config?.maxPixels || config?.maxWidth || config?.maxHeight);
+
+/**
+ * Checks image dimensions read from the header against maxPixels / maxWidth / maxHeight
+ * @param {Object} config - Field configuration
+ * @param {{ width: number, height: number }|null} dimensions - Header dimensions (null when unreadable)
+ * @returns {string|null} Reason the image is refused, or null if it is within limits (or could not be measured)
+ */
+function getDimensionLimitViolation(config, dimensions){
+  if (!dimensions) return null;
+  const { width, height } = dimensions;
+
+  if (config?.maxWidth && width > config.maxWidth) {
+    return `Image width ${width}px exceeds maxWidth ${config.maxWidth}px`;
+  }
+  if (config?.maxHeight && height > config.maxHeight) {
+    return `Image height ${height}px exceeds maxHeight ${config.maxHeight}px`;
+  }
+  if (config?.maxPixels && width * height > config.maxPixels) {
+    return `Image of ${width}x${height} (${width * height} pixels) exceeds maxPixels ${config.maxPixels}`;
+  }
+  return null;
+}
+
+// Record a rejected file on req.upflyRejected
+function rejectFile(req, file, code, reason){
+  if (!Array.isArray(req.upflyRejected)) req.upflyRejected = [];
+  req.upflyRejected.push({
+    fieldname: file.fieldname,
+    originalname: file.originalname,
+    mimetype: file.mimetype,
+    detectedMimetype: file.detectedMimetype,
+    code,
+    reason
+  });
+}
+
+/**
+ * Finds the config key for a form field: exact name first, then wildcard patterns ("image_*")
+ * @param {Object} fields - Field configurations
+ * @param {string} fieldname - Form field name
+ * @returns {string|undefined} Matching key of `fields`
+ */
+function findFieldKey(fields, fieldname){
+  if (Object.prototype.hasOwnProperty.call(fields, fieldname)) return fieldname;
+
+  return Object.keys(fields).find((fieldKey) => {
+    if (!fieldKey.includes('*')) return false;
+    const regexPattern = fieldKey
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\\\*/g, '.*');
+    return new RegExp(`^${regexPattern}$`).test(fieldname);
+  });
+}
+
+// minCount wins over required (required is minCount: 1)
+const getMinCount = (config) => config?.minCount ?? (config?.required ? 1 : 0);
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Parses a size given in bytes or as a string ('150kb', '5 MB', '1.5gb')
+ * @param {number|string} value - Size to parse
+ * @returns {number|null} Size in bytes, or null if the value is not a valid positive size
+ */
+function parseSize(value){
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? Math.floor(value) : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) return null;
+
+  const bytes = Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+  return bytes > 0 ? bytes : null;
+}
+
+function groupFilesByField(filesArray) {
+  const grouped = {};
+  for (const file of filesArray) {
+    if (!grouped[file.fieldname]) {
+      grouped[file.fieldname] = [];
+    }
+    grouped[file.fieldname].push(file);
+  }
+  return grouped;
+}
+
+
+// Inverse of groupFilesByField: each file of the original list replaced by its processed counterpart
+function ungroupFilesByField(filesArray, grouped) {
+  const nextIndex = {};
+  return filesArray.map((file) => {
+    const index = nextIndex[file.fieldname] || 0;
+    nextIndex[file.fieldname] = index + 1;
+    return grouped[file.fieldname][index];
+  });
+}
 
 function cleanupTempFile(path){
     if(!path) return;
@@ -1799,14 +4359,15 @@ const generateFileName = (file) =>{
 }
 
 
-// Generate converted filename
-const generateConvertedFileName = (originalFileName, newFormat) => {
+// Generate converted filename (optional suffix for variants, e.g. "-640w")
+const generateConvertedFileName = (originalFileName, newFormat, suffix = '') => {
   const parsed = path.parse(originalFileName);
-  const baseName = parsed.name;
+  const baseName = suffix ? `${parsed.name}-${suffix}` : parsed.name;
   return `${baseName}.${newFormat.toLowerCase()}`;
 }
 
 module.exports = {
   upflyUpload,
-  upflyConvert
+  upflyConvert,
+  UpflyLimitError
 };
\ No newline at end of file
@@ -0,0 +1,125 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const { upflyUpload, upflyConvert } = require('../src');
+const { peekStream } = require('../src/image/sniff');
+const { detectAnimation } = require('../src/image/animation');
+const { createImage, runUpload } = require('./test-utils');
+
+// Spied on to check how much of an upload is read ahead of conversion
+jest.mock('../src/image/sniff', () => {
+  const actual = jest.requireActual('../src/image/sniff');
+  return { ...actual, peekStream: jest.fn(actual.peekStream) };
+});
+
+// Frames stacked in one raw strip, encoded as an animated GIF
+const createGif = async (frames, width, height) => {
+  const raw = await Promise.all(frames.map(frame => sharp(frame).removeAlpha().raw().toBuffer()));
+  return sharp(Buffer.concat(raw), { raw: { width, height: height * frames.length, channels: 3, pageHeight: height } })
+    .gif({ delay: frames.map(() => 100), loop: 0 })
+    .toBuffer();
+};
+
+describe('animated option', () => {
+  const memory = multer({ storage: multer.memoryStorage() }).fields([{ name: 'f' }]);
+  let gif;
+  let still;
+
+  beforeAll(async () => {
+    const colors = ['#f00', '#0f0', '#00f'];
+    gif = await createGif(await Promise.all(colors.map(background => createImage({ width: 40, height: 40, background }))), 40, 40);
+    still = await createImage({ width: 30, height: 20, format: 'gif' });
+  });
+
+  beforeEach(() => peekStream.mockClear());
+
+  const runBoth = async (config, image = gif) => [
+    await runUpload(upflyUpload({ fields: { f: config } }), [['f', image, 'a.gif', 'image/gif']]),
+    await runUpload([memory, upflyConvert({ fields: { f: config } })], [['f', image, 'a.gif', 'image/gif']])
+  ];
+  const describeFile = ({ mimetype, width, height, frames }) => ({ mimetype, width, height, frames });
+
+  it.each([
+    [{}, 'image/webp', 40],
+    [{ format: 'avif', resize: { width: 20 } }, 'image/webp', 20],
+    [{ format: 'gif' }, 'image/gif', 40]
+  ])('keeps every frame by default (%j)', async (config, mimetype, size) => {
+    for (const { files } of await runBoth(config)) {
+      expect(describeFile(files.f[0])).toEqual({ mimetype, width: size, height: size, frames: 3 });
+      const meta = await sharp(files.f[0].buffer).metadata();
+      expect([meta.pages, meta.loop]).toEqual([3, 0]);
+    }
+  });
+
+  it("stores the first frame with animated: 'firstFrame'", async () => {
+    for (const { files } of await runBoth({ animated: 'firstFrame', format: 'avif' })) {
+      expect(describeFile(files.f[0])).toEqual({ mimetype: 'image/avif', width: 40, height: 40, frames: 1 });
+    }
+  });
+
+  it("skips animations with animated: 'reject', but not still images", async () => {
+    const [{ files, rejected }] = await runBoth({ animated: 'reject' });
+    expect(files.f[0]._metadata.errors.animated).toBe('Animated images are not accepted for this field');
+    expect(rejected.map(entry => entry.code)).toEqual(['ANIMATION_NOT_ALLOWED']);
+
+    for (const result of await runBoth({ animated: 'reject' }, still)) {
+      expect(result.files.f[0].mimetype).toBe('image/webp');
+    }
+  });
+
+  it('reports the frame size when the original is stored', async () => {
+    const results = [
+      ...await runBoth({ keepOriginal: true }),
+      ...await runBoth({ format: 'webp', onlyIfSmaller: true })
+    ];
+
+    for (const { files } of results) {
+      expect(describeFile(files.f[0])).toEqual({ mimetype: 'image/gif', width: 40, height: 40, frames: 3 });
+    }
+  });
+
+  it('handles a GIF whose second frame is past the probe as a still image, without reading it whole', async () => {
+    const noise = (mean) => sharp({ create: { width: 640, height: 480, channels: 3, noise: { type: 'gaussian', mean, sigma: 60 } } }).png().toBuffer();
+    const large = await createGif([await noise(100), await noise(150)], 640, 480);
+    expect(large.length).toBeGreaterThan(2 * 256 * 1024);
+
+    const { files, rejected } = await runUpload(upflyUpload({ fields: { f: { animated: 'reject', resize: { width: 64 } } } }), [['f', large, 'a.gif', 'image/gif']]);
+
+    expect(rejected).toEqual([]);
+    expect(describeFile(files.f[0])).toEqual({ mimetype: 'image/webp', width: 64, height: 48, frames: 1 });
+    expect(peekStream.mock.calls.map(([, length]) => length)).not.toContain(Infinity);
+  });
+
+  it('rejects unknown policies at setup', () => {
+    expect(() => upflyUpload({ fields: { x: { animated: 'loop' } } })).toThrow(RangeError);
+  });
+});
+
+describe('detectAnimation', () => {
+  const chunk = (type, data) => {
+    const buffer = Buffer.alloc(12 + data.length);
+    buffer.writeUInt32BE(data.length, 0);
+    buffer.write(type, 4, 'latin1');
+    data.copy(buffer, 8);
+    return buffer;
+  };
+
+  it('finds APNG animation control chunks', () => {
+    const signature = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+    const apng = Buffer.concat([signature, chunk('IHDR', Buffer.alloc(13)), chunk('acTL', Buffer.from([0, 0, 0, 3, 0, 0, 0, 0])), chunk('IDAT', Buffer.alloc(4))]);
+    const png = Buffer.concat([signature, chunk('IHDR', Buffer.alloc(13)), chunk('IDAT', Buffer.alloc(4))]);
+
+    expect(detectAnimation(apng, 'image/png')).toBe(true);
+    expect(detectAnimation(png, 'image/png')).toBe(false);
+    expect(detectAnimation(apng.subarray(0, 30), 'image/png')).toBeNull();
+  });
+
+  it('walks GIF frames and reads the WebP animation flag', async () => {
+    const frames = await Promise.all(['#f00', '#00f'].map(background => createImage({ width: 10, height: 10, background })));
+    const gif = await createGif(frames, 10, 10);
+
+    expect(detectAnimation(gif, 'image/gif')).toBe(true);
+    expect(detectAnimation(await createImage({ format: 'gif' }), 'image/gif', true)).toBe(false);
+    expect(detectAnimation(await sharp(gif, { animated: true }).webp().toBuffer(), 'image/webp')).toBe(true);
+    expect(detectAnimation(await createImage({ format: 'webp' }), 'image/webp')).toBe(false);
+  });
+});
@@ -0,0 +1,103 @@
+const { spawnSync } = require('child_process');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const { upflyUpload, createCloudAdapter } = require('../../src');
+const { runUpload } = require('../test-utils');
+
+// Azurite's well-known development account
+const ACCOUNT = {
+  accountName: 'devstoreaccount1',
+  accountKey: 'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==',
+  endpoint: 'http://127.0.0.1:10000/devstoreaccount1'
+};
+
+const hasSdk = (() => {
+  try {
+    require.resolve('@azure/storage-blob');
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+// Checked before the suite is declared, so it shows as skipped rather than passing
+const azuriteRunning = hasSdk && spawnSync(process.execPath, ['-e', `
+  require('net').connect(10000, '127.0.0.1').on('connect', () => process.exit(0)).on('error', () => process.exit(1));
+`], { timeout: 2000 }).status === 0;
+
+describe('azure adapter cloudUrl', () => {
+  afterEach(() => {
+    jest.dontMock('@azure/storage-blob');
+    jest.resetModules();
+  });
+
+  it('encodes each blob name segment under a custom domain', async () => {
+    const uploadStream = jest.fn(async () => ({ etag: '"1"' }));
+    jest.doMock('@azure/storage-blob', () => ({
+      BlobServiceClient: {
+        fromConnectionString: () => ({
+          getContainerClient: () => ({
+            getBlockBlobClient: (name) => ({ url: `http://blob/${name}?sig=secret`, uploadStream })
+          })
+        })
+      }
+    }), { virtual: true });
+    const { createCloudAdapter: create } = require('../../src');
+
+    const adapter = create('azure', { container: 'c', connectionString: 'x', customDomain: 'https://cdn.example.com/', prefix: 'my photos' });
+    const result = await adapter.upload(Readable.from([Buffer.from('x')]), { filename: 'a#1?.png', mimetype: 'image/png' });
+
+    expect(result.cloudPublicId).toBe('my photos/a#1?.png');
+    expect(result.cloudUrl).toBe('https://cdn.example.com/my%20photos/a%231%3F.png');
+  });
+});
+
+(azuriteRunning ? describe : describe.skip)('azure adapter against Azurite', () => {
+  const cloudConfig = { ...ACCOUNT, container: 'upfly-test' };
+  let container;
+
+  beforeAll(async () => {
+    const { BlobServiceClient, StorageSharedKeyCredential } = require('@azure/storage-blob');
+    const credential = new StorageSharedKeyCredential(ACCOUNT.accountName, ACCOUNT.accountKey);
+    container = new BlobServiceClient(ACCOUNT.endpoint, credential).getContainerClient(cloudConfig.container);
+    await container.createIfNotExists();
+  });
+
+  it('streams a multi-block upload and deletes it', async () => {
+    const adapter = createCloudAdapter('azure', { ...cloudConfig, prefix: '/imgs/', blockSize: 1024 * 1024, accessTier: 'Cool', metadata: { app: 'upfly' } });
+    const data = Buffer.alloc(3 * 1024 * 1024 + 5, 7);
+
+    await expect(adapter.validateConnection()).resolves.toBe(true);
+    const result = await adapter.upload(Readable.from([data.subarray(0, 2e6), data.subarray(2e6)]), { filename: 'x.bin', mimetype: 'application/octet-stream', size: data.length });
+
+    expect(result).toMatchObject({
+      cloudProvider: 'azure',
+      cloudPublicId: 'imgs/x.bin',
+      cloudBucket: 'upfly-test',
+      cloudUrl: `${ACCOUNT.endpoint}/upfly-test/imgs/x.bin`
+    });
+    const blob = container.getBlobClient(result.cloudPublicId);
+    expect(await blob.getProperties()).toMatchObject({ contentLength: data.length, contentType: 'application/octet-stream', accessTier: 'Cool', metadata: { app: 'upfly' } });
+    expect((await blob.downloadToBuffer()).equals(data)).toBe(true);
+
+    await adapter.delete(result.cloudPublicId);
+    expect(await blob.exists()).toBe(false);
+  });
+
+  it('fails validation for a missing container', async () => {
+    const adapter = createCloudAdapter('azure', { ...ACCOUNT, container: 'upfly-missing' });
+
+    await expect(adapter.validateConnection()).rejects.toThrow('Azure validation failed: Container "upfly-missing" does not exist');
+  });
+
+  it('uploads converted files and their variants from the middleware', async () => {
+    const png = await sharp({ create: { width: 20, height: 10, channels: 3, background: 'red' } }).png().toBuffer();
+    const { files } = await runUpload(
+      upflyUpload({ fields: { a: { output: 'memory', cloudStorage: true, cloudProvider: 'azure', cloudConfig, variants: [{ width: 10 }] } } }),
+      [['a', png, 'p.png', 'image/png']]
+    );
+
+    expect(files.a[0]).toMatchObject({ cloudProvider: 'azure', mimetype: 'image/webp' });
+    expect(files.a[0].variants[0].cloudUrl).toMatch(/^http:\/\/127\.0\.0\.1:10000\/devstoreaccount1\/upfly-test\//);
+  });
+});
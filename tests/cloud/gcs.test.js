@@ -0,0 +1,73 @@
+const { Readable } = require('stream');
+const { createCloudAdapter } = require('../../src');
+
+// Stand-in for the SDK: files record their write options and what was written
+jest.mock('@google-cloud/storage', () => {
+  const { Writable: SinkStream } = require('stream');
+  class Storage {
+    static files = [];
+
+    bucket(bucketName) {
+      return {
+        file: (name) => {
+          const file = { bucketName, name, chunks: [], isPublic: false };
+          Storage.files.push(file);
+          return {
+            createWriteStream: (options) => {
+              file.options = options;
+              return new SinkStream({
+                write(chunk, encoding, callback) {
+                  file.chunks.push(chunk);
+                  callback();
+                }
+              });
+            },
+            makePublic: async () => {
+              file.isPublic = true;
+            }
+          };
+        }
+      };
+    }
+  }
+  return { Storage };
+}, { virtual: true });
+
+describe('GCS adapter uploads', () => {
+  const { Storage } = require('@google-cloud/storage');
+  const config = { bucket: 'photos', keyFilename: 'key.json' };
+  const upload = (extra, metadata = {}) => createCloudAdapter('gcs', { ...config, ...extra })
+    .upload(Readable.from([Buffer.from('data')]), { filename: 'a x.webp', fieldname: 'avatar', mimetype: 'image/webp', size: 4, ...metadata });
+
+  beforeEach(() => {
+    Storage.files = [];
+  });
+
+  it('stores the file under the templated prefix and returns that name', async () => {
+    const year = new Date().getUTCFullYear();
+
+    const result = await upload({ prefix: '{fieldname}/{yyyy}' });
+
+    const [file] = Storage.files;
+    expect(file).toMatchObject({ bucketName: 'photos', name: `avatar/${year}/a x.webp`, isPublic: true });
+    expect(Buffer.concat(file.chunks).toString()).toBe('data');
+    expect(result).toMatchObject({
+      cloudPublicId: `avatar/${year}/a x.webp`,
+      cloudUrl: `https://storage.googleapis.com/photos/avatar/${year}/a%20x.webp`,
+      cloudBucket: 'photos'
+    });
+  });
+
+  it('sets the storage class with the content type', async () => {
+    await upload({ storageClass: 'NEARLINE', public: false });
+
+    expect(Storage.files[0].options.metadata).toEqual({ contentType: 'image/webp', storageClass: 'NEARLINE' });
+    expect(Storage.files[0].isPublic).toBe(false);
+  });
+
+  it('builds custom domain URLs from the prefixed name', async () => {
+    const result = await upload({ prefix: 'u/{fieldname}', customDomain: 'https://cdn.example.com' }, { fieldname: 'a/b' });
+
+    expect(result.cloudUrl).toBe('https://cdn.example.com/u/a-b/a%20x.webp');
+  });
+});
@@ -0,0 +1,39 @@
+const { validateAllCloudConfigs } = require('../../src');
+const { applyKeyPrefix } = require('../../src/cloud/keyPrefix');
+
+describe('cloud key prefixes', () => {
+  const date = new Date(Date.UTC(2026, 0, 5, 23, 30));
+
+  it('fills in the field name and the UTC upload date', () => {
+    expect(applyKeyPrefix('{fieldname}/{yyyy}/{mm}/{dd}/', 'f.png', { fieldname: 'avatar' }, date)).toBe('avatar/2026/01/05/f.png');
+  });
+
+  it('treats the prefix as a folder, dropping empty segments', () => {
+    expect(applyKeyPrefix('/up//{fieldname}/', 'f.png', {}, date)).toBe('up/f.png');
+    expect(applyKeyPrefix('uploads', 'f.png', {}, date)).toBe('uploads/f.png');
+    expect(applyKeyPrefix('', 'f.png', {}, date)).toBe('f.png');
+    expect(applyKeyPrefix(undefined, 'f.png', {}, date)).toBe('f.png');
+  });
+
+  it('keeps each placeholder value to a single folder name', () => {
+    const key = (fieldname) => applyKeyPrefix('u/{fieldname}/', 'f.png', { fieldname }, date);
+
+    expect(key('../../etc')).toBe('u/----etc/f.png');
+    expect(key('a/b')).toBe('u/a-b/f.png');
+    expect(key('a\\b')).toBe('u/a-b/f.png');
+    expect(key('..')).toBe('u/-/f.png');
+    expect(key('.')).toBe('u/-/f.png');
+    expect(key('v1.2')).toBe('u/v1.2/f.png');
+  });
+
+  it('rejects unknown placeholders and non-string prefixes at startup', async () => {
+    const validate = (cloudProvider, cloudConfig) => validateAllCloudConfigs({ a: { cloudStorage: true, cloudProvider, cloudConfig } });
+
+    await expect(validate('local', { directory: 'x', baseUrl: 'x', prefix: '{yyyy}/{hh}' }))
+      .rejects.toThrow('Field "a" cloudConfig.prefix has an unknown placeholder {hh}. Supported: {fieldname}, {yyyy}, {mm}, {dd}');
+    await expect(validate('s3', { bucket: 'b', region: 'r', accessKeyId: 'x', secretAccessKey: 'y', keyPrefix: '{user}/' }))
+      .rejects.toThrow('Field "a" cloudConfig.keyPrefix has an unknown placeholder {user}.');
+    await expect(validate('gcs', { bucket: 'b', keyFilename: 'k', prefix: 5 }))
+      .rejects.toThrow('Field "a" cloudConfig.prefix must be a string');
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { upflyUpload, uploadToCloud, createCloudAdapter } = require('../../src');
+const { createImage, runUpload, testOutputDir, cleanupOutputDir } = require('../test-utils');
+
+describe('local storage provider', () => {
+  const directory = path.resolve(testOutputDir('local-store'));
+  const cloudConfig = { directory, baseUrl: 'https://cdn.example.com/u/', prefix: '/imgs/' };
+  const listing = () => fs.readdirSync(path.join(directory, 'imgs')).sort();
+
+  afterEach(() => cleanupOutputDir('local-store'));
+
+  it('creates the directory and writes streams under the prefix', async () => {
+    const adapter = createCloudAdapter('local', cloudConfig);
+
+    await expect(adapter.validateConnection()).resolves.toBe(true);
+    const result = await adapter.upload(Readable.from([Buffer.alloc(1000, 1), Buffer.alloc(500, 2)]), { filename: 'a b#.bin', mimetype: 'application/octet-stream' });
+
+    expect(result).toEqual({
+      cloudProvider: 'local',
+      cloudUrl: 'https://cdn.example.com/u/imgs/a%20b%23.bin',
+      cloudPublicId: 'imgs/a b#.bin',
+      cloudSize: 1500,
+      cloudContentType: 'application/octet-stream',
+      _cloudRaw: { path: path.join(directory, 'imgs', 'a b#.bin') }
+    });
+    expect(listing()).toEqual(['a b#.bin']);
+  });
+
+  it('keeps keys inside the directory', async () => {
+    const adapter = createCloudAdapter('local', cloudConfig);
+
+    for (const filename of ['../escape.bin', 'x/../../../escape.bin']) {
+      await expect(adapter.upload(Readable.from([Buffer.from('x')]), { filename })).rejects.toThrow(/^Local upload failed: Invalid key .*outside the storage directory$/);
+    }
+    await expect(adapter.delete('../../etc/passwd')).rejects.toThrow('Local delete failed: Invalid key "../../etc/passwd": outside the storage directory');
+  });
+
+  it('deletes by cloudPublicId, treating missing files as deleted', async () => {
+    const adapter = createCloudAdapter('local', cloudConfig);
+    const { cloudPublicId } = await adapter.upload(Readable.from([Buffer.from('x')]), { filename: 'a.txt' });
+
+    await adapter.delete(cloudPublicId);
+    await expect(adapter.delete(cloudPublicId)).resolves.toBeUndefined();
+    expect(listing()).toEqual([]);
+  });
+
+  it('retries from the backup without leaving a partial file', async () => {
+    const failing = new Readable({
+      read() {
+        this.push(Buffer.alloc(100));
+        this.destroy(new Error('boom'));
+      }
+    });
+    const metadata = { filename: 'retry.bin', originalname: 'retry.bin', fieldname: 'f' };
+
+    const result = await uploadToCloud(failing, metadata, 'local', cloudConfig, { buffer: Buffer.alloc(42) });
+
+    expect(result.cloudSize).toBe(42);
+    expect(listing()).toEqual(['retry.bin']);
+  });
+
+  it('fails validation when the directory is a file', async () => {
+    fs.mkdirSync(directory, { recursive: true });
+    const file = path.join(directory, 'file');
+    fs.writeFileSync(file, 'x');
+
+    await expect(createCloudAdapter('local', { directory: file, baseUrl: 'x', createDirectory: false }).validateConnection())
+      .rejects.toThrow(`Local storage validation failed: "${file}" is not a directory`);
+  });
+
+  it('stores converted files and variants from the middleware', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ fields: { a: { output: 'memory', cloudStorage: true, cloudProvider: 'local', cloudConfig, variants: [{ width: 10 }] } } }),
+      [['a', await createImage({ width: 20, height: 10 }), 'p.png', 'image/png']]
+    );
+
+    const [file] = files.a;
+    expect(file).toMatchObject({ cloudProvider: 'local', cloudPublicId: expect.stringMatching(/^imgs\/a-p-\w+\.webp$/) });
+    expect(file.cloudUrl).toBe(`https://cdn.example.com/u/${file.cloudPublicId}`);
+    expect(fs.statSync(path.join(directory, file.cloudPublicId)).size).toBe(file.cloudSize);
+    expect(listing()).toEqual([path.basename(file.cloudPublicId).replace('.webp', '-10w.webp'), path.basename(file.cloudPublicId)]);
+  });
+});
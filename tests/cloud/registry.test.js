@@ -0,0 +1,87 @@
+const { Readable } = require('stream');
+const upfly = require('../../src');
+const { upflyUpload, registerCloudProvider, validateAllCloudConfigs, uploadToCloud, createCloudAdapter, CloudAdapter } = upfly;
+const { createImage, runUpload } = require('../test-utils');
+
+// Keeps uploads in a map, failing the first attempt of files named 'flaky*'
+class MemoryStoreAdapter extends CloudAdapter {
+  static objects = new Map();
+
+  async validateConnection() {
+    if (this.config.bucket === 'offline') throw new Error('bucket unreachable');
+    return true;
+  }
+
+  async upload(stream, metadata) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    const key = `${this.config.bucket}/${metadata.filename}`;
+    if (metadata.filename.startsWith('flaky') && !MemoryStoreAdapter.objects.has(`failed:${key}`)) {
+      MemoryStoreAdapter.objects.set(`failed:${key}`, true);
+      throw new Error('connection reset');
+    }
+    const data = Buffer.concat(chunks);
+    MemoryStoreAdapter.objects.set(key, data);
+    return { cloudProvider: 'memstore', cloudUrl: `mem://${key}`, cloudPublicId: key, cloudSize: data.length };
+  }
+
+  async delete(key) {
+    MemoryStoreAdapter.objects.delete(key);
+  }
+}
+
+describe('registerCloudProvider', () => {
+  beforeAll(() => {
+    registerCloudProvider('MemStore', MemoryStoreAdapter, {
+      aliases: ['mem'],
+      validate: (config) => (config.bucket ? [] : ['bucket'])
+    });
+  });
+
+  beforeEach(() => MemoryStoreAdapter.objects.clear());
+
+  it('exports CloudAdapter but not the built-in adapters', () => {
+    expect(typeof CloudAdapter).toBe('function');
+    for (const name of ['CloudinaryAdapter', 'S3Adapter', 'GCSAdapter', 'AzureBlobAdapter', 'LocalStorageAdapter']) {
+      expect(upfly).not.toHaveProperty(name);
+    }
+  });
+
+  it('validates custom providers at startup by name or alias, case-insensitively', async () => {
+    await expect(validateAllCloudConfigs({ a: { cloudStorage: true, cloudProvider: 'memstore', cloudConfig: { bucket: 'b' } } })).resolves.toBeUndefined();
+    await expect(validateAllCloudConfigs({ a: { cloudStorage: true, cloudProvider: 'MEM', cloudConfig: {} } }))
+      .rejects.toThrow('Field "a" cloudConfig missing required fields: bucket');
+    await expect(validateAllCloudConfigs({ a: { cloudStorage: true, cloudProvider: 'mem', cloudConfig: { bucket: 'offline' } } }))
+      .rejects.toThrow('Cloud config validation failed for field "a" (mem): bucket unreachable');
+    expect(createCloudAdapter('mem', { bucket: 'b' })).toBeInstanceOf(MemoryStoreAdapter);
+  });
+
+  it('uploads through uploadToCloud, retrying once from the backup', async () => {
+    const metadata = { filename: 'flaky.txt', originalname: 'flaky.txt', fieldname: 'a' };
+
+    const result = await uploadToCloud(Readable.from([Buffer.from('first')]), metadata, 'memstore', { bucket: 'b' }, { buffer: Buffer.from('backup') });
+
+    expect(result).toEqual({ cloudProvider: 'memstore', cloudUrl: 'mem://b/flaky.txt', cloudPublicId: 'b/flaky.txt', cloudSize: 6 });
+    expect(MemoryStoreAdapter.objects.get('b/flaky.txt').toString()).toBe('backup');
+  });
+
+  it('stores converted files and variants from the middleware', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ fields: { a: { output: 'memory', cloudStorage: true, cloudProvider: 'mem', cloudConfig: { bucket: 'b' }, variants: [{ width: 10 }] } } }),
+      [['a', await createImage({ width: 20, height: 10 }), 'p.png', 'image/png']]
+    );
+
+    const [file] = files.a;
+    expect(file).toMatchObject({ cloudProvider: 'memstore', cloudUrl: `mem://${file.cloudPublicId}` });
+    expect(file.variants[0].cloudPublicId).toMatch(/-10w\.webp$/);
+    expect([...MemoryStoreAdapter.objects.keys()].sort()).toEqual([file.cloudPublicId, file.variants[0].cloudPublicId].sort());
+  });
+
+  it('rejects invalid registrations and unknown providers', () => {
+    expect(() => registerCloudProvider('', MemoryStoreAdapter)).toThrow('Cloud provider name must be a non-empty string');
+    expect(() => registerCloudProvider('x', class {})).toThrow('Cloud provider "x" must be a class extending CloudAdapter');
+    expect(() => registerCloudProvider('x', MemoryStoreAdapter, { validate: true })).toThrow('Cloud provider "x" validate option must be a function');
+    expect(() => registerCloudProvider('x', MemoryStoreAdapter, { aliases: [''] })).toThrow('Cloud provider "x" aliases must be an array of non-empty strings');
+    expect(() => createCloudAdapter('nope', {})).toThrow(/^Unsupported cloud provider: "nope". Supported providers: cloudinary, s3, gcs, azure, local, memstore$/);
+  });
+});
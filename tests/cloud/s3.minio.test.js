@@ -0,0 +1,64 @@
+const { Readable } = require('stream');
+const { upflyUpload, createCloudAdapter } = require('../../src');
+const { createImage, runUpload } = require('../test-utils');
+
+// Runs against an S3-compatible server (MinIO, ...) given in UPFLY_TEST_S3_ENDPOINT, e.g. http://localhost:9000
+const {
+  UPFLY_TEST_S3_ENDPOINT: endpoint,
+  UPFLY_TEST_S3_BUCKET: bucket = 'upfly-test',
+  UPFLY_TEST_S3_ACCESS_KEY: accessKeyId = 'minioadmin',
+  UPFLY_TEST_S3_SECRET_KEY: secretAccessKey = 'minioadmin'
+} = process.env;
+
+(endpoint ? describe : describe.skip)('S3 adapter against an S3-compatible server', () => {
+  const cloudConfig = { endpoint, bucket, accessKeyId, secretAccessKey, forcePathStyle: true };
+  let sdk;
+  let client;
+
+  const readObject = async (key) => {
+    const { Body, ContentType } = await client.send(new sdk.GetObjectCommand({ Bucket: bucket, Key: key }));
+    return { body: Buffer.from(await Body.transformToByteArray()), contentType: ContentType };
+  };
+
+  beforeAll(async () => {
+    sdk = require('@aws-sdk/client-s3');
+    client = createCloudAdapter('s3', cloudConfig).client;
+    try {
+      await client.send(new sdk.CreateBucketCommand({ Bucket: bucket }));
+    } catch (error) {
+      if (!['BucketAlreadyOwnedByYou', 'BucketAlreadyExists'].includes(error.name)) throw error;
+    }
+  });
+
+  it('uploads under a path-style URL and deletes the object', async () => {
+    const adapter = createCloudAdapter('s3', cloudConfig);
+
+    await expect(adapter.validateConnection()).resolves.toBe(true);
+    const result = await adapter.upload(Readable.from([Buffer.from('hello '), Buffer.from('world')]), { filename: 'dir/h i.txt', mimetype: 'text/plain', size: 11 });
+
+    expect(result).toMatchObject({
+      cloudProvider: 's3',
+      cloudUrl: `${endpoint.replace(/\/+$/, '')}/${bucket}/dir/h%20i.txt`,
+      cloudPublicId: 'dir/h i.txt',
+      cloudBucket: bucket,
+      cloudRegion: 'us-east-1'
+    });
+    expect(await readObject(result.cloudPublicId)).toEqual({ body: Buffer.from('hello world'), contentType: 'text/plain' });
+
+    await adapter.delete(result.cloudPublicId);
+    await expect(readObject(result.cloudPublicId)).rejects.toMatchObject({ name: 'NoSuchKey' });
+  });
+
+  it('uploads converted files and their variants from the middleware', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ fields: { a: { output: 'memory', cloudStorage: true, cloudProvider: 's3', cloudConfig, variants: [{ width: 10 }] } } }),
+      [['a', await createImage({ width: 20, height: 10 }), 'p.png', 'image/png']]
+    );
+
+    const [file] = files.a;
+    const stored = await readObject(file.cloudPublicId);
+    expect(stored).toMatchObject({ contentType: 'image/webp' });
+    expect(stored.body.length).toBe(file.convertedSize);
+    expect(file.variants[0].cloudUrl).toMatch(/-10w\.webp$/);
+  });
+});
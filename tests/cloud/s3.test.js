@@ -0,0 +1,114 @@
+const { Readable } = require('stream');
+const { createCloudAdapter, validateAllCloudConfigs } = require('../../src');
+
+// The adapter only needs the SDK to build its client: stand-ins keep these tests offline when it is not installed
+jest.mock('@aws-sdk/client-s3', () => ({ S3Client: class { constructor(config) { this.config = config; } } }), { virtual: true });
+jest.mock('@aws-sdk/lib-storage', () => ({ Upload: class {} }), { virtual: true });
+
+// Put in place of the SDK's Upload on the adapter: records the params and reads the body
+class RecordingUpload {
+  static calls = [];
+
+  constructor({ params }) {
+    this.params = params;
+  }
+
+  async done() {
+    const chunks = [];
+    for await (const chunk of this.params.Body) chunks.push(chunk);
+    RecordingUpload.calls.push({ ...this.params, Body: Buffer.concat(chunks) });
+    return { ETag: '"etag"' };
+  }
+}
+
+describe('S3 adapter addressing', () => {
+  const credentials = { bucket: 'photos', accessKeyId: 'id', secretAccessKey: 'secret' };
+  const urlFor = (config, key = 'a dir/x#y.png') => createCloudAdapter('s3', { ...credentials, ...config }).getPublicUrl(key);
+
+  it('addresses AWS buckets virtual-hosted by default', () => {
+    expect(urlFor({ region: 'eu-west-1' })).toBe('https://photos.s3.eu-west-1.amazonaws.com/a%20dir/x%23y.png');
+    expect(urlFor({})).toBe('https://photos.s3.us-east-1.amazonaws.com/a%20dir/x%23y.png');
+  });
+
+  it('puts the bucket in the path with forcePathStyle', () => {
+    expect(urlFor({ region: 'eu-west-1', forcePathStyle: true })).toBe('https://s3.eu-west-1.amazonaws.com/photos/a%20dir/x%23y.png');
+    expect(urlFor({ endpoint: 'http://localhost:9000/', forcePathStyle: true })).toBe('http://localhost:9000/photos/a%20dir/x%23y.png');
+    expect(urlFor({ endpoint: 'https://gw.example.com/s3/', forcePathStyle: true })).toBe('https://gw.example.com/s3/photos/a%20dir/x%23y.png');
+  });
+
+  it('prefixes the endpoint host with the bucket for virtual-hosted endpoints', () => {
+    expect(urlFor({ endpoint: 'https://acc.r2.cloudflarestorage.com', region: 'auto' })).toBe('https://photos.acc.r2.cloudflarestorage.com/a%20dir/x%23y.png');
+  });
+
+  it('uses publicBaseUrl, or customDomain, over the bucket URL', () => {
+    expect(urlFor({ endpoint: 'http://localhost:9000', forcePathStyle: true, publicBaseUrl: 'https://pub.r2.dev/' })).toBe('https://pub.r2.dev/a%20dir/x%23y.png');
+    expect(urlFor({ region: 'eu-west-1', customDomain: 'https://cdn.example.com' })).toBe('https://cdn.example.com/a%20dir/x%23y.png');
+    expect(urlFor({ publicBaseUrl: 'https://pub.r2.dev', customDomain: 'https://cdn.example.com' })).toBe('https://pub.r2.dev/a%20dir/x%23y.png');
+  });
+
+  it('passes the addressing style to the client, defaulting the region', () => {
+    const { client, region } = createCloudAdapter('s3', { ...credentials, endpoint: 'http://localhost:9000', forcePathStyle: true });
+
+    expect(region).toBe('us-east-1');
+    expect(client.config.forcePathStyle).toBe(true);
+  });
+
+  it('requires a region only without an endpoint, and an http(s) endpoint', async () => {
+    const validate = (config) => validateAllCloudConfigs({ a: { cloudStorage: true, cloudProvider: 's3', cloudConfig: { ...credentials, ...config } } });
+
+    await expect(validate({})).rejects.toThrow('Field "a" cloudConfig missing required fields: region');
+    await expect(validate({ endpoint: 'localhost:9000' }))
+      .rejects.toThrow('Field "a" cloudConfig.endpoint must be an http(s) URL (e.g. \'http://localhost:9000\')');
+  });
+});
+
+describe('S3 adapter uploads', () => {
+  const config = { region: 'eu-west-1', bucket: 'photos', accessKeyId: 'id', secretAccessKey: 'secret' };
+  const upload = (extra, metadata = {}) => {
+    const adapter = createCloudAdapter('s3', { ...config, ...extra });
+    adapter.Upload = RecordingUpload;
+    return adapter.upload(Readable.from([Buffer.from('data')]), { filename: 'a-x.webp', fieldname: 'avatar', mimetype: 'image/webp', size: 4, ...metadata });
+  };
+
+  beforeEach(() => {
+    RecordingUpload.calls = [];
+  });
+
+  it('stores the file under the templated prefix and returns that key', async () => {
+    const now = new Date();
+    const folder = `avatar/${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+
+    const result = await upload({ prefix: '/{fieldname}/{yyyy}/{mm}/' });
+
+    expect(RecordingUpload.calls[0]).toMatchObject({ Bucket: 'photos', Key: `${folder}/a-x.webp`, ContentType: 'image/webp', Body: Buffer.from('data') });
+    expect(result).toMatchObject({
+      cloudPublicId: `${folder}/a-x.webp`,
+      cloudUrl: `https://photos.s3.eu-west-1.amazonaws.com/${folder}/a-x.webp`,
+      cloudETag: '"etag"'
+    });
+  });
+
+  it('accepts keyPrefix and keeps client field names to one folder', async () => {
+    const result = await upload({ keyPrefix: 'u/{fieldname}' }, { fieldname: 'g_/../../x' });
+
+    expect(result.cloudPublicId).toBe('u/g_-----x/a-x.webp');
+    expect(result.cloudUrl).toBe('https://photos.s3.eu-west-1.amazonaws.com/u/g_-----x/a-x.webp');
+  });
+
+  it('sends the storage class, encryption and metadata with the object', async () => {
+    await upload({ storageClass: 'STANDARD_IA', serverSideEncryption: 'aws:kms', kmsKeyId: 'key-1', metadata: { app: 'upfly', version: 3 } });
+
+    expect(RecordingUpload.calls[0]).toMatchObject({
+      StorageClass: 'STANDARD_IA',
+      ServerSideEncryption: 'aws:kms',
+      SSEKMSKeyId: 'key-1',
+      Metadata: { app: 'upfly', version: '3' }
+    });
+  });
+
+  it('leaves out the options that are not set', async () => {
+    await upload({});
+
+    expect(Object.keys(RecordingUpload.calls[0]).sort()).toEqual(['Body', 'Bucket', 'ContentType', 'Key']);
+  });
+});
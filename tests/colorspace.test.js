@@ -0,0 +1,78 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const { upflyUpload, upflyConvert } = require('../src');
+const { readIccDescription } = require('../src/image/icc');
+const { runUpload } = require('./test-utils');
+
+describe('colorspace option', () => {
+  const memory = multer({ storage: multer.memoryStorage() });
+  const red = () => sharp({ create: { width: 8, height: 8, channels: 3, background: '#f00' } });
+  // Stored pixel values, ignoring any embedded profile, with the profile's name
+  const inspect = async (buffer) => {
+    const { data } = await sharp(buffer, { ignoreIcc: true }).raw().toBuffer({ resolveWithObject: true });
+    const { space, icc } = await sharp(buffer).metadata();
+    return { rgb: Array.from(data.subarray(0, 3)), space, icc: icc ? readIccDescription(icc) : null };
+  };
+  const expectRgb = (actual, expected) => actual.forEach((value, i) => expect(Math.abs(value - expected[i])).toBeLessThanOrEqual(3));
+  let p3;
+  let cmyk;
+
+  beforeAll(async () => {
+    // sRGB red stored as Display P3 values (234,51,35) with the P3 profile
+    p3 = await red().jpeg({ quality: 100 }).withIccProfile('p3').toBuffer();
+    cmyk = await red().toColourspace('cmyk').jpeg({ quality: 100 }).toBuffer();
+  });
+
+  it('converts to untagged sRGB by default and reports the input colorspace', async () => {
+    const { files } = await runUpload(
+      [memory.fields([{ name: 'p3' }, { name: 'cmyk' }]), upflyConvert({ fields: { p3: { format: 'png', colorspace: 'srgb' }, cmyk: { format: 'png' } } })],
+      [['p3', p3, 'a.jpg', 'image/jpeg'], ['cmyk', cmyk, 'b.jpg', 'image/jpeg']]
+    );
+
+    expect(files.p3[0]).toMatchObject({ inputColorspace: 'srgb', inputIccProfile: 'sP3C' });
+    expect(files.cmyk[0]).toMatchObject({ inputColorspace: 'cmyk', inputIccProfile: null });
+    const converted = await inspect(files.p3[0].buffer);
+    expect(converted).toMatchObject({ space: 'srgb', icc: null });
+    expectRgb(converted.rgb, [255, 0, 0]);
+    expect(await inspect(files.cmyk[0].buffer)).toMatchObject({ space: 'srgb', icc: null });
+  });
+
+  it('converts to Display P3 or keeps the input profile', async () => {
+    const { files } = await runUpload(
+      [memory.fields([{ name: 'p3' }, { name: 'keep' }]), upflyConvert({ fields: { p3: { format: 'png', colorspace: 'p3' }, keep: { format: 'png', colorspace: 'preserve' } } })],
+      [['p3', await red().png().toBuffer(), 'a.png', 'image/png'], ['keep', p3, 'b.jpg', 'image/jpeg']]
+    );
+
+    for (const file of [files.p3[0], files.keep[0]]) {
+      const stored = await inspect(file.buffer);
+      expect(stored.icc).toBe('sP3C');
+      expectRgb(stored.rgb, [234, 51, 35]);
+    }
+  });
+
+  it("tags sRGB output and its variants with metadata: 'keep-icc'", async () => {
+    const { file } = await runUpload(
+      [memory.single('p3'), upflyConvert({ fields: { p3: { format: 'png', colorspace: 'srgb', metadata: 'keep-icc', variants: [{ width: 4 }] } } })],
+      [['p3', p3, 'a.jpg', 'image/jpeg']]
+    );
+
+    expect((await inspect(file.buffer)).icc).toBe('sRGB');
+    expect((await inspect(file.variants[0].buffer)).icc).toBe('sRGB');
+  });
+
+  it('reports the input colorspace in upflyUpload, for converted and kept files', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ fields: { a: { format: 'webp', colorspace: 'p3' }, k: { keepOriginal: true } } }),
+      [['a', cmyk, 'a.jpg', 'image/jpeg'], ['k', p3, 'k.jpg', 'image/jpeg']]
+    );
+
+    expect(files.a[0]).toMatchObject({ inputColorspace: 'cmyk', inputIccProfile: null });
+    expect((await inspect(files.a[0].buffer)).icc).toBe('sP3C');
+    expect(files.k[0]).toMatchObject({ inputColorspace: 'srgb', inputIccProfile: 'sP3C' });
+  });
+
+  it('rejects unknown colorspaces at setup', () => {
+    expect(() => upflyUpload({ fields: { a: { colorspace: 'cmyk' } } }))
+      .toThrow("Field 'a' has invalid colorspace value 'cmyk'. Allowed: 'srgb', 'p3', 'preserve'.");
+  });
+});
@@ -0,0 +1,61 @@
+const multer = require('multer');
+const { upflyUpload, upflyConvert } = require('../src');
+const { createImage, runUpload } = require('./test-utils');
+
+describe('magic-byte content checks', () => {
+  let png;
+  let jpeg;
+  const exe = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(5000, 1)]);
+
+  beforeAll(async () => {
+    png = await createImage({ width: 20, height: 20, format: 'png' });
+    jpeg = await createImage({ width: 20, height: 20, format: 'jpeg' });
+  });
+
+  const summary = (files) => files.map(file => [file.mimetype, file.detectedMimetype, file._metadata?.isSkipped || false]);
+
+  it('skips executables declared as images and relabels mislabelled images', async () => {
+    const { status, files, rejected } = await runUpload(
+      upflyUpload({ fields: { img: {} } }),
+      [['img', exe, 'evil.png', 'image/png'], ['img', jpeg, 'photo.png', 'image/png'], ['img', png, 'ok.png', 'image/png']]
+    );
+
+    expect(status).toBe(200);
+    expect(summary(files.img)).toEqual([
+      ['image/png', 'application/x-msdownload', true],
+      ['image/webp', 'image/jpeg', false],
+      ['image/webp', 'image/png', false]
+    ]);
+    expect(files.img[0].buffer).toBeUndefined();
+    expect(rejected).toEqual([expect.objectContaining({ originalname: 'evil.png', code: 'CONTENT_MISMATCH' })]);
+  });
+
+  it('skips images without their signature', async () => {
+    const { files } = await runUpload(upflyUpload({ fields: { img: {} } }), [['img', Buffer.from('garbage'), 'a.jpg', 'image/jpeg']]);
+
+    expect(files.img[0]._metadata.errors.mimetype).toMatch(/no image\/jpeg signature/);
+  });
+
+  it('skips any mismatch with mimeMismatch: reject', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ fields: { img: { mimeMismatch: 'reject' } } }),
+      [['img', jpeg, 'photo.png', 'image/png'], ['img', png, 'ok.png', 'image/png']]
+    );
+
+    expect(summary(files.img)).toEqual([['image/png', 'image/jpeg', true], ['image/webp', 'image/png', false]]);
+  });
+
+  it('checks buffered files in upflyConvert', async () => {
+    const memory = multer({ storage: multer.memoryStorage() });
+    const { files } = await runUpload(
+      [memory.fields([{ name: 'img' }]), upflyConvert({ fields: { img: {} } })],
+      [['img', exe, 'evil.png', 'image/png'], ['img', jpeg, 'photo.png', 'image/png']]
+    );
+
+    expect(summary(files.img)).toEqual([['image/png', 'application/x-msdownload', true], ['image/webp', 'image/jpeg', false]]);
+  });
+
+  it('rejects an unknown mimeMismatch policy at setup', () => {
+    expect(() => upflyUpload({ fields: { img: { mimeMismatch: 'trust' } } })).toThrow(RangeError);
+  });
+});
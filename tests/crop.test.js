@@ -0,0 +1,91 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const { upflyUpload, upflyConvert } = require('../src');
+const { runUpload } = require('./test-utils');
+
+describe('aspect / crop / cropField options', () => {
+  const memory = multer({ storage: multer.memoryStorage() }).fields([{ name: 'f' }]);
+  let raw;
+  let photo;
+
+  beforeAll(async () => {
+    // 800x400: left half red, right half blue
+    raw = Buffer.alloc(800 * 400 * 3);
+    for (let y = 0; y < 400; y++) {
+      for (let x = 0; x < 800; x++) raw[(y * 800 + x) * 3 + (x < 400 ? 0 : 2)] = 255;
+    }
+    photo = await sharp(raw, { raw: { width: 800, height: 400, channels: 3 } }).png().toBuffer();
+  });
+
+  // Runs the same config through both middlewares, text fields first
+  const runBoth = async (config, textFields = []) => {
+    const parts = [...textFields, ['f', photo, 'a.png', 'image/png']];
+    const uploaded = await runUpload(upflyUpload({ fields: { f: config } }), parts);
+    const converted = await runUpload([memory, upflyConvert({ fields: { f: config } })], parts);
+    return [uploaded, converted];
+  };
+  const size = ({ files }) => [files.f[0].width, files.f[0].height];
+  const firstPixel = async (buffer) => Array.from((await sharp(buffer).raw().toBuffer()).subarray(0, 3));
+
+  it.each([
+    [{ aspect: '1:1' }, [400, 400]],
+    [{ aspect: '3:1', crop: 'attention' }, [800, 267]],
+    [{ aspect: 3, crop: 'entropy', resize: { height: 100 } }, [300, 100]],
+    [{ aspect: '1:1', resize: { width: 2000, withoutEnlargement: true } }, [400, 400]]
+  ])('crops to the aspect ratio (%j)', async (config, expected) => {
+    for (const result of await runBoth(config)) expect(size(result)).toEqual(expected);
+  });
+
+  it('crops variants to the same aspect unless they set both sides', async () => {
+    for (const { files } of await runBoth({ aspect: '1:1', resize: { width: 200 }, variants: [{ width: 64 }, { height: 50 }, { width: 100, height: 40 }] })) {
+      expect(files.f[0].variants.map(({ width, height }) => [width, height])).toEqual([[64, 64], [50, 50], [100, 40]]);
+    }
+  });
+
+  it('applies the client crop box, then the aspect ratio', async () => {
+    const [uploaded, converted] = await runBoth({ cropField: 'f_crop', format: 'png' }, [['f_crop', '{"x":700,"y":0,"w":100,"h":100.4}']]);
+    expect(size(uploaded)).toEqual([100, 100]);
+    expect(await firstPixel(uploaded.files.f[0].buffer)).toEqual([0, 0, 255]);
+    expect(size(converted)).toEqual([100, 100]);
+
+    for (const result of await runBoth({ cropField: 'f_crop', aspect: '2:1' }, [['f_crop', '{"x":0,"y":0,"w":300,"h":300}']])) {
+      expect(size(result)).toEqual([300, 150]);
+    }
+  });
+
+  it('reads the crop box in upright coordinates', async () => {
+    const rotated = await sharp(raw, { raw: { width: 800, height: 400, channels: 3 } }).withMetadata({ orientation: 6 }).jpeg().toBuffer();
+    const { files } = await runUpload(
+      upflyUpload({ fields: { f: { cropField: 'f_crop', format: 'png' } } }),
+      [['f_crop', '{"x":0,"y":750,"w":50,"h":50}'], ['f', rotated, 'r.jpg', 'image/jpeg']]
+    );
+
+    // Upright, the picture is 400x800 with the blue half at the bottom
+    expect(size({ files })).toEqual([50, 50]);
+    const [r, g, b] = await firstPixel(files.f[0].buffer);
+    expect([r < 5, g < 5, b > 250]).toEqual([true, true, true]);
+  });
+
+  it.each([
+    ['nope', "Crop box 'f_crop' must be JSON like"],
+    ['{"x":700,"y":0,"w":200,"h":100}', 'Crop box 200x100 at 700,0 exceeds the 800x400 image']
+  ])('skips the file for a crop box of %s', async (box, reason) => {
+    for (const { files, rejected } of await runBoth({ cropField: 'f_crop' }, [['f_crop', box]])) {
+      expect(files.f[0]._metadata).toMatchObject({ isSkipped: true });
+      expect(files.f[0]._metadata.errors.crop).toContain(reason);
+      expect(rejected.map(entry => entry.code)).toEqual(['INVALID_CROP']);
+    }
+  });
+
+  it('rejects invalid setups', () => {
+    const setup = (config) => () => upflyUpload({ fields: { x: config } });
+
+    expect(setup({ aspect: '0:1' })).toThrow(RangeError);
+    expect(setup({ aspect: 'wide' })).toThrow(RangeError);
+    expect(setup({ crop: 'attention' })).toThrow('crop picks the area kept by aspect, set aspect too');
+    expect(setup({ aspect: '1:1', crop: 'top' })).toThrow(RangeError);
+    expect(setup({ aspect: '1:1', resize: { width: 1, height: 1 } })).toThrow(TypeError);
+    expect(setup({ aspect: '1:1', resize: { width: 1, fit: 'contain' } })).toThrow(RangeError);
+    expect(setup({ cropField: '' })).toThrow(TypeError);
+  });
+});
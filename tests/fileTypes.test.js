@@ -0,0 +1,75 @@
+const multer = require('multer');
+const { upflyUpload, upflyConvert } = require('../src');
+const { createImage, runUpload } = require('./test-utils');
+
+describe('allowedTypes / deniedTypes / allowedExtensions', () => {
+  const memory = multer({ storage: multer.memoryStorage() });
+  const pdf = Buffer.from('%PDF-1.4 document');
+  const zip = Buffer.from('PK\x03\x04archive', 'latin1');
+  const fields = {
+    img: { allowedTypes: ['image/*'], allowedExtensions: ['.png', 'JPG'] },
+    doc: { allowedTypes: ['application/pdf'], keepOriginal: true },
+    'x_*': { deniedTypes: ['text/*'] }
+  };
+  let png;
+
+  beforeAll(async () => {
+    png = await createImage({ width: 20, height: 20 });
+  });
+
+  const codes = (rejected) => rejected.map(({ fieldname, originalname, code }) => [fieldname, originalname, code]);
+
+  it('records every rejected file with its reason and keeps the accepted ones', async () => {
+    const { status, files, rejected } = await runUpload(upflyUpload({ fields }), [
+      ['img', png, 'a.png', 'image/png'],
+      ['img', png, 'a.gif', 'image/png'],
+      ['img', pdf, 'b.png', 'application/pdf'],
+      ['doc', pdf, 'a.pdf', 'application/pdf'],
+      ['x_1', Buffer.from('hi'), 'a.txt', 'text/plain'],
+      ['other', png, 'o.png', 'image/png']
+    ]);
+
+    expect(status).toBe(200);
+    expect(files.img.map(file => file.mimetype)).toEqual(['image/webp']);
+    expect(files.doc.map(file => file.mimetype)).toEqual(['application/pdf']);
+    expect(codes(rejected)).toEqual(expect.arrayContaining([
+      ['img', 'a.gif', 'EXTENSION_NOT_ALLOWED'],
+      ['img', 'b.png', 'TYPE_NOT_ALLOWED'],
+      ['x_1', 'a.txt', 'TYPE_DENIED'],
+      ['other', 'o.png', 'UNEXPECTED_FIELD']
+    ]));
+    expect(rejected).toHaveLength(4);
+  });
+
+  it('checks the detected type, not the declared one', async () => {
+    const { files, rejected } = await runUpload(upflyUpload({ fields }), [['doc', zip, 'b.pdf', 'application/pdf']]);
+
+    expect(files.doc[0]._metadata.errors.type).toMatch(/application\/zip is not allowed/);
+    expect(rejected[0]).toMatchObject({ code: 'TYPE_NOT_ALLOWED', detectedMimetype: 'application/zip' });
+  });
+
+  it('applies the same rules in upflyConvert', async () => {
+    const { rejected } = await runUpload(
+      [memory.fields([{ name: 'img' }, { name: 'doc' }]), upflyConvert({ fields })],
+      [['img', png, 'a.gif', 'image/png'], ['doc', zip, 'b.pdf', 'application/pdf'], ['doc', pdf, 'a.pdf', 'application/pdf']]
+    );
+
+    expect(codes(rejected)).toEqual([['img', 'a.gif', 'EXTENSION_NOT_ALLOWED'], ['doc', 'b.pdf', 'TYPE_NOT_ALLOWED']]);
+  });
+
+  it('resolves wildcard field keys in upflyConvert', async () => {
+    const { files, rejected } = await runUpload(
+      [memory.any(), upflyConvert({ fields: { 'x_*': { deniedTypes: ['text/*'], format: 'png' } } })],
+      [['x_1', Buffer.from('hi'), 'a.txt', 'text/plain'], ['x_2', png, 'a.png', 'image/png']]
+    );
+
+    expect(codes(rejected)).toEqual([['x_1', 'a.txt', 'TYPE_DENIED']]);
+    expect(files.map(file => file.mimetype)).toEqual(['text/plain', 'image/png']);
+    expect(files[1].format).toBe('png');
+  });
+
+  it('rejects malformed type patterns at setup', () => {
+    expect(() => upflyUpload({ fields: { a: { allowedTypes: ['image'] } } })).toThrow(/allowedTypes/);
+    expect(() => upflyConvert({ fields: { a: { allowedExtensions: 'png' } } })).toThrow(/allowedExtensions/);
+  });
+});
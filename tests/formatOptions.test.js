@@ -0,0 +1,52 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const { upflyUpload, upflyConvert } = require('../src');
+const { createImage, runUpload } = require('./test-utils');
+
+describe('formatOptions', () => {
+  let image;
+
+  beforeAll(async () => {
+    image = await createImage({ width: 200, height: 100, background: 'teal' });
+  });
+
+  it('passes encoder options to each output format', async () => {
+    const { files } = await runUpload(
+      upflyUpload({
+        fields: {
+          a: { format: 'jpeg', formatOptions: { jpg: { progressive: true, mozjpeg: true } } },
+          b: { format: 'png', formatOptions: { png: { palette: true, compressionLevel: 9 } } },
+          c: { format: 'webp', formatOptions: { webp: { lossless: true } }, variants: [{ width: 50, format: 'avif' }] }
+        }
+      }),
+      [['a', image, 'a.png', 'image/png'], ['b', image, 'b.png', 'image/png'], ['c', image, 'c.png', 'image/png']]
+    );
+
+    expect((await sharp(files.a[0].buffer).metadata()).isProgressive).toBe(true);
+    expect((await sharp(files.b[0].buffer).metadata()).isPalette).toBe(true);
+    // Lossless WebP keeps every pixel of the source
+    const source = await sharp(image).raw().toBuffer();
+    expect((await sharp(files.c[0].buffer).raw().toBuffer()).equals(source)).toBe(true);
+    expect(files.c[0].variants.map(variant => variant.format)).toEqual(['avif']);
+  });
+
+  it('works in upflyConvert', async () => {
+    const { file } = await runUpload(
+      [multer({ storage: multer.memoryStorage() }).single('a'), upflyConvert({ fields: { a: { format: 'jpeg', formatOptions: { jpeg: { progressive: true } } } } })],
+      [['a', image, 'a.png', 'image/png']]
+    );
+
+    expect((await sharp(file.buffer).metadata()).isProgressive).toBe(true);
+  });
+
+  it('rejects invalid options at setup', () => {
+    const setup = (formatOptions) => () => upflyConvert({ fields: { x: { formatOptions } } });
+
+    expect(setup({ avif: { effort: 12 } })).toThrow("Field 'x' formatOptions.avif.effort must be an integer between 0 and 9.");
+    expect(setup({ webp: { lossles: true } })).toThrow(/unknown formatOptions\.webp\.lossles/);
+    expect(setup({ bmp: {} })).toThrow(/invalid formatOptions format 'bmp'/);
+    expect(setup({ png: { palette: 'yes' } })).toThrow(RangeError);
+    expect(setup({ jpeg: { chromaSubsampling: '4:2:2' } })).toThrow(RangeError);
+    expect(setup([])).toThrow(TypeError);
+  });
+});
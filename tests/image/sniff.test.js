@@ -0,0 +1,55 @@
+const { Readable } = require('stream');
+const { detectMimetype, resolveMimetype, peekStream } = require('../../src/image/sniff');
+const { createImage } = require('../test-utils');
+
+describe('detectMimetype', () => {
+  it('recognises image signatures', async () => {
+    for (const format of ['jpeg', 'png', 'webp', 'gif', 'avif', 'tiff']) {
+      const detected = detectMimetype(await createImage({ width: 8, height: 8, format }));
+      expect(detected).toBe(`image/${format}`);
+    }
+  });
+
+  it('recognises SVG after a prolog, comments and a doctype', () => {
+    const svg = '\uFEFF<?xml version="1.0"?><!-- logo --><!DOCTYPE svg><svg xmlns="http://www.w3.org/2000/svg"/>';
+    expect(detectMimetype(Buffer.from(svg))).toBe('image/svg+xml');
+  });
+
+  it('recognises executables and archives', () => {
+    expect(detectMimetype(Buffer.from('MZ\x90\x00', 'latin1'))).toBe('application/x-msdownload');
+    expect(detectMimetype(Buffer.from('\x7fELF', 'latin1'))).toBe('application/x-executable');
+    expect(detectMimetype(Buffer.from('PK\x03\x04', 'latin1'))).toBe('application/zip');
+    expect(detectMimetype(Buffer.from('%PDF-1.7'))).toBe('application/pdf');
+  });
+
+  it('returns null for unknown content', () => {
+    expect(detectMimetype(Buffer.from('plain text'))).toBeNull();
+    expect(detectMimetype(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe('resolveMimetype', () => {
+  it('relabels images declared with the wrong image type', () => {
+    expect(resolveMimetype('image/png', 'image/jpeg')).toEqual({ mimetype: 'image/jpeg', error: null });
+    expect(resolveMimetype('image/jpg', 'image/jpeg')).toEqual({ mimetype: 'image/jpg', error: null });
+  });
+
+  it('rejects non-images declared as images in every mode but ignore', () => {
+    expect(resolveMimetype('image/png', 'application/x-msdownload').error).toMatch(/detected: application\/x-msdownload/);
+    expect(resolveMimetype('image/png', null).error).toMatch(/no image\/png signature/);
+    expect(resolveMimetype('image/png', 'image/jpeg', 'reject').error).toMatch(/detected: image\/jpeg/);
+    expect(resolveMimetype('image/png', 'application/zip', 'ignore')).toEqual({ mimetype: 'image/png', error: null });
+  });
+});
+
+describe('peekStream', () => {
+  it('returns the head and replays the whole content', async () => {
+    const content = Buffer.alloc(10000, 7);
+    const { head, stream } = await peekStream(Readable.from([content.subarray(0, 3000), content.subarray(3000)]), 4000);
+
+    expect(head.length).toBeGreaterThanOrEqual(4000);
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    expect(Buffer.concat(chunks).equals(content)).toBe(true);
+  });
+});
@@ -0,0 +1,74 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const { upflyUpload, upflyConvert } = require('../src');
+const { createImage, runUpload, testOutputDir, cleanupOutputDir } = require('./test-utils');
+
+describe('image details on result files', () => {
+  const outputDir = testOutputDir('image-info');
+  const pick = ({ width, height, format, hasAlpha, orientation, density }) => ({ width, height, format, hasAlpha, orientation, density });
+  let photo;
+  let transparent;
+
+  beforeAll(async () => {
+    // 400x200 shown rotated a quarter turn, with camera, exposure and GPS tags
+    photo = await sharp({ create: { width: 400, height: 200, channels: 3, background: 'red' } })
+      .jpeg()
+      .withMetadata({ orientation: 6, density: 300 })
+      .withExif({
+        IFD0: { Make: 'Cam', Model: 'X1' },
+        IFD2: { ExposureTime: '1/125', FNumber: '28/10' },
+        IFD3: { GPSLatitudeRef: 'S', GPSLatitude: '33/1 52/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '151/1 12/1 36/1' }
+      })
+      .toBuffer();
+    transparent = await createImage({ width: 30, height: 10, channels: 4, background: '#0000' });
+  });
+
+  afterAll(() => cleanupOutputDir('image-info'));
+
+  it('describes the stored output of converted images', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ outputDir, fields: { photo: { format: 'avif', resize: { width: 100 } }, icon: { output: 'disk', format: 'png' } } }),
+      [['photo', photo, 'a.jpg', 'image/jpeg'], ['icon', transparent, 'b.png', 'image/png']]
+    );
+
+    expect(pick(files.photo[0])).toEqual({ width: 100, height: 200, format: 'avif', hasAlpha: false, orientation: 6, density: 300 });
+    expect(pick(files.icon[0])).toMatchObject({ width: 30, height: 10, format: 'png', hasAlpha: true });
+  });
+
+  it('describes kept originals as stored', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ outputDir, fields: { photo: { keepOriginal: true }, icon: { keepOriginal: true, output: 'disk' } } }),
+      [['photo', photo, 'a.jpg', 'image/jpeg'], ['icon', transparent, 'b.png', 'image/png'], ['icon', Buffer.from('hello'), 'c.txt', 'text/plain']]
+    );
+
+    expect(pick(files.photo[0])).toEqual({ width: 400, height: 200, format: 'jpeg', hasAlpha: false, orientation: 6, density: 300 });
+    expect(files.photo[0].exif).toBeUndefined();
+    expect(files.icon[0]).toMatchObject({ width: 30, height: 10, format: 'png' });
+    expect(files.icon[1].width).toBeUndefined();
+  });
+
+  it('parses EXIF on request, with decimal GPS coordinates', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ fields: { photo: { keepOriginal: true, metadata: 'keep', parseExif: true } } }),
+      [['photo', photo, 'a.jpg', 'image/jpeg']]
+    );
+
+    const { exif } = files.photo[0];
+    expect(exif.image).toMatchObject({ Make: 'Cam', Model: 'X1', Orientation: 6, XResolution: 300 });
+    expect(exif.photo).toMatchObject({ ExposureTime: 0.008, FNumber: 2.8 });
+    expect(exif.gps).toMatchObject({ GPSLatitudeRef: 'S', GPSLatitude: [33, 52, 0] });
+    expect(exif.gps.latitude).toBeCloseTo(-33.8667, 4);
+    expect(exif.gps.longitude).toBeCloseTo(151.21, 4);
+  });
+
+  it('describes files in upflyConvert', async () => {
+    const memory = multer({ storage: multer.memoryStorage() });
+    const { file } = await runUpload(
+      [memory.single('photo'), upflyConvert({ fields: { photo: { format: 'webp', parseExif: true } } })],
+      [['photo', photo, 'a.jpg', 'image/jpeg']]
+    );
+
+    expect(pick(file)).toEqual({ width: 200, height: 400, format: 'webp', hasAlpha: false, orientation: 6, density: 300 });
+    expect(file.exif.image.Make).toBe('Cam');
+  });
+});
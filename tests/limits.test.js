@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { upflyUpload } = require('../src');
+const { createImage, runUpload, testOutputDir, cleanupOutputDir } = require('./test-utils');
+
+describe('per-field limits', () => {
+  const outputDir = testOutputDir('limits');
+  const text = (field) => [field, Buffer.from('x'), 'a.txt', 'text/plain'];
+  let noisy;
+  let png;
+
+  beforeAll(async () => {
+    noisy = await createImage({ width: 200, height: 200, channels: 4, noise: true });
+    png = await createImage();
+  });
+
+  afterEach(() => cleanupOutputDir('limits'));
+
+  it('rejects a file over maxSize and leaves nothing in outputDir', async () => {
+    const { status, error } = await runUpload(
+      upflyUpload({ outputDir, fields: { img: { maxSize: '10kb', output: 'disk', keepOriginal: true } } }),
+      [['img', noisy, 'a.png', 'image/png']]
+    );
+
+    expect(status).toBe(400);
+    expect(error).toMatchObject({ name: 'UpflyLimitError', code: 'LIMIT_FILE_SIZE', field: 'img' });
+    // The partial file is removed once its write stream closes, which can trail the error response
+    const dir = path.resolve(outputDir);
+    const listing = () => (fs.existsSync(dir) ? fs.readdirSync(dir) : []);
+    for (let attempt = 0; attempt < 20 && listing().length > 0; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    expect(listing()).toEqual([]);
+  });
+
+  it('leaves the global limit to multer', async () => {
+    const { status, error } = await runUpload(
+      upflyUpload({ limit: 1000, fields: { img: { maxSize: '10kb' } } }),
+      [['img', noisy, 'a.png', 'image/png']]
+    );
+
+    expect(status).toBe(400);
+    expect(error).toMatchObject({ name: 'MulterError', code: 'LIMIT_FILE_SIZE' });
+  });
+
+  it('counts wildcard fields together for maxCount', async () => {
+    const { status, error } = await runUpload(
+      upflyUpload({ fields: { 'g_*': { maxCount: 1 } } }),
+      [text('g_1'), text('g_2')]
+    );
+
+    expect(status).toBe(400);
+    expect(error).toMatchObject({ name: 'UpflyLimitError', code: 'LIMIT_FILE_COUNT', field: 'g_2' });
+  });
+
+  it('only counts accepted files toward maxCount', async () => {
+    const exe = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(64)]);
+    const { status, files, rejected } = await runUpload(
+      upflyUpload({ fields: { img: { maxCount: 1 } } }),
+      [['img', exe, 'a.png', 'image/png'], ['img', png, 'b.png', 'image/png']]
+    );
+
+    expect(status).toBe(200);
+    expect(rejected.map(entry => entry.code)).toEqual(['CONTENT_MISMATCH']);
+    expect(files.img.filter(file => !file._metadata?.isSkipped)).toHaveLength(1);
+  });
+
+  it('fails required fields once the form is parsed', async () => {
+    const middleware = upflyUpload({ fields: { 'g_*': {}, doc: { required: true } } });
+
+    const missing = await runUpload(middleware, [text('g_1')]);
+    expect(missing.status).toBe(400);
+    expect(missing.error).toMatchObject({ code: 'LIMIT_MIN_FILE_COUNT', field: 'doc', message: "Field 'doc' is required" });
+
+    const present = await runUpload(middleware, [text('g_1'), text('doc')]);
+    expect(present.status).toBe(200);
+    expect(Object.keys(present.files)).toEqual(['g_1', 'doc']);
+  });
+
+  it('reports minCount shortfalls with the received count', async () => {
+    const { error } = await runUpload(upflyUpload({ fields: { doc: { minCount: 2 } } }), [text('doc')]);
+
+    expect(error.message).toBe("Field 'doc' requires at least 2 files (received 1)");
+  });
+
+  it('rejects invalid limits at setup', () => {
+    expect(() => upflyUpload({ fields: { a: { maxSize: '5 parsecs' } } })).toThrow(RangeError);
+    expect(() => upflyUpload({ fields: { a: { maxCount: 1.5 } } })).toThrow(RangeError);
+    expect(() => upflyUpload({ fields: { a: { minCount: 3, maxCount: 2 } } })).toThrow(/minCount/);
+    expect(() => upflyUpload({ fields: { a: { required: 'yes' } } })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { upflyUpload } = require('../src');
+const { planOriginalMetadata, rewriteOriginalMetadata } = require('../src/image/metadata');
+const { createImage, runUpload, testOutputDir, cleanupOutputDir } = require('./test-utils');
+
+// Spied on to tell buffered rewrites from streamed originals
+jest.mock('../src/image/metadata', () => {
+  const actual = jest.requireActual('../src/image/metadata');
+  return { ...actual, rewriteOriginalMetadata: jest.fn(actual.rewriteOriginalMetadata) };
+});
+
+describe('metadata option', () => {
+  // Rotated a quarter turn, with a camera make and a GPS position
+  const withExif = (format) => sharp({ create: { width: 40, height: 20, channels: 3, background: 'red' } })
+    .toFormat(format)
+    .withMetadata({ orientation: 6 })
+    .withExifMerge({ IFD0: { Make: 'UpflyCam' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '1/1 2/1 3/1' } })
+    .toBuffer();
+  const readExif = async (buffer) => {
+    const meta = await sharp(buffer).metadata();
+    return { width: meta.width, height: meta.height, orientation: meta.orientation, make: Boolean(meta.exif?.includes('UpflyCam')) };
+  };
+
+  beforeEach(() => rewriteOriginalMetadata.mockClear());
+  afterAll(() => cleanupOutputDir('metadata'));
+
+  it('strips EXIF from converted images and rotates them upright', async () => {
+    const { files } = await runUpload(upflyUpload({ fields: { img: {} } }), [['img', await withExif('jpeg'), 'a.jpg', 'image/jpeg']]);
+
+    const meta = await sharp(files.img[0].buffer).metadata();
+    expect([meta.width, meta.height, meta.exif]).toEqual([20, 40, undefined]);
+  });
+
+  it('cleans kept JPEGs losslessly, keeping only the orientation tag', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ outputDir: testOutputDir('metadata'), fields: { img: { keepOriginal: true, output: 'disk' } } }),
+      [['img', await withExif('jpeg'), 'a.jpg', 'image/jpeg']]
+    );
+
+    const stored = fs.readFileSync(files.img[0].path);
+    expect(rewriteOriginalMetadata).toHaveBeenCalledTimes(1);
+    expect(await readExif(stored)).toEqual({ width: 40, height: 20, orientation: 6, make: false });
+    expect(files.img[0].size).toBe(stored.length);
+  });
+
+  it('cleans kept PNG and WebP files', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ fields: { png: { keepOriginal: true }, webp: { keepOriginal: true } } }),
+      [['png', await withExif('png'), 'a.png', 'image/png'], ['webp', await withExif('webp'), 'a.webp', 'image/webp']]
+    );
+
+    expect((await readExif(files.png[0].buffer)).make).toBe(false);
+    expect((await readExif(files.webp[0].buffer)).make).toBe(false);
+  });
+
+  it('keeps every page of multi-page TIFFs', async () => {
+    const pages = await Promise.all(['red', 'green', 'blue'].map(background => createImage({ width: 30, height: 20, background })));
+    const tiff = await sharp(pages, { join: { animated: true } }).tiff().toBuffer();
+    const rotated = await sharp(tiff, { pages: -1 }).tiff().withMetadata({ orientation: 6 }).toBuffer();
+    const { files } = await runUpload(
+      upflyUpload({ fields: { img: { keepOriginal: true } } }),
+      [['img', tiff, 'a.tif', 'image/tiff'], ['img', rotated, 'b.tif', 'image/tiff']]
+    );
+
+    expect(rewriteOriginalMetadata).toHaveBeenCalledTimes(2);
+    expect(files.img[0]._metadata?.errors?.metadata).toBeUndefined();
+    expect(await sharp(files.img[0].buffer).metadata()).toMatchObject({ pages: 3, width: 30, height: 20 });
+    // Pages cannot be turned upright one by one: stored as uploaded, and reported
+    expect(files.img[1].buffer.equals(rotated)).toBe(true);
+    expect(files.img[1]._metadata.errors.metadata).toBe('metadata cannot be removed from a 3-page image/tiff with an EXIF orientation');
+  });
+
+  it("stores originals untouched with metadata: 'keep'", async () => {
+    const jpeg = await withExif('jpeg');
+    const { files } = await runUpload(upflyUpload({ fields: { img: { keepOriginal: true, metadata: 'keep' } } }), [['img', jpeg, 'a.jpg', 'image/jpeg']]);
+
+    expect(files.img[0].buffer.equals(jpeg)).toBe(true);
+    expect((await readExif(files.img[0].buffer)).make).toBe(true);
+  });
+
+  it('streams originals with nothing to remove, byte for byte', async () => {
+    const jpeg = await createImage({ width: 600, height: 600, format: 'jpeg', noise: true, options: { quality: 100 } });
+    const webp = await createImage({ format: 'webp' });
+    const { files } = await runUpload(
+      upflyUpload({ fields: { jpeg: { keepOriginal: true }, webp: { keepOriginal: true } } }),
+      [['jpeg', jpeg, 'a.jpg', 'image/jpeg'], ['webp', webp, 'a.webp', 'image/webp']]
+    );
+
+    expect(jpeg.length).toBeGreaterThan(256 * 1024);
+    expect(rewriteOriginalMetadata).not.toHaveBeenCalled();
+    expect(files.jpeg[0].buffer.equals(jpeg)).toBe(true);
+    expect(files.jpeg[0]).toMatchObject({ width: 600, height: 600 });
+    expect(files.webp[0].buffer.equals(webp)).toBe(true);
+  });
+
+  it('rejects unknown policies at setup', () => {
+    expect(() => upflyUpload({ fields: { a: { metadata: 'nope' } } })).toThrow();
+    expect(() => upflyUpload({ fields: { a: { metadata: { gps: true } } } })).toThrow();
+  });
+});
+
+describe('planOriginalMetadata', () => {
+  it('keeps files whose header holds nothing the policy removes', async () => {
+    expect(planOriginalMetadata(await createImage({ format: 'jpeg' }), 'image/jpeg', 'strip')).toBe('keep');
+    expect(planOriginalMetadata(await createImage({ format: 'webp' }), 'image/webp', 'strip')).toBe('keep');
+    expect(planOriginalMetadata(Buffer.alloc(10), 'image/bmp', 'strip')).toBe('keep');
+    expect(planOriginalMetadata(Buffer.alloc(10), 'image/heic', 'keep')).toBe('keep');
+  });
+
+  it('rewrites files carrying metadata the policy removes', async () => {
+    const jpeg = await sharp(await createImage({ format: 'jpeg' })).withExif({ IFD0: { Make: 'Cam' } }).toBuffer();
+    const webp = await sharp(await createImage()).webp().withExif({ IFD0: { Make: 'Cam' } }).toBuffer();
+
+    expect(planOriginalMetadata(jpeg, 'image/jpeg', 'strip')).toBe('rewrite');
+    expect(planOriginalMetadata(jpeg, 'image/jpeg', { exif: true })).toBe('keep');
+    expect(planOriginalMetadata(webp, 'image/webp', 'keep-icc')).toBe('rewrite');
+    // PNG and GIF metadata can follow the image data
+    expect(planOriginalMetadata(await createImage(), 'image/png', 'strip')).toBe('rewrite');
+    // The first scan is past the inspected bytes
+    expect(planOriginalMetadata(jpeg.subarray(0, 10), 'image/jpeg', 'strip')).toBe('rewrite');
+  });
+
+  it('reports formats that cannot be cleaned without conversion', () => {
+    expect(planOriginalMetadata(Buffer.alloc(10), 'image/heic', 'strip')).toBe('unsupported');
+  });
+});
@@ -0,0 +1,56 @@
+const multer = require('multer');
+const { upflyUpload, upflyConvert } = require('../src');
+const { createImage, runUpload, testOutputDir, cleanupOutputDir } = require('./test-utils');
+
+describe("format: 'auto' in upflyConvert", () => {
+  const outputDir = testOutputDir('negotiation');
+  const convert = (config) => [multer({ storage: multer.memoryStorage() }).fields([{ name: 'f' }]), upflyConvert({ outputDir, fields: { f: config } })];
+  let image;
+
+  beforeAll(async () => {
+    image = await createImage({ width: 40, height: 30 });
+  });
+
+  afterAll(() => cleanupOutputDir('negotiation'));
+
+  it.each([
+    ['image/avif,image/webp,*/*;q=0.8', 'image/avif'],
+    ['image/webp,*/*', 'image/webp'],
+    ['image/avif;q=0,image/webp', 'image/webp'],
+    ['*/*', 'image/jpeg'],
+    [undefined, 'image/jpeg']
+  ])('picks the output for Accept: %s', async (accept, mimetype) => {
+    const { files, headers } = await runUpload(convert({ format: 'auto' }), [['f', image, 'a.png', 'image/png']], accept ? { accept } : {});
+
+    expect(files.f[0].mimetype).toBe(mimetype);
+    expect(headers.vary).toMatch(/Accept/);
+  });
+
+  it('falls back to the last entry of formatPreference', async () => {
+    const { files } = await runUpload(
+      convert({ format: 'auto', output: 'disk', formatPreference: ['webp', 'png'] }),
+      [['f', image, 'a.png', 'image/png']],
+      { accept: 'text/html' }
+    );
+
+    expect(files.f[0].mimetype).toBe('image/png');
+    expect(files.f[0].filename).toMatch(/\.png$/);
+  });
+
+  it('negotiates formats chosen by rules', async () => {
+    const { files } = await runUpload(
+      convert({ format: 'png', rules: [{ match: { mimetype: 'image/png' }, format: 'auto' }] }),
+      [['f', image, 'a.png', 'image/png']],
+      { accept: 'image/avif' }
+    );
+
+    expect(files.f[0].mimetype).toBe('image/avif');
+  });
+
+  it('rejects invalid setups', () => {
+    expect(() => upflyUpload({ fields: { x: { format: 'auto' } } })).toThrow(/only supported by upflyConvert/);
+    expect(() => upflyUpload({ fields: { x: { rules: [{ format: 'auto' }] } } })).toThrow(/only supported by upflyConvert/);
+    expect(() => upflyConvert({ fields: { x: { format: 'auto', formatPreference: [] } } })).toThrow(TypeError);
+    expect(() => upflyConvert({ fields: { x: { format: 'auto', formatPreference: ['bmp'] } } })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { upflyUpload, upflyConvert } = require('../src');
+const { createImage, runUpload, testOutputDir, cleanupOutputDir } = require('./test-utils');
+
+describe('onlyIfSmaller option', () => {
+  const outputDir = testOutputDir('only-if-smaller');
+  const memory = multer({ storage: multer.memoryStorage() });
+  let tiny;
+  let photo;
+
+  beforeAll(async () => {
+    // Both grow when stored as uncompressed TIFF
+    tiny = await createImage({ width: 8, height: 8, options: { palette: true } });
+    photo = await createImage({ width: 200, height: 200, format: 'jpeg', noise: true, options: { quality: 40 } });
+  });
+
+  afterEach(() => cleanupOutputDir('only-if-smaller'));
+
+  const expectKeptOriginals = (files) => {
+    expect(files.map(({ mimetype, format, size }) => [mimetype, format, size])).toEqual([
+      ['image/png', 'png', tiny.length],
+      ['image/jpeg', 'jpeg', photo.length]
+    ]);
+    files.forEach((file) => {
+      expect(file._metadata).toMatchObject({ isProcessed: true, isSkipped: false, keptOriginalReason: 'larger' });
+      expect(file.convertedSize).toBeGreaterThan(file.size);
+    });
+  };
+  const parts = () => [['f', tiny, 't.png', 'image/png'], ['f', photo, 'j.jpg', 'image/jpeg']];
+
+  it.each([false, true])('keeps the original in memory when the output is larger (safeFile: %s)', async (safeFile) => {
+    const { files } = await runUpload(upflyUpload({ safeFile, fields: { f: { format: 'tiff', onlyIfSmaller: true } } }), parts());
+
+    expectKeptOriginals(files.f);
+    expect(files.f[0].buffer.equals(tiny)).toBe(true);
+  });
+
+  it('writes the original to disk under its own extension, and nothing else', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ outputDir, fields: { f: { format: 'tiff', output: 'disk', onlyIfSmaller: true } } }),
+      parts()
+    );
+
+    expectKeptOriginals(files.f);
+    expect(files.f.map(file => path.extname(file.filename))).toEqual(['.png', '.jpg']);
+    expect(fs.readdirSync(path.resolve(outputDir)).sort()).toEqual(files.f.map(file => file.filename).sort());
+    expect(fs.readFileSync(files.f[1].path).equals(photo)).toBe(true);
+  });
+
+  it('keeps the original in upflyConvert', async () => {
+    const { files } = await runUpload(
+      [memory.fields([{ name: 'f' }]), upflyConvert({ outputDir, fields: { f: { format: 'tiff', output: 'disk', onlyIfSmaller: true } } })],
+      parts()
+    );
+
+    expectKeptOriginals(files.f);
+    expect(fs.readdirSync(path.resolve(outputDir))).toHaveLength(2);
+  });
+
+  it('stores the converted output when it is smaller', async () => {
+    const large = await createImage({ width: 300, height: 300, options: { compressionLevel: 0 } });
+    const { files } = await runUpload(upflyUpload({ fields: { f: { format: 'webp', onlyIfSmaller: true } } }), [['f', large, 'b.png', 'image/png']]);
+
+    expect(files.f[0]).toMatchObject({ mimetype: 'image/webp', originalSize: large.length });
+    expect(files.f[0]._metadata).toBeUndefined();
+  });
+
+  it('rejects a non-boolean value at setup', () => {
+    expect(() => upflyUpload({ fields: { x: { onlyIfSmaller: 'yes' } } })).toThrow("Field 'x' onlyIfSmaller must be a boolean.");
+  });
+
+  it.each(['memory', 'disk', 'cloud'])('removes the temp backup of a large upload that fails to convert (%s)', async (output) => {
+    const backupDir = path.join(os.tmpdir(), 'upfly-backupDir');
+    const backups = () => (fs.existsSync(backupDir) ? fs.readdirSync(backupDir) : []);
+    const before = backups();
+    // Past the in-memory backup limit (7 MB), with a PNG signature and no image data
+    const corrupt = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(9 * 1024 * 1024, 1)]);
+    const destination = output === 'cloud'
+      ? { output: 'memory', cloudStorage: true, cloudProvider: 'local', cloudConfig: { directory: path.resolve(outputDir), baseUrl: 'https://cdn.example.com' } }
+      : { output };
+
+    const { files } = await runUpload(
+      upflyUpload({ outputDir, fields: { f: { format: 'webp', onlyIfSmaller: true, ...destination } } }),
+      [['f', corrupt, 'broken.png', 'image/png']]
+    );
+
+    expect(files.f[0]._metadata).toMatchObject({ isSkipped: true, isBackupFallback: false });
+    expect(backups().filter(name => !before.includes(name))).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const multer = require('multer');
+const sharp = require('sharp');
+const { upflyUpload, upflyConvert } = require('../src');
+const { createImage, runUpload, testOutputDir, cleanupOutputDir } = require('./test-utils');
+
+describe('pages option', () => {
+  const outputDir = testOutputDir('pages');
+  const pdf = Buffer.from('%PDF-1.4\n1 0 obj<<>>endobj\ntrailer<<>>\n%%EOF\n');
+  const colors = ['#f00', '#0f0', '#00f'];
+  let tiff;
+
+  beforeAll(async () => {
+    // Three 300x200 pages: red, green, blue
+    const pages = await Promise.all(colors.map(background => createImage({ width: 300, height: 200, background })));
+    tiff = await sharp(pages, { join: { animated: true } }).tiff().toBuffer();
+  });
+
+  afterAll(() => cleanupOutputDir('pages'));
+
+  const meanColor = async (input) => (await sharp(input).stats()).channels.slice(0, 3).map(channel => Math.round(channel.mean / 255));
+
+  it('renders every page with the field settings', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ fields: { scans: { format: 'jpeg', resize: { width: 150 }, pages: 'all' } } }),
+      [['scans', tiff, 'invoice.tif', 'image/tiff']]
+    );
+    const [file] = files.scans;
+    const base = file.originalname.replace(/\.tif$/, '');
+
+    expect([file.width, file.height, file.format]).toEqual([150, 100, 'jpeg']);
+    expect(file.pages.map(({ page, width, height, format, filename }) => [page, width, height, format, filename])).toEqual([
+      [0, 150, 100, 'jpeg', `${base}-p0.jpeg`],
+      [1, 150, 100, 'jpeg', `${base}-p1.jpeg`],
+      [2, 150, 100, 'jpeg', `${base}-p2.jpeg`]
+    ]);
+    expect(await Promise.all(file.pages.map(page => meanColor(page.buffer)))).toEqual([[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+  });
+
+  it('writes selected pages to disk and reports missing ones', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ outputDir, fields: { scans: { output: 'disk', pages: [2, 5] } } }),
+      [['scans', tiff, 'invoice.tif', 'image/tiff']]
+    );
+    const [stored, missing] = files.scans[0].pages;
+
+    expect(stored).toMatchObject({ page: 2, width: 300, height: 200, format: 'webp' });
+    expect(await meanColor(fs.readFileSync(stored.path))).toEqual([0, 0, 1]);
+    expect(missing).toMatchObject({ page: 5, error: 'Page 5 does not exist (3 pages)' });
+    expect(missing.path).toBeUndefined();
+  });
+
+  it("stores the first page only with pages: 'first'", async () => {
+    const { files } = await runUpload(upflyUpload({ fields: { scans: { pages: 'first' } } }), [['scans', tiff, 'invoice.tif', 'image/tiff']]);
+
+    expect(files.scans[0].pages).toBeUndefined();
+    expect(files.scans[0]).toMatchObject({ format: 'webp', width: 300, height: 200 });
+  });
+
+  it('renders pages in upflyConvert', async () => {
+    const { files } = await runUpload(
+      [multer({ storage: multer.memoryStorage() }).fields([{ name: 'scans' }]), upflyConvert({ fields: { scans: { format: 'png', pages: [1] } } })],
+      [['scans', tiff, 'invoice.tif', 'image/tiff']]
+    );
+
+    expect(files.scans[0].pages.map(({ page, filename }) => [page, filename])).toEqual([[1, 'invoice-p1.png']]);
+    expect(await meanColor(files.scans[0].pages[0].buffer)).toEqual([0, 1, 0]);
+  });
+
+  it('stores a PDF as sent when its pages cannot be rendered', async () => {
+    const { files } = await runUpload(upflyUpload({ fields: { docs: { pages: 'first' } } }), [['docs', pdf, 'c.pdf', 'application/pdf']]);
+    const [file] = files.docs;
+
+    expect([file.mimetype, file.size]).toEqual(['application/pdf', pdf.length]);
+    // Rendered, or listed as missing when libvips is built without poppler / pdfium
+    const reason = file._metadata?.errors?.pages || '';
+    expect(file.pages.length > 0 || reason.includes('PDF support')).toBe(true);
+  });
+
+  it('rejects invalid selections at setup', () => {
+    for (const pages of ['some', [], [-1], [1, 1], 3]) {
+      expect(() => upflyUpload({ fields: { a: { pages } } })).toThrow();
+    }
+  });
+});
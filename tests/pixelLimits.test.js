@@ -0,0 +1,81 @@
+const sharp = require('sharp');
+const multer = require('multer');
+const { upflyUpload, upflyConvert } = require('../src');
+const { readImageDimensions } = require('../src/image/dimensions');
+const { createImage, runUpload, testOutputDir, cleanupOutputDir } = require('./test-utils');
+
+describe('dimension limits', () => {
+  const outputDir = testOutputDir('pixel-limits');
+  const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="3000" height="2000"><rect width="3000" height="2000" fill="red"/></svg>');
+  let big;
+  let small;
+
+  beforeAll(async () => {
+    big = await createImage({ width: 3000, height: 2000, background: '#fff', options: { compressionLevel: 9 } });
+    small = await createImage({ width: 300, height: 200, background: '#fff' });
+  });
+
+  afterAll(() => cleanupOutputDir('pixel-limits'));
+
+  it('skips images over the limits from their header, without the safeFile backup', async () => {
+    const { status, files, rejected } = await runUpload(
+      upflyUpload({ safeFile: true, outputDir, fields: { a: { maxPixels: 1000000, output: 'disk' }, b: { maxWidth: 2500, keepOriginal: true } } }),
+      [['a', big, 'big.png', 'image/png'], ['a', small, 'small.png', 'image/png'], ['b', big, 'wide.png', 'image/png']]
+    );
+
+    expect(status).toBe(200);
+    expect(rejected.map(({ originalname, code, reason }) => [originalname, code, reason])).toEqual([
+      ['big.png', 'DIMENSIONS_EXCEEDED', 'Image of 3000x2000 (6000000 pixels) exceeds maxPixels 1000000'],
+      ['wide.png', 'DIMENSIONS_EXCEEDED', 'Image width 3000px exceeds maxWidth 2500px']
+    ]);
+    expect(files.a[0]._metadata).toMatchObject({ isSkipped: true, isBackupFallback: false });
+    expect(files.a[0].path).toBeUndefined();
+    expect(files.a[1]).toMatchObject({ width: 300, mimetype: 'image/webp' });
+    expect(files.b[0]._metadata.errors.limits).toBe('Image width 3000px exceeds maxWidth 2500px');
+  });
+
+  it('stops SVGs at the decoder and lists them as rejected', async () => {
+    const { files, rejected } = await runUpload(
+      upflyUpload({ safeFile: true, fields: { c: { maxPixels: 1000000 } } }),
+      [['c', svg, 'x.svg', 'image/svg+xml']]
+    );
+
+    expect(files.c[0]._metadata).toMatchObject({ isSkipped: true, isBackupFallback: false });
+    expect(files.c[0].buffer).toBeUndefined();
+    expect(rejected.map(entry => entry.code)).toEqual(['DIMENSIONS_EXCEEDED']);
+  });
+
+  it('applies the same limits in upflyConvert', async () => {
+    const memory = multer({ storage: multer.memoryStorage() });
+    const { files, rejected } = await runUpload(
+      [memory.fields([{ name: 'a' }, { name: 'c' }]), upflyConvert({ safeFile: true, fields: { a: { maxHeight: 1000 }, c: { maxPixels: 1000000 } } })],
+      [['a', big, 'big.png', 'image/png'], ['a', small, 'small.png', 'image/png'], ['c', svg, 'x.svg', 'image/svg+xml']]
+    );
+
+    expect(files.a[0]._metadata.errors.limits).toBe('Image height 2000px exceeds maxHeight 1000px');
+    expect(files.a[1].mimetype).toBe('image/webp');
+    expect(files.c[0]._metadata.isSkipped).toBe(true);
+    expect(rejected.map(entry => [entry.fieldname, entry.code])).toEqual([['a', 'DIMENSIONS_EXCEEDED'], ['c', 'DIMENSIONS_EXCEEDED']]);
+  });
+
+  it('rejects invalid limits at setup', () => {
+    expect(() => upflyUpload({ fields: { a: { maxPixels: 0 } } })).toThrow("Field 'a' maxPixels must be a positive integer.");
+  });
+});
+
+describe('readImageDimensions', () => {
+  it('reads dimensions from the header of each format', async () => {
+    const image = sharp({ create: { width: 300, height: 200, channels: 3, background: '#fff' } });
+    for (const format of ['png', 'jpeg', 'webp', 'gif', 'tiff', 'avif']) {
+      const buffer = await image.clone().toFormat(format).toBuffer();
+      expect([format, readImageDimensions(buffer, `image/${format}`)]).toEqual([format, { width: 300, height: 200 }]);
+    }
+  });
+
+  it('returns null when the dimensions are not in the bytes given', async () => {
+    const jpeg = await sharp({ create: { width: 300, height: 200, channels: 3, background: '#fff' } })
+      .jpeg().withExif({ IFD0: { ImageDescription: 'x'.repeat(20000) } }).toBuffer();
+
+    expect(readImageDimensions(jpeg.subarray(0, 4100), 'image/jpeg')).toBeNull();
+  });
+});
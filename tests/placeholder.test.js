@@ -0,0 +1,66 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const { upflyUpload, upflyConvert } = require('../src');
+const { createImage, runUpload, testOutputDir, cleanupOutputDir } = require('./test-utils');
+
+describe('placeholder option', () => {
+  const memory = multer({ storage: multer.memoryStorage() }).fields([{ name: 'f' }]);
+  const all = ['blurhash', 'lqip', 'dominantColor'];
+  let photo;
+
+  beforeAll(async () => {
+    photo = await createImage({ width: 800, height: 400, format: 'jpeg', background: '#f00' });
+  });
+
+  afterAll(() => cleanupOutputDir('placeholder'));
+
+  const runBoth = async (config, image = photo) => [
+    await runUpload(upflyUpload({ fields: { f: config } }), [['f', image, 'a.jpg', 'image/jpeg']]),
+    await runUpload([memory, upflyConvert({ fields: { f: config } })], [['f', image, 'a.jpg', 'image/jpeg']])
+  ];
+
+  it('computes every requested placeholder', async () => {
+    for (const { files } of await runBoth({ placeholder: all })) {
+      const { blurhash, lqip, dominantColor } = files.f[0].placeholder;
+
+      // 4x3 components
+      expect(blurhash).toMatch(/^[0-9A-Za-z#$%*+,\-.:;=?@[\]^_{|}~]{28}$/);
+      expect(dominantColor).toMatch(/^#f[ef]0000$/);
+      expect(lqip).toMatch(/^data:image\/webp;base64,/);
+      const preview = await sharp(Buffer.from(lqip.split(',')[1], 'base64')).metadata();
+      expect(preview.width).toBeLessThanOrEqual(32);
+      expect(preview.width / preview.height).toBeCloseTo(2, 0);
+    }
+  });
+
+  it('only computes the placeholders asked for', async () => {
+    for (const { files } of await runBoth({ placeholder: 'blurhash', variants: [{ width: 100 }] })) {
+      expect(Object.keys(files.f[0].placeholder)).toEqual(['blurhash']);
+      expect(files.f[0].variants).toHaveLength(1);
+    }
+  });
+
+  it('describes the stored image, kept originals and disk output included', async () => {
+    const split = await createImage({ width: 800, height: 400, format: 'jpeg', background: '#00f' });
+    const mostlyRed = await sharp(split).composite([{ input: await createImage({ width: 600, height: 400, background: '#f00' }), left: 0, top: 0 }]).jpeg().toBuffer();
+
+    // The centre square is all red, the blue strip is cropped away
+    for (const { files } of await runBoth({ placeholder: 'dominantColor', aspect: '1:1', resize: { width: 100 } }, mostlyRed)) {
+      expect(files.f[0].placeholder.dominantColor).toMatch(/^#f[ef]0000$/);
+    }
+    for (const { files } of await runBoth({ placeholder: 'dominantColor', keepOriginal: true })) {
+      expect(files.f[0].placeholder.dominantColor).toMatch(/^#f[ef]0000$/);
+    }
+    const { files } = await runUpload(
+      upflyUpload({ outputDir: testOutputDir('placeholder'), fields: { f: { placeholder: 'dominantColor', output: 'disk' } } }),
+      [['f', photo, 'a.jpg', 'image/jpeg']]
+    );
+    expect(files.f[0].placeholder.dominantColor).toMatch(/^#f[ef]0000$/);
+  });
+
+  it('rejects unknown placeholders at setup', () => {
+    for (const placeholder of ['thumb', [], ['lqip', 5]]) {
+      expect(() => upflyUpload({ fields: { x: { placeholder } } })).toThrow(RangeError);
+    }
+  });
+});
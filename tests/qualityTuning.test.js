@@ -0,0 +1,72 @@
+const fs = require('fs');
+const multer = require('multer');
+const sharp = require('sharp');
+const { upflyUpload, upflyConvert } = require('../src');
+const { computeSsim } = require('../src/image/ssim');
+const { runUpload, testOutputDir, cleanupOutputDir } = require('./test-utils');
+
+describe('targetSize / targetQuality', () => {
+  const outputDir = testOutputDir('quality-tuning');
+  const memory = multer({ storage: multer.memoryStorage() });
+  let source;
+
+  beforeAll(async () => {
+    // Blurred noise: compresses, but every quality step changes the size
+    source = await sharp({ create: { width: 400, height: 300, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 60 } } })
+      .blur(1.2).png().toBuffer();
+  });
+
+  afterAll(() => cleanupOutputDir('quality-tuning'));
+
+  const luminance = (buffer) => sharp(buffer).removeAlpha().greyscale().raw().toBuffer({ resolveWithObject: true });
+
+  it('picks a quality whose output fits targetSize', async () => {
+    const { files } = await runUpload(upflyUpload({ fields: { f: { targetSize: '20kb' } } }), [['f', source, 'a.png', 'image/png']]);
+    const [file] = files.f;
+
+    expect(file.size).toBeLessThanOrEqual(20 * 1024);
+    expect(file.quality).toBeGreaterThan(1);
+    expect(file.quality).toBeLessThan(100);
+  });
+
+  it('falls back to the smallest output when targetSize cannot be met', async () => {
+    const { files } = await runUpload(upflyUpload({ fields: { f: { targetSize: 100 } } }), [['f', source, 'a.png', 'image/png']]);
+
+    expect(files.f[0].quality).toBe(1);
+    expect(files.f[0].size).toBeGreaterThan(100);
+  });
+
+  it('reaches the SSIM floor of targetQuality', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ outputDir, fields: { f: { format: 'jpeg', output: 'disk', targetQuality: { metric: 'ssim', min: 0.95 } } } }),
+      [['f', source, 'a.png', 'image/png']]
+    );
+    const [file] = files.f;
+
+    const reference = await luminance(source);
+    const stored = await luminance(fs.readFileSync(file.path));
+    expect(computeSsim(reference.data, stored.data, 400, 300)).toBeGreaterThanOrEqual(0.95);
+    expect(file.quality).toBeLessThan(100);
+  });
+
+  it('tunes the quality in upflyConvert', async () => {
+    const { file } = await runUpload(
+      [memory.single('f'), upflyConvert({ fields: { f: { targetSize: '20kb' } } })],
+      [['f', source, 'a.png', 'image/png']]
+    );
+
+    expect(file.size).toBeLessThanOrEqual(20 * 1024);
+    expect(file.quality).toBeGreaterThan(1);
+  });
+
+  it('rejects invalid targets at setup', () => {
+    const setup = (config) => () => upflyUpload({ fields: { x: config } });
+
+    expect(setup({ targetSize: 'x' })).toThrow(RangeError);
+    expect(setup({ targetQuality: 0.9 })).toThrow(TypeError);
+    expect(setup({ targetQuality: { metric: 'psnr', min: 1 } })).toThrow(RangeError);
+    expect(setup({ targetQuality: { metric: 'ssim', min: 2 } })).toThrow(RangeError);
+    expect(setup({ targetSize: 1, targetQuality: { metric: 'ssim', min: 0.9 } })).toThrow();
+    expect(setup({ targetSize: 1, format: 'png' })).toThrow();
+  });
+});
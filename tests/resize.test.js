@@ -0,0 +1,62 @@
+const fs = require('fs');
+const multer = require('multer');
+const sharp = require('sharp');
+const { upflyUpload, upflyConvert } = require('../src');
+const { createImage, runUpload, testOutputDir, cleanupOutputDir } = require('./test-utils');
+
+describe('resize option', () => {
+  let large;
+
+  beforeAll(async () => {
+    large = await createImage({ width: 1200, height: 800, format: 'jpeg' });
+  });
+
+  afterAll(() => cleanupOutputDir('resize'));
+
+  it('resizes streamed uploads in memory, keeping the aspect ratio', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ fields: { img: { resize: { width: 300 } } } }),
+      [['img', large, 'a.jpg', 'image/jpeg']]
+    );
+
+    const meta = await sharp(files.img[0].buffer).metadata();
+    expect([meta.width, meta.height]).toEqual([300, 200]);
+  });
+
+  it('resizes uploads written to disk', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ outputDir: testOutputDir('resize'), fields: { img: { output: 'disk', resize: { height: 100 } } } }),
+      [['img', large, 'a.jpg', 'image/jpeg']]
+    );
+
+    const meta = await sharp(fs.readFileSync(files.img[0].path)).metadata();
+    expect([meta.width, meta.height]).toEqual([150, 100]);
+  });
+
+  it('fits both dimensions in upflyConvert', async () => {
+    const memory = multer({ storage: multer.memoryStorage() });
+    const { file } = await runUpload(
+      [memory.single('img'), upflyConvert({ fields: { img: { format: 'png', resize: { width: 100, height: 100, fit: 'contain' } } } })],
+      [['img', large, 'a.jpg', 'image/jpeg']]
+    );
+
+    const meta = await sharp(file.buffer).metadata();
+    expect([meta.format, meta.width, meta.height]).toEqual(['png', 100, 100]);
+  });
+
+  it('enlarges small images unless withoutEnlargement is set', async () => {
+    const small = await createImage({ width: 50, height: 50 });
+    const run = (resize) => runUpload(upflyUpload({ fields: { img: { resize } } }), [['img', small, 'a.png', 'image/png']]);
+
+    const enlarged = await sharp((await run({ width: 200 })).files.img[0].buffer).metadata();
+    const kept = await sharp((await run({ width: 200, withoutEnlargement: true })).files.img[0].buffer).metadata();
+    expect(enlarged.width).toBe(200);
+    expect(kept.width).toBe(50);
+  });
+
+  it('rejects invalid resize options at setup', () => {
+    expect(() => upflyUpload({ fields: { a: { resize: { width: 10, fit: 'stretch' } } } })).toThrow(RangeError);
+    expect(() => upflyConvert({ fields: { a: { resize: {} } } })).toThrow(TypeError);
+    expect(() => upflyUpload({ fields: { a: { resize: { width: -5 } } } })).toThrow(/width/);
+  });
+});
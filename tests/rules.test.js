@@ -0,0 +1,58 @@
+const multer = require('multer');
+const { upflyUpload, upflyConvert } = require('../src');
+const { createImage, runUpload } = require('./test-utils');
+
+describe('conversion rules', () => {
+  const rules = [
+    { match: { maxSize: '2kb' }, keepOriginal: true },
+    { match: { mimetype: 'image/png', hasAlpha: true }, format: 'png', formatOptions: { png: { palette: true } } },
+    { match: { mimetype: ['image/jpeg', 'image/png'], minSize: '20kb' }, format: 'webp', quality: 60 }
+  ];
+  let parts;
+
+  beforeAll(async () => {
+    const alpha = await createImage({ width: 100, height: 100, channels: 4, noise: true });
+    const opaque = await createImage({ width: 100, height: 100, noise: true });
+    const jpeg = await createImage({ width: 100, height: 100, format: 'jpeg', noise: true });
+    const tiny = await createImage({ width: 10, height: 10, format: 'gif' });
+    expect([alpha.length > 20480, opaque.length > 20480, jpeg.length > 2048 && jpeg.length < 20480, tiny.length < 2048])
+      .toEqual([true, true, true, true]);
+
+    parts = [['f', alpha, 'a.png', 'image/png'], ['f', opaque, 'o.png', 'image/png'], ['f', jpeg, 'j.jpg', 'image/jpeg'], ['f', tiny, 't.gif', 'image/gif']];
+  });
+
+  const expectRuleOutputs = (files) => {
+    expect(files.map(file => file.mimetype)).toEqual([
+      'image/png',   // transparent PNG: second rule
+      'image/webp',  // large opaque PNG: third rule
+      'image/avif',  // no rule matches: field format
+      'image/gif'    // under 2kb: kept
+    ]);
+  };
+
+  it('applies the first matching rule in upflyUpload', async () => {
+    const { files } = await runUpload(upflyUpload({ fields: { f: { format: 'avif', rules } } }), parts);
+
+    expectRuleOutputs(files.f);
+  });
+
+  it('applies the first matching rule in upflyConvert', async () => {
+    const { files } = await runUpload(
+      [multer({ storage: multer.memoryStorage() }).fields([{ name: 'f' }]), upflyConvert({ fields: { f: { format: 'avif', rules } } })],
+      parts
+    );
+
+    expectRuleOutputs(files.f);
+  });
+
+  it('rejects invalid rules at setup', () => {
+    const setup = (fieldRules) => () => upflyUpload({ fields: { x: { rules: fieldRules } } });
+
+    expect(setup([])).toThrow("Field 'x' rules must be a non-empty array.");
+    expect(setup([{ match: { size: 1 } }])).toThrow(/unknown rules\[0\]\.match\.size/);
+    expect(setup([{ match: { maxSize: 'big' } }])).toThrow(RangeError);
+    expect(setup([{ quality: 0 }])).toThrow(/quality must be a number between 1 and 100/);
+    expect(setup([{ foo: 1 }])).toThrow(/unknown rules\[0\]\.foo/);
+    expect(setup([{ match: { mimetype: 'png' } }])).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const multer = require('multer');
+const { upflyUpload, upflyConvert } = require('../src');
+const { sanitizeSvg } = require('../src/image/svg');
+const { runUpload, testOutputDir, cleanupOutputDir } = require('./test-utils');
+
+describe('SVG handling', () => {
+  const outputDir = testOutputDir('svg');
+  const evil = Buffer.from(`<?xml version="1.0"?>
+<!DOCTYPE svg [<!ENTITY x "y">]>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="40" height="20" onload="alert(1)">
+  <metadata>author</metadata>
+  <script>if (a < b) alert(1)</script>
+  <style>@import url(http://evil/a.css);</style>
+  <defs><linearGradient id="g"><stop offset="0" stop-color="red"/></linearGradient></defs>
+  <foreignObject><div xmlns="http://www.w3.org/1999/xhtml"><iframe src="x"></iframe></div></foreignObject>
+  <a xlink:href="javascript:alert(1)"><rect width="10" height="10" fill="url(#g)" ONCLICK="x"/></a>
+  <a href="&#106;avascript&colon;alert(1)"><text>t</text></a>
+  <use href="#g"/><use href="http://evil/s.svg#a"/>
+  <image href="data:image/png;base64,AAAA" width="1" height="1"/>
+  <set attributeName="href" to="javascript:alert(1)"/>
+  <rect width="40" height="20" fill="blue"/>
+</svg>`);
+  const malformed = Buffer.from('<svg><rect width=1/></svg>');
+  const unsafe = /script|onload|onclick|foreignobject|iframe|javascript|evil|<set|DOCTYPE/i;
+
+  afterAll(() => cleanupOutputDir('svg'));
+
+  it('sanitizes SVGs stored as originals', async () => {
+    const { files, rejected } = await runUpload(
+      upflyUpload({ outputDir, fields: { icons: { keepOriginal: true, output: 'disk' } } }),
+      [['icons', evil, 'a.svg', 'image/svg+xml'], ['icons', malformed, 'b.svg', 'image/svg+xml']]
+    );
+
+    const stored = fs.readFileSync(files.icons[0].path, 'utf8');
+    expect(stored).not.toMatch(unsafe);
+    expect(stored).toContain('<use href="#g"/>');
+    expect(stored).toContain('href="data:image/png;base64,AAAA"');
+    expect(stored).not.toContain('<metadata>');
+    expect(files.icons[0]).toMatchObject({ mimetype: 'image/svg+xml', size: Buffer.byteLength(stored), width: 40 });
+    expect(files.icons[1]._metadata).toMatchObject({ isSkipped: true, errors: { svg: 'Malformed SVG markup at offset 5' } });
+    expect(rejected.map(entry => [entry.originalname, entry.code])).toEqual([['b.svg', 'INVALID_SVG']]);
+  });
+
+  it('rasterizes or rejects SVGs by field', async () => {
+    const { files, rejected } = await runUpload(
+      upflyUpload({ fields: { photos: { format: 'png', svg: 'rasterize', keepOriginal: true }, no: { svg: 'reject' } } }),
+      [['photos', evil, 'a.svg', 'image/svg+xml'], ['no', evil, 'b.svg', 'image/svg+xml']]
+    );
+
+    expect(files.photos[0]).toMatchObject({ mimetype: 'image/png', format: 'png', width: 40 });
+    expect(files.no[0]._metadata.errors.svg).toBe('SVG images are not accepted for this field');
+    expect(rejected.map(entry => entry.code)).toEqual(['SVG_NOT_ALLOWED']);
+  });
+
+  it('sanitizes SVGs in upflyConvert, including ones sent under another label', async () => {
+    const memory = multer({ storage: multer.memoryStorage() });
+    const { files } = await runUpload(
+      [memory.fields([{ name: 'icons' }, { name: 'png' }]), upflyConvert({ fields: { icons: { svg: 'sanitize', metadata: 'keep' }, png: { keepOriginal: true, mimeMismatch: 'ignore' } } })],
+      [['icons', evil, 'a.svg', 'image/svg+xml'], ['png', evil, 'x.png', 'image/png']]
+    );
+
+    const icon = files.icons[0].buffer.toString();
+    expect(files.icons[0].mimetype).toBe('image/svg+xml');
+    expect(icon).not.toMatch(unsafe);
+    expect(icon).toContain('<metadata>author</metadata>');
+    expect(files.png[0].buffer.toString()).not.toMatch(unsafe);
+  });
+
+  it('applies the field maxSize to the SVG as sent, not as sanitized', async () => {
+    // Over the limit only because of a script the sanitizer would remove
+    const padded = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="4" height="4"><script>${'x'.repeat(64 * 1024)}</script></svg>`);
+
+    const { status, error } = await runUpload(
+      upflyUpload({ fields: { icons: { keepOriginal: true, maxSize: '32kb' } } }),
+      [['icons', padded, 'a.svg', 'image/svg+xml']]
+    );
+
+    expect(status).toBe(400);
+    expect(error).toMatchObject({ name: 'UpflyLimitError', code: 'LIMIT_FILE_SIZE', field: 'icons' });
+  });
+
+  it('rejects unknown policies at setup', () => {
+    expect(() => upflyUpload({ fields: { a: { svg: 'strip' } } }))
+      .toThrow("Field 'a' has invalid svg value 'strip'. Allowed: 'sanitize', 'rasterize', 'reject'.");
+  });
+});
+
+describe('sanitizeSvg', () => {
+  it('lists what it removed', () => {
+    const { removed } = sanitizeSvg(Buffer.from('<svg onload="x"><script>y</script><a href="javascript:z"/></svg>'));
+
+    expect(removed).toEqual(['onload (event attribute)', '<script>', 'href (external reference)']);
+  });
+
+  it('returns clean markup unchanged', () => {
+    const clean = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect width="10" height="10"/></svg>');
+
+    expect(sanitizeSvg(clean)).toEqual({ buffer: clean, removed: [] });
+  });
+
+  it('throws on markup it cannot parse', () => {
+    expect(() => sanitizeSvg(Buffer.from('<svg><script>x</svg>'))).toThrow('Unclosed <script> element in SVG');
+    expect(() => sanitizeSvg(Buffer.from('<svg><a b="1"></svg'))).toThrow('Malformed SVG markup at offset 14');
+  });
+});
@@ -1,41 +1,54 @@
 const path = require('path');
-const fs = require('fs').promises;
-const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const express = require('express');
+const request = require('supertest');
+const sharp = require('sharp');
 
-// Helper to create a test file
-const createTestFile = async (content, extension = 'jpg') => {
-  const testDir = path.join(__dirname, '..', 'test-temp');
-  await fs.mkdir(testDir, { recursive: true });
-  
-  const fileName = `test-${uuidv4()}.${extension}`;
-  const filePath = path.join(testDir, fileName);
-  
-  await fs.writeFile(filePath, content);
-  return { filePath, fileName };
-};
+// Solid-color image (or gaussian noise, which does not compress) in the given format
+const createImage = ({ width = 40, height = 40, format = 'png', background = '#f00', channels = 3, noise = false, options } = {}) =>
+  sharp({
+    create: noise
+      ? { width, height, channels, noise: { type: 'gaussian', mean: 128, sigma: 30 } }
+      : { width, height, channels, background }
+  }).toFormat(format, options).toBuffer();
+
+/**
+ * Posts a multipart form through the middlewares and returns what they left on req
+ * @param {Function|Function[]} middlewares
+ * @param {Array<[string, Buffer|string, string?, string?]>} parts - [field, content, filename, contentType]; no filename: text field
+ * @param {Object} [headers]
+ */
+const runUpload = async (middlewares, parts, headers = {}) => {
+  let captured = {};
+  const app = express();
+  app.post('/upload', ...[].concat(middlewares), (req, res) => {
+    captured = { file: req.file, files: req.files, rejected: req.upflyRejected, body: req.body };
+    res.status(200).json({ ok: true });
+  });
+  app.use((err, req, res, next) => {
+    res.status(400).json({ name: err.name, code: err.code, field: err.field, message: err.message });
+  });
 
-// Helper to clean up test files
-const cleanupTestFiles = async () => {
-  const testDir = path.join(__dirname, '..', 'test-temp');
-  try {
-    await fs.rm(testDir, { recursive: true, force: true });
-  } catch (err) {
-    if (err.code !== 'ENOENT') throw err;
+  let pending = request(app).post('/upload').set(headers);
+  for (const [field, content, filename, contentType] of parts) {
+    pending = filename === undefined
+      ? pending.field(field, content)
+      : pending.attach(field, content, { filename, contentType: contentType || 'application/octet-stream' });
   }
+  const response = await pending;
+  return { status: response.status, headers: response.headers, error: response.status === 200 ? null : response.body, ...captured };
 };
 
-// Mock file object for testing
-const createMockFile = (buffer, options = {}) => ({
-  fieldname: 'file',
-  originalname: options.originalname || 'test.jpg',
-  encoding: '7bit',
-  mimetype: options.mimetype || 'image/jpeg',
-  buffer: buffer || Buffer.from('test image content'),
-  size: options.size || 1024,
-});
+// Output directory for a suite, relative to the server root as upfly resolves it
+const testOutputDir = (name) => path.join('test-uploads', name);
+
+const cleanupOutputDir = (name) => {
+  fs.rmSync(path.resolve(process.cwd(), testOutputDir(name)), { recursive: true, force: true });
+};
 
 module.exports = {
-  createTestFile,
-  cleanupTestFiles,
-  createMockFile,
+  createImage,
+  runUpload,
+  testOutputDir,
+  cleanupOutputDir
 };
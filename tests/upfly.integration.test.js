@@ -0,0 +1,106 @@
+const fs = require('fs');
+const multer = require('multer');
+const sharp = require('sharp');
+const { upflyUpload, upflyConvert } = require('../src');
+const { createImage, runUpload, testOutputDir, cleanupOutputDir } = require('./test-utils');
+
+describe('upflyUpload middleware', () => {
+  const outputDir = testOutputDir('integration');
+  let jpeg;
+
+  beforeAll(async () => {
+    jpeg = await createImage({ format: 'jpeg' });
+  });
+
+  afterAll(() => cleanupOutputDir('integration'));
+
+  it('converts a single upload to webp in memory', async () => {
+    const { status, files } = await runUpload(
+      upflyUpload({ fields: { image: { format: 'webp', quality: 80 } } }),
+      [['image', jpeg, 'test.jpg', 'image/jpeg']]
+    );
+
+    expect(status).toBe(200);
+    expect(files.image).toHaveLength(1);
+    const [file] = files.image;
+    expect(file.mimetype).toBe('image/webp');
+    expect(Buffer.isBuffer(file.buffer)).toBe(true);
+    expect((await sharp(file.buffer).metadata()).format).toBe('webp');
+  });
+
+  it('applies each field configuration to its own files', async () => {
+    const { status, files } = await runUpload(
+      upflyUpload({ fields: { avatar: { format: 'webp', quality: 90 }, cover: { format: 'jpeg', quality: 85 } } }),
+      [['avatar', jpeg, 'avatar.jpg', 'image/jpeg'], ['cover', jpeg, 'cover.jpg', 'image/jpeg']]
+    );
+
+    expect(status).toBe(200);
+    expect(files.avatar[0].mimetype).toBe('image/webp');
+    expect(files.cover[0].mimetype).toBe('image/jpeg');
+  });
+
+  it('saves files to disk with slugified unique names', async () => {
+    const { status, files } = await runUpload(
+      upflyUpload({ outputDir, fields: { image: { format: 'webp', output: 'disk' } } }),
+      [['image', jpeg, 'Test File Name 123.jpg', 'image/jpeg']]
+    );
+
+    expect(status).toBe(200);
+    const [file] = files.image;
+    expect(file.filename).toMatch(/^image-test-file-name-123-[0-9a-f]{4}\.webp$/);
+    expect(file.path).toContain(outputDir);
+    expect(fs.existsSync(file.path)).toBe(true);
+  });
+
+  it('passes non-image files through without conversion', async () => {
+    const { status, files } = await runUpload(
+      upflyUpload({ fields: { document: { format: 'webp' } } }),
+      [['document', Buffer.from('%PDF-1.4 test document'), 'document.pdf', 'application/pdf']]
+    );
+
+    expect(status).toBe(200);
+    expect(files.document[0].mimetype).toBe('application/pdf');
+    expect(files.document[0].buffer.toString()).toBe('%PDF-1.4 test document');
+  });
+
+  it('rejects files over the global limit', async () => {
+    const { status, error } = await runUpload(
+      upflyUpload({ fields: { image: { format: 'webp' } }, limit: 10 }),
+      [['image', jpeg, 'test.jpg', 'image/jpeg']]
+    );
+
+    expect(status).toBe(400);
+    expect(error.code).toBe('LIMIT_FILE_SIZE');
+  });
+});
+
+describe('upflyConvert middleware', () => {
+  const memory = multer({ storage: multer.memoryStorage() });
+  let jpeg;
+
+  beforeAll(async () => {
+    jpeg = await createImage({ format: 'jpeg' });
+  });
+
+  it('converts a single file already parsed by multer', async () => {
+    const { status, file } = await runUpload(
+      [memory.single('image'), upflyConvert({ fields: { image: { format: 'webp', quality: 80 } } })],
+      [['image', jpeg, 'test.jpg', 'image/jpeg']]
+    );
+
+    expect(status).toBe(200);
+    expect(file.mimetype).toBe('image/webp');
+    expect((await sharp(file.buffer).metadata()).format).toBe('webp');
+  });
+
+  it('converts every file of a field', async () => {
+    const { status, files } = await runUpload(
+      [memory.fields([{ name: 'images', maxCount: 10 }]), upflyConvert({ fields: { images: { format: 'webp' } } })],
+      [['images', jpeg, 'test1.jpg', 'image/jpeg'], ['images', jpeg, 'test2.jpg', 'image/jpeg']]
+    );
+
+    expect(status).toBe(200);
+    expect(files.images).toHaveLength(2);
+    files.images.forEach((file) => expect(file.mimetype).toBe('image/webp'));
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const { upflyUpload, upflyConvert } = require('../src');
+const { createImage, runUpload, testOutputDir, cleanupOutputDir } = require('./test-utils');
+
+describe('variants option', () => {
+  const outputDir = testOutputDir('variants');
+  const memory = multer({ storage: multer.memoryStorage() });
+  const variants = [{ width: 160, format: 'avif' }, { width: 320 }, { width: 640, format: 'jpeg', suffix: 'large' }];
+  let image;
+
+  beforeAll(async () => {
+    image = await createImage({ width: 1000, height: 500, format: 'jpeg' });
+  });
+
+  afterEach(() => cleanupOutputDir('variants'));
+
+  const expectVariants = (file, filename) => {
+    const base = path.parse(filename).name;
+    expect(file.variants.map(({ width, height, format, suffix }) => [width, height, format, suffix])).toEqual([
+      [160, 80, 'avif', '160w'],
+      [320, 160, 'webp', '320w'],
+      [640, 320, 'jpeg', 'large']
+    ]);
+    expect(file.variants.map(variant => variant.filename)).toEqual([
+      `${base}-160w.avif`,
+      `${base}-320w.webp`,
+      `${base}-large.jpeg`
+    ]);
+  };
+
+  it('renders every size in memory next to the main file', async () => {
+    const { files } = await runUpload(upflyUpload({ fields: { img: { variants } } }), [['img', image, 'a.jpg', 'image/jpeg']]);
+    const [file] = files.img;
+
+    expectVariants(file, file.originalname);
+    for (const variant of file.variants) {
+      const meta = await sharp(variant.buffer).metadata();
+      expect(meta.width).toBe(variant.width);
+      expect(variant.size).toBe(variant.buffer.length);
+    }
+  });
+
+  it('writes variants beside the main file on disk', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ outputDir, fields: { img: { output: 'disk', variants } } }),
+      [['img', image, 'a.jpg', 'image/jpeg']]
+    );
+    const [file] = files.img;
+
+    expectVariants(file, file.filename);
+    file.variants.forEach(variant => expect(fs.statSync(variant.path).size).toBe(variant.size));
+  });
+
+  it('renders variants for kept originals and skips non-images', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ fields: { img: { keepOriginal: true, variants: [{ width: 100 }] } } }),
+      [['img', image, 'a.jpg', 'image/jpeg'], ['img', Buffer.from('notes'), 'a.txt', 'text/plain']]
+    );
+
+    expect(files.img[0].mimetype).toBe('image/jpeg');
+    expect(files.img[0].variants).toHaveLength(1);
+    expect(files.img[1].variants).toBeUndefined();
+  });
+
+  it('renders variants in upflyConvert', async () => {
+    const { file } = await runUpload(
+      [memory.single('img'), upflyConvert({ fields: { img: { variants } } })],
+      [['img', image, 'a.jpg', 'image/jpeg']]
+    );
+
+    expectVariants(file, file.originalname);
+  });
+
+  it('puts converted files back into req.files when multer returns an array', async () => {
+    const { files } = await runUpload(
+      [memory.any(), upflyConvert({ outputDir, fields: { img: { output: 'disk', variants: [{ width: 100 }] }, doc: {} } })],
+      [['img', image, 'a.jpg', 'image/jpeg'], ['doc', Buffer.from('notes'), 'a.txt', 'text/plain'], ['img', image, 'b.jpg', 'image/jpeg']]
+    );
+
+    expect(Array.isArray(files)).toBe(true);
+    expect(files.map(file => [file.fieldname, file.mimetype])).toEqual([
+      ['img', 'image/webp'], ['doc', 'text/plain'], ['img', 'image/webp']
+    ]);
+    const written = fs.readdirSync(path.resolve(outputDir)).sort();
+    const referenced = files.filter(file => file.path)
+      .flatMap(file => [file.path, ...file.variants.map(variant => variant.path)])
+      .map(filePath => path.basename(filePath))
+      .sort();
+    expect(written).toEqual(referenced);
+  });
+
+  it('rejects variants without a size at setup', () => {
+    expect(() => upflyUpload({ fields: { a: { variants: [{ widht: 100 }] } } })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,90 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const { upflyUpload, upflyConvert } = require('../src');
+const { createImage, runUpload } = require('./test-utils');
+
+describe('watermark option', () => {
+  const blue = [20, 60, 120];
+  const red = [255, 0, 0];
+  let photo;
+  let logo;
+
+  beforeAll(async () => {
+    photo = await createImage({ width: 800, height: 600, format: 'png', background: { r: 20, g: 60, b: 120 } });
+    logo = await createImage({ width: 200, height: 100, format: 'png', channels: 4, background: { r: 255, g: 0, b: 0, alpha: 1 } });
+  });
+
+  // RGB of a pixel given as fractions of the width / height
+  const pixelAt = async (buffer, fx, fy) => {
+    const { data, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const offset = (Math.round(fy * (info.height - 1)) * info.width + Math.round(fx * (info.width - 1))) * info.channels;
+    return Array.from(data.subarray(offset, offset + 3));
+  };
+
+  const lossless = { format: 'png' };
+  const expectColor = (actual, expected) => actual.forEach((channel, i) => expect(Math.abs(channel - expected[i])).toBeLessThanOrEqual(2));
+
+  it('marks the main output and its variants in the bottom-right corner', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ fields: { f: { ...lossless, watermark: { image: logo, opacity: 1 }, variants: [{ width: 200, format: 'png' }] } } }),
+      [['f', photo, 'a.png', 'image/png']]
+    );
+    const [file] = files.f;
+
+    expect(await pixelAt(file.buffer, 0.95, 0.95)).toEqual(red);
+    expect(await pixelAt(file.buffer, 0.01, 0.01)).toEqual(blue);
+    expect(await pixelAt(file.variants[0].buffer, 0.95, 0.95)).toEqual(red);
+  });
+
+  it('places the mark by gravity, after resizing', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ fields: { f: { ...lossless, resize: { width: 300 }, watermark: { image: logo, gravity: 'northwest', scale: 0.5, margin: 0, opacity: 1 } } } }),
+      [['f', photo, 'a.png', 'image/png']]
+    );
+    const [file] = files.f;
+
+    expect(file.width).toBe(300);
+    // Half the width, a logo of 2:1 covers the top quarter of this 4:3 picture
+    expect(await pixelAt(file.buffer, 0.01, 0.01)).toEqual(red);
+    expect(await pixelAt(file.buffer, 0.45, 0.3)).toEqual(red);
+    expect(await pixelAt(file.buffer, 0.6, 0.01)).toEqual(blue);
+    expect(await pixelAt(file.buffer, 0.95, 0.95)).toEqual(blue);
+  });
+
+  it('renders text marks', async () => {
+    const { files } = await runUpload(
+      upflyUpload({ fields: { f: { ...lossless, watermark: { text: '© Shop <1>' } } } }),
+      [['f', photo, 'a.png', 'image/png']]
+    );
+
+    const { data } = await sharp(files.f[0].buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const source = await sharp(photo).removeAlpha().raw().toBuffer();
+    expect(data.equals(source)).toBe(false);
+  });
+
+  it('marks files in upflyConvert and never stores the unmarked upload', async () => {
+    const { file } = await runUpload(
+      [multer({ storage: multer.memoryStorage() }).single('f'), upflyConvert({ fields: { f: { format: 'tiff', onlyIfSmaller: true, watermark: { image: logo, opacity: 1 } } } })],
+      [['f', photo, 'a.png', 'image/png']]
+    );
+
+    // TIFF is larger than the PNG upload, but the original carries no mark
+    expect(file.mimetype).toBe('image/tiff');
+    expect(file._metadata?.keptOriginalReason).toBeUndefined();
+    expectColor(await pixelAt(file.buffer, 0.95, 0.95), red);
+  });
+
+  it('rejects invalid watermarks at setup', () => {
+    const setup = (watermark) => () => upflyUpload({ fields: { x: { watermark } } });
+
+    expect(setup(5)).toThrow(TypeError);
+    expect(setup({ image: 1 })).toThrow('watermark.image must be a file path or a Buffer');
+    expect(setup({ image: 'x', text: 'y' })).toThrow('watermark needs exactly one of image or text');
+    expect(setup({ text: 'a', gravity: 'top' })).toThrow(RangeError);
+    expect(setup({ text: 'a', opacity: 2 })).toThrow(RangeError);
+    expect(setup({ text: 'a', scale: 0 })).toThrow(RangeError);
+    expect(setup({ text: 'a', margin: 0.5 })).toThrow(RangeError);
+    expect(setup({ text: 'a', size: 1 })).toThrow(/unknown watermark\.size/);
+    expect(setup({ image: '/nope.png' })).toThrow("watermark.image '/nope.png' does not exist");
+  });
+});